@@ -1,6 +1,12 @@
+import { BootScene } from './scenes/BootScene.js';
+import { CharacterSelectScene } from './scenes/CharacterSelectScene.js';
 import { GameScene } from './scenes/GameScene.js';
 import { GameOverScene } from './scenes/GameOverScene.js';
 import { ShopScene } from './scenes/ShopScene.js';
+import { UnlocksScene } from './scenes/UnlocksScene.js';
+import { AchievementsScene } from './scenes/AchievementsScene.js';
+import { SkillTreeScene } from './scenes/SkillTreeScene.js';
+import { MapEditorScene } from './scenes/MapEditorScene.js';
 
 // Game configuration
 const config = {
@@ -22,7 +28,7 @@ const config = {
             }
         }
     },
-    scene: [GameScene, GameOverScene, ShopScene],
+    scene: [BootScene, CharacterSelectScene, GameScene, GameOverScene, ShopScene, UnlocksScene, AchievementsScene, SkillTreeScene, MapEditorScene],
     scale: {
         mode: Phaser.Scale.RESIZE,
         autoCenter: Phaser.Scale.CENTER_BOTH
@@ -4,8 +4,17 @@ export const GAME_CONFIG = {
     PLAYER_SPEED: 200,
     BULLET_SPEED: 400,
 
+    // Player health settings
+    PLAYER_MAX_HEALTH: 100,
+    PLAYER_MAX_ARMOR: 50,
+    PLAYER_STARTING_ARMOR: 50,
+    ARMOR_ABSORPTION: 0.5, // Fraction of incoming damage soaked up by armor while it lasts
+    PLAYER_INVULNERABILITY_TIME: 800, // milliseconds of invulnerability after taking damage
+
     // Explosion settings
     EXPLOSION_RADIUS: 160,
+    EXPLOSION_MAX_DAMAGE: 60, // Player damage at the center of the blast
+    EXPLOSION_MIN_DAMAGE: 10, // Player damage at the edge of the blast
 
     // Global scaling system
     GLOBAL_SCALE: 1.0,
@@ -24,16 +33,56 @@ export const GAME_CONFIG = {
     // Grid settings
     GRID_SIZE: 100,
 
+    // Navigation settings - zombies path around obstacles on a flow field
+    NAV_CELL_SIZE: 20, // Navigation grid resolution in pixels
+    NAV_OBSTACLE_PADDING: 12, // Extra clearance around obstacles so zombies don't snag corners
+    NAV_UPDATE_INTERVAL: 250, // milliseconds between flow field updates while the player moves
+    NAV_DEBUG: false, // Draw blocked navigation cells
+
     // Spawn settings
     ZOMBIE_SPAWN_INTERVAL: 1000, // milliseconds for Phaser timers (2x faster)
     SPAWN_DISTANCE: 100,
 
+    // Game mode settings
+    DEFAULT_GAME_MODE: 'endless',
+    WAVE_INTERMISSION_TIME: 15000, // milliseconds between waves (shop is open during this time)
+    WAVE_START_DELAY: 3000, // milliseconds before the first wave starts
+    MODE_TOGGLE_KEY: 'M',
+
+    // Map settings
+    DEFAULT_MAP: 'classic', // 'classic' (hand-made ALEX layout) or a MAP_BIOMES id for a procedural map
+    MAP_TOGGLE_KEY: 'B',
+    MAP_REPLAY_KEY: 'R',
+    MAP_EDITOR_KEY: 'E', // Opens the map editor from the character select screen
+
+    // Content packs - JSON zombie, weapon, shop and material definitions merged over the built-in ones.
+    // Pack files are listed in the manifest and resolved relative to its folder
+    CONTENT_PACK_MANIFEST: '../assets/content/packs.json',
+
     // Health bar settings
     ZOMBIE_HEALTH_BAR_WIDTH: 24,
     ZOMBIE_HEALTH_BAR_HEIGHT: 4,
 
     // Shop settings
     SHOP_TOGGLE_KEY: 'C',
+    SKILL_TREE_KEY: 'K',
+    BUILD_MODE_KEY: 'B', // Toggles trap placement (B only changes the map on the game over screen)
+
+    // Character class settings
+    DEFAULT_CHARACTER_CLASS: 'sniper',
+    ULTIMATE_KEY: 'Q',
+    CHARACTER_SELECT_KEY: 'H', // Back to character select from the game over screen
+
+    // Ammo settings
+    RELOAD_KEY: 'R',
+
+    // Save profile settings
+    UNLOCKS_KEY: 'U', // Opens permanent unlocks from the game over screen
+    ACHIEVEMENTS_KEY: 'A', // Opens the achievements list from the game over screen
+
+    // Replay settings
+    REPLAY_WATCH_KEY: 'V', // Watch the last run (game over screen) or open a replay file (character select)
+    REPLAY_EXPORT_KEY: 'X', // Download the last run's replay from the game over screen
 
     // Collision settings - PRECISE collision detection
     COLLISION_DETECTION_ENABLED: true,
@@ -118,10 +167,13 @@ export const PARTICLE_MATERIALS = {
 export const ZOMBIE_TYPES = {
     normal: {
         id: 'normal',
+        name: 'Normal',
         spriteKey: 'zombie',
         assetPath: '../assets/zombie.png',
         maxHealth: 2,
         speed: 50,
+        contactDamage: 10, // Damage dealt to the player per attack
+        attackCooldown: 1000, // milliseconds between attacks
         spawnWeight: 60, // 60% spawn chance
         healthBarColor: 0xFF0000, // Red
         healthBarWidthMultiplier: 1.0,
@@ -133,10 +185,13 @@ export const ZOMBIE_TYPES = {
     },
     fast: {
         id: 'fast',
+        name: 'Fast',
         spriteKey: 'zombie_fast',
         assetPath: '../assets/zombie_fast.png',
         maxHealth: 1,
         speed: 100, // 2x normal speed
+        contactDamage: 6, // Weaker but attacks more often
+        attackCooldown: 700,
         spawnWeight: 20, // 20% spawn chance (reduced to make room for elite)
         healthBarColor: 0xFFA500, // Orange
         healthBarWidthMultiplier: 0.7,
@@ -148,10 +203,13 @@ export const ZOMBIE_TYPES = {
     },
     elite_fast: {
         id: 'elite_fast',
+        name: 'Elite Fast',
         spriteKey: 'zombie_fast', // Reuse fast zombie sprite but add red glow effect
         assetPath: '../assets/zombie_fast.png',
         maxHealth: 3,
         speed: 100, // Same speed as fast zombie
+        contactDamage: 12,
+        attackCooldown: 700,
         spawnWeight: 10, // 10% spawn chance
         healthBarColor: 0xFF0000, // Red
         healthBarWidthMultiplier: 1.2,
@@ -166,10 +224,13 @@ export const ZOMBIE_TYPES = {
     },
     tank: {
         id: 'tank',
+        name: 'Tank',
         spriteKey: 'tank',
         assetPath: '../assets/tank.png',
         maxHealth: 8,
         speed: 30, // slow but extremely tough
+        contactDamage: 25, // Heavy hits
+        attackCooldown: 1500,
         spawnWeight: 10, // 10% spawn chance - rare but dangerous
         healthBarColor: 0x8B0000, // Dark red
         healthBarWidthMultiplier: 1.5, // Wider health bar for tank
@@ -181,9 +242,154 @@ export const ZOMBIE_TYPES = {
         hitDetectionBox: { width: 54, height: 50 }, // Moderately larger hit detection for tank
         canDestroyObstacles: true, // Can destroy walls, trees, and barrels
         description: 'Tank zombie - extremely slow but very tough, destroys obstacles'
+    },
+    boss: {
+        id: 'boss',
+        name: 'Zombie Overlord',
+        spriteKey: 'tank', // Reuse tank sprite with a purple tint
+        assetPath: '../assets/tank.png',
+        maxHealth: 60,
+        speed: 40,
+        contactDamage: 30,
+        attackCooldown: 1200,
+        spawnWeight: 0, // Never spawned randomly - BossSystem handles it
+        healthBarColor: 0x9933FF, // Purple
+        healthBarWidthMultiplier: 2.5,
+        healthBarOffset: 80,
+        coinReward: 30, // Big payout for a boss kill
+        explosionDamage: 10, // Barrels hurt the boss instead of killing it outright
+        tint: 0xCC66FF,
+        isBoss: true,
+        scale: 3, // 3x larger than normal zombies
+        physicsBox: { width: 60, height: 56 },
+        hitDetectionBox: { width: 60, height: 56 },
+        canDestroyObstacles: true,
+        description: 'Boss zombie - charges, summons minions and fires projectiles'
+    }
+};
+
+// Day/Night Cycle Configuration - night shrinks visibility and spawns stronger zombies worth more coins
+export const DAY_NIGHT_CONFIG = {
+    dayDuration: 90000, // milliseconds
+    nightDuration: 60000,
+    transitionDuration: 4000, // Dusk/dawn fade
+    nightDarkness: 0.92, // Alpha of the darkness outside the visibility radius
+    visibilityRadius: 240, // Pixels around the player that stay lit at night
+    darknessColor: 0x050A14,
+    // Applied to zombies spawned at night; 'default' covers every type without its own entry
+    nightModifiers: {
+        default: { speed: 1.2, health: 1.5, coinReward: 2 },
+        boss: { speed: 1, health: 1, coinReward: 1.5 }
     }
 };
 
+// Weather Configuration - a new weather event is rolled whenever the current one ends
+export const WEATHER_CONFIG = {
+    initialClearDuration: 45000, // milliseconds of clear weather at the start of a run
+    duration: [25000, 45000], // Random length of each weather event
+    types: {
+        clear: {
+            id: 'clear',
+            name: 'Clear',
+            weight: 4
+        },
+        rain: {
+            id: 'rain',
+            name: 'Rain',
+            weight: 2,
+            rain: true,
+            speedMultiplier: 0.8, // Player and zombies slog through the mud
+            description: 'everyone is slowed'
+        },
+        fog: {
+            id: 'fog',
+            name: 'Fog',
+            weight: 2,
+            fog: true,
+            description: 'visibility reduced'
+        },
+        thunderstorm: {
+            id: 'thunderstorm',
+            name: 'Thunderstorm',
+            weight: 1,
+            rain: true,
+            lightning: true,
+            speedMultiplier: 0.8,
+            description: 'watch for lightning'
+        }
+    },
+    rain: {
+        dropCount: 120,
+        dropLength: 14,
+        speed: [700, 900], // Pixels per second
+        drift: -120, // Sideways wind
+        color: 0x99BBFF,
+        alpha: 0.5
+    },
+    fog: {
+        color: 0x8899AA,
+        alpha: 0.85,
+        visibilityRadius: 320,
+        fadeDuration: 3000
+    },
+    lightning: {
+        interval: [3000, 7000], // Random time between strikes
+        warningTime: 700, // Target marker shown before the strike hits
+        radius: 90,
+        zombieDamage: 4,
+        strikeRange: 450, // Strikes land within this distance of the player
+        barrelChance: 0.4 // Chance to aim for a barrel when one is in range
+    }
+};
+
+// Boss Encounter Configuration
+export const BOSS_CONFIG = {
+    typeId: 'boss',
+    firstSpawnTime: 90000, // Endless mode: first boss after 90 seconds
+    spawnInterval: 120000, // Endless mode: next boss 2 minutes after the previous one dies
+    warningDuration: 3000, // Red screen-edge warning before the boss appears
+
+    // Phases are picked by remaining health - each phase enables a set of attacks
+    phases: [
+        { name: 'Rampage', healthThreshold: 1.0, attacks: ['charge'], speedMultiplier: 1.0 },
+        { name: 'Horde Call', healthThreshold: 0.66, attacks: ['charge', 'summon'], speedMultiplier: 1.2 },
+        { name: 'Frenzy', healthThreshold: 0.33, attacks: ['summon', 'ranged'], speedMultiplier: 1.4 }
+    ],
+
+    attacks: {
+        charge: {
+            cooldown: 4000,
+            windup: 700, // Boss stops and flashes before charging
+            speed: 380,
+            duration: 900
+        },
+        summon: {
+            cooldown: 6000,
+            count: 4,
+            minionType: 'fast',
+            radius: 90 // Minions appear in a ring around the boss
+        },
+        ranged: {
+            cooldown: 1800,
+            projectileCount: 5,
+            spread: 0.25, // Radians between projectiles
+            projectileSpeed: 260,
+            projectileDamage: 12,
+            projectileLifetime: 3000,
+            projectileColor: 0xCC66FF
+        }
+    }
+};
+
+// Kill combo - kills inside the rolling window build a coin multiplier
+export const COMBO_CONFIG = {
+    window: 2500, // milliseconds after a kill before the combo runs out
+    minCombo: 2, // Kills needed before the meter shows up
+    multiplierPerKill: 0.1, // Added for every kill after the first
+    varietyBonus: 0.25, // Added for every kill in a row that switches zombie type
+    maxMultiplier: 3
+};
+
 // Weapon Types Configuration
 export const WEAPON_TYPES = {
     pistol: {
@@ -195,8 +401,110 @@ export const WEAPON_TYPES = {
         spread: 0,
         bulletLifetime: 1500, // 1.5 seconds
         damage: 1, // Base damage
+        critChance: 0.1, // Chance per hit to deal critical damage
+        critMultiplier: 2, // Damage multiplier on a critical hit
+        magazineSize: 12,
+        reloadTime: 1000, // milliseconds
+        infiniteAmmo: true, // Never runs out of reserve ammo - always a fallback
+        fireMode: 'semi', // 'semi' (one shot per click), 'burst' (burstCount shots per click) or 'auto' (hold to fire)
+        fireRate: 4, // Shots (or bursts) per second
         description: 'Basic pistol - single shot'
     },
+    smg: {
+        id: 'smg',
+        name: 'SMG',
+        spriteKey: 'gun', // Reuse pistol sprite with a tint
+        assetPath: '../assets/blue_toy_gun.png',
+        gunTint: 0x66FF66,
+        bulletCount: 1,
+        spread: 0,
+        inaccuracy: 0.12, // Random aim jitter in radians
+        bulletLifetime: 900,
+        damage: 1,
+        critChance: 0.05,
+        critMultiplier: 1.5,
+        magazineSize: 30,
+        reloadTime: 1500,
+        reserveAmmo: 120,
+        maxReserveAmmo: 180,
+        fireMode: 'auto',
+        fireRate: 12,
+        description: 'SMG - hold to spray bullets'
+    },
+    sniper_rifle: {
+        id: 'sniper_rifle',
+        name: 'Sniper Rifle',
+        spriteKey: 'gun',
+        assetPath: '../assets/blue_toy_gun.png',
+        gunTint: 0x9999FF,
+        bulletColor: 0xCCCCFF,
+        bulletCount: 1,
+        spread: 0,
+        bulletLifetime: 2500, // Long range
+        damage: 4,
+        critChance: 0.25,
+        critMultiplier: 2,
+        magazineSize: 5,
+        reloadTime: 2000,
+        reserveAmmo: 30,
+        maxReserveAmmo: 45,
+        fireMode: 'semi',
+        fireRate: 1.2,
+        projectile: {
+            pierce: 2
+        },
+        description: 'Sniper Rifle - slow, heavy rounds that pierce 2 zombies'
+    },
+    burst_rifle: {
+        id: 'burst_rifle',
+        name: 'Burst Rifle',
+        spriteKey: 'gun',
+        assetPath: '../assets/blue_toy_gun.png',
+        gunTint: 0xFF9933,
+        bulletCount: 1,
+        spread: 0,
+        bulletLifetime: 1800,
+        damage: 2,
+        critChance: 0.15,
+        critMultiplier: 2,
+        magazineSize: 24,
+        reloadTime: 1700,
+        reserveAmmo: 72,
+        maxReserveAmmo: 120,
+        fireMode: 'burst',
+        burstCount: 3,
+        burstDelay: 70, // milliseconds between shots within a burst
+        fireRate: 2.5, // Bursts per second
+        projectile: {
+            homing: { turnRate: 4, range: 200 } // Radians per second, pixels
+        },
+        description: 'Burst Rifle - 3 homing shots per click'
+    },
+    launcher: {
+        id: 'launcher',
+        name: 'Launcher',
+        spriteKey: 'gun',
+        assetPath: '../assets/blue_toy_gun.png',
+        gunTint: 0xFF4444,
+        bulletColor: 0xFF6600,
+        bulletCount: 1,
+        spread: 0,
+        bulletLifetime: 1200,
+        damage: 2, // Direct hit damage, the blast adds explosive.damage
+        critChance: 0,
+        critMultiplier: 1,
+        magazineSize: 4,
+        reloadTime: 2400,
+        reserveAmmo: 12,
+        maxReserveAmmo: 24,
+        fireMode: 'semi',
+        fireRate: 1,
+        projectile: {
+            ricochet: 1, // Grenades bounce once before exploding
+            explosive: { radius: 70, damage: 3, selfDamage: false }
+        },
+        description: 'Launcher - bouncing grenades that explode on impact'
+    },
     shotgun: {
         id: 'shotgun',
         name: 'Shotgun',
@@ -206,6 +514,14 @@ export const WEAPON_TYPES = {
         spread: 0.3, // Radians spread between bullets
         bulletLifetime: 1000, // 1 second
         damage: 1, // Same damage per bullet as pistol
+        critChance: 0.05,
+        critMultiplier: 2,
+        magazineSize: 6, // One shell fires every pellet
+        reloadTime: 1800,
+        reserveAmmo: 30, // Starting reserve when bought
+        maxReserveAmmo: 48,
+        fireMode: 'semi',
+        fireRate: 1.6,
         description: 'Shotgun - fires 3 bullets in cone',
         upgradeTarget: 'shotgun_upgraded'
     },
@@ -218,7 +534,18 @@ export const WEAPON_TYPES = {
         spread: 0.4, // Slightly wider spread for 5 bullets
         bulletLifetime: 1000, // 1 second
         damage: 1, // Same damage per bullet as basic shotgun
-        description: 'Upgraded Shotgun - fires 5 bullets in cone'
+        critChance: 0.08,
+        critMultiplier: 2,
+        magazineSize: 8,
+        reloadTime: 1600,
+        reserveAmmo: 40,
+        maxReserveAmmo: 64,
+        fireMode: 'semi',
+        fireRate: 1.8,
+        projectile: {
+            ricochet: 1 // Pellets bounce off walls once
+        },
+        description: 'Upgraded Shotgun - fires 5 ricocheting bullets in cone'
     },
     raygun: {
         id: 'raygun',
@@ -229,8 +556,19 @@ export const WEAPON_TYPES = {
         spread: 0,
         bulletLifetime: 2000, // 2 seconds for longer range
         damage: 2, // Double damage compared to pistol
+        critChance: 0.15,
+        critMultiplier: 2,
         rayWidth: 1, // Base ray width multiplier
-        description: 'Ray Gun - fires powerful energy beams',
+        magazineSize: 10,
+        reloadTime: 2000,
+        reserveAmmo: 40,
+        maxReserveAmmo: 60,
+        fireMode: 'semi',
+        fireRate: 3,
+        projectile: {
+            pierce: 1 // Passes through one zombie
+        },
+        description: 'Ray Gun - fires powerful piercing energy beams',
         upgradeTarget: 'raygun_upgraded'
     },
     raygun_upgraded: {
@@ -242,11 +580,136 @@ export const WEAPON_TYPES = {
         spread: 0,
         bulletLifetime: 2000, // 2 seconds for longer range
         damage: 3, // Increased damage for upgrade
+        critChance: 0.2,
+        critMultiplier: 2.5,
         rayWidth: 3, // 3x wider ray
-        description: 'Upgraded Ray Gun - fires wider energy beams'
+        magazineSize: 12,
+        reloadTime: 1800,
+        reserveAmmo: 48,
+        maxReserveAmmo: 72,
+        fireMode: 'semi',
+        fireRate: 3.3,
+        projectile: {
+            pierce: 3
+        },
+        description: 'Upgraded Ray Gun - fires wider beams that pierce 3 zombies'
     }
 };
 
+// Procedural Map Biomes Configuration
+export const MAP_BIOMES = {
+    factory: {
+        id: 'factory',
+        name: 'Factory',
+        structureCount: 7, // Wall structures (lines, L-shapes, rooms)
+        structureWeights: { line: 2, lshape: 2, room: 3 },
+        wallDecay: 0, // Fraction of wall segments knocked out
+        treeClusters: 2,
+        treesPerCluster: [2, 4],
+        scatteredTrees: 6,
+        barrelClusters: 12,
+        barrelsPerCluster: [2, 4], // Lots of chain reaction opportunities
+        scatteredBarrels: 10
+    },
+    forest: {
+        id: 'forest',
+        name: 'Forest',
+        structureCount: 3,
+        structureWeights: { line: 3, lshape: 1, room: 0 },
+        wallDecay: 0.2,
+        treeClusters: 14,
+        treesPerCluster: [5, 9],
+        scatteredTrees: 40,
+        barrelClusters: 2,
+        barrelsPerCluster: [1, 2],
+        scatteredBarrels: 6
+    },
+    ruins: {
+        id: 'ruins',
+        name: 'Ruins',
+        structureCount: 18,
+        structureWeights: { line: 3, lshape: 3, room: 4 },
+        wallDecay: 0.3, // Crumbling walls leave gaps to slip through
+        treeClusters: 4,
+        treesPerCluster: [2, 4],
+        scatteredTrees: 12,
+        barrelClusters: 3,
+        barrelsPerCluster: [1, 3],
+        scatteredBarrels: 8
+    }
+};
+
+// Procedural generation tuning shared by every biome
+export const MAP_GENERATION = {
+    wallSpacing: 20, // Same spacing as the hand-made layout
+    edgeMargin: 60, // Keep obstacles away from the map boundary
+    spawnClearRadius: 220, // No obstacles this close to the player spawn
+    obstacleSpacing: 50, // Minimum distance between trees/barrels and other obstacles
+    reachabilityCellSize: 20,
+    playerClearance: 26 // Half the player's width plus a little slack
+};
+
+// Map editor - custom maps are saved as JSON (download/upload or localStorage) and played with ?map=custom
+export const MAP_EDITOR_CONFIG = {
+    storageKey: 'zombie-shooter-custom-map',
+    version: 1,
+    fineSnapDivisions: 5, // Fine snapping splits each GRID_SIZE cell into wall-sized steps
+    pickRadius: 18, // How close a click has to be to grab or erase an object
+    panSpeed: 600, // Camera pixels per second while an arrow key is held
+    historyLimit: 100, // Undo steps kept
+    tools: [
+        { id: 'wall', name: 'Wall', color: '#AAAAAA' },
+        { id: 'tree', name: 'Tree', color: '#44AA44' },
+        { id: 'barrel', name: 'Barrel', color: '#FF6633' },
+        { id: 'spawn', name: 'Player spawn', color: '#00FFFF' },
+        { id: 'erase', name: 'Erase', color: '#FF4444' }
+    ],
+    keys: {
+        snap: 'G',
+        undo: 'Z',
+        clear: 'C',
+        save: 'S',
+        load: 'L',
+        exportFile: 'E',
+        importFile: 'I',
+        play: 'P',
+        back: 'ESC'
+    }
+};
+
+// Game Modes Configuration
+export const GAME_MODES = {
+    endless: {
+        id: 'endless',
+        name: 'Endless',
+        description: 'Zombies never stop coming and spawn faster over time'
+    },
+    waves: {
+        id: 'waves',
+        name: 'Waves',
+        description: 'Clear fixed waves of zombies, shop between waves'
+    }
+};
+
+// Wave Definitions - counts per zombie type, spawn pacing and boss flag
+export const WAVE_DEFINITIONS = [
+    { composition: { normal: 6, fast: 2 }, spawnInterval: 900 },
+    { composition: { normal: 8, fast: 4 }, spawnInterval: 800 },
+    { composition: { normal: 8, fast: 5, elite_fast: 1 }, spawnInterval: 700 },
+    { composition: { normal: 10, fast: 6, elite_fast: 2, tank: 1 }, spawnInterval: 650 },
+    { composition: { normal: 10, fast: 6, elite_fast: 2, tank: 2 }, spawnInterval: 600, boss: true },
+    { composition: { normal: 14, fast: 8, elite_fast: 3, tank: 2 }, spawnInterval: 550 },
+    { composition: { normal: 16, fast: 10, elite_fast: 4, tank: 3 }, spawnInterval: 500 }
+];
+
+// Scaling applied to waves beyond the end of WAVE_DEFINITIONS (based on the last definition)
+export const WAVE_SCALING = {
+    countMultiplier: 1.15, // Zombie counts grow 15% per extra wave
+    spawnIntervalMultiplier: 0.95, // Spawns get 5% faster per extra wave
+    minSpawnInterval: 250,
+    bossEvery: 5 // Every 5th wave is a boss wave
+};
+
 // Shop Items Configuration
 export const SHOP_ITEMS = {
     shotgun: {
@@ -261,7 +724,7 @@ export const SHOP_ITEMS = {
         name: 'Shotgun Upgrade',
         price: 20,
         weaponType: WEAPON_TYPES.shotgun_upgraded,
-        description: 'Upgrades shotgun to fire 5 bullets',
+        description: 'Upgrades shotgun to fire 5 ricocheting bullets',
         requiresWeapon: 'shotgun' // Must own shotgun to buy this upgrade
     },
     raygun: {
@@ -269,15 +732,451 @@ export const SHOP_ITEMS = {
         name: 'Ray Gun',
         price: 50,
         weaponType: WEAPON_TYPES.raygun,
-        description: 'Fires powerful energy beams with 2x damage'
+        description: 'Fires piercing energy beams with 2x damage'
     },
     raygun_upgrade: {
         id: 'raygun_upgrade',
         name: 'Ray Gun Upgrade',
         price: 50,
         weaponType: WEAPON_TYPES.raygun_upgraded,
-        description: 'Upgrades ray gun to fire 3x wider beams',
+        description: 'Upgrades ray gun to fire 3x wider beams that pierce 3 zombies',
         requiresWeapon: 'raygun' // Must own raygun to buy this upgrade
+    },
+    smg: {
+        id: 'smg',
+        name: 'SMG',
+        price: 35,
+        weaponType: WEAPON_TYPES.smg,
+        description: 'Fully automatic - hold the mouse button to fire'
+    },
+    burst_rifle: {
+        id: 'burst_rifle',
+        name: 'Burst Rifle',
+        price: 40,
+        weaponType: WEAPON_TYPES.burst_rifle,
+        description: 'Fires 3-round homing bursts with 2x damage'
+    },
+    launcher: {
+        id: 'launcher',
+        name: 'Launcher',
+        price: 60,
+        weaponType: WEAPON_TYPES.launcher,
+        description: 'Bouncing grenades that explode on impact'
+    },
+    ammo_pack: {
+        id: 'ammo_pack',
+        name: 'Ammo Pack',
+        price: 5,
+        consumable: true, // Can be bought again and again
+        ammoRefill: 0.5, // Refills half of each owned weapon's max reserve
+        description: 'Restocks reserve ammo for all your weapons'
+    }
+};
+
+// Trap Types - placed in build mode, paid for with coins (engineers start with free placements).
+// Damage is per explosion or per tick and scales with the trapDamage skill
+export const TRAP_TYPES = {
+    landmine: {
+        id: 'landmine',
+        name: 'Landmine',
+        price: 8,
+        triggerRadius: 28, // A zombie this close sets it off
+        explosionRadius: 90,
+        zombieDamage: 6,
+        color: 0x888844
+    },
+    electric_fence: {
+        id: 'electric_fence',
+        name: 'Electric Fence',
+        price: 15,
+        length: 110,
+        width: 10,
+        damage: 0.5,
+        tickInterval: 500, // milliseconds between damage ticks per zombie
+        slowMultiplier: 0.4, // Zombie speed while in contact with the fence
+        slowDuration: 600,
+        duration: 30000, // Fence shuts down after this long
+        color: 0x66CCFF
+    },
+    poison_gas: {
+        id: 'poison_gas',
+        name: 'Poison Gas',
+        price: 12,
+        radius: 80,
+        damage: 0.5,
+        tickInterval: 500,
+        duration: 10000,
+        color: 0x66FF33
+    },
+    barricade: {
+        id: 'barricade',
+        name: 'Barricade',
+        price: 10,
+        segments: 3, // Wall blocks per barricade
+        health: 4, // Bullet hits per block (your own bullets too)
+        tint: 0xC08040
+    }
+};
+
+// Build mode settings
+export const BUILD_CONFIG = {
+    range: 220, // Max distance from the player to the placement point
+    snapSize: 20, // Barricades snap to the same spacing as map walls
+    clearance: 30, // Min distance from other obstacles and traps
+    validColor: 0x00FF00,
+    invalidColor: 0xFF0000
+};
+
+// Character Classes - picked on the character select screen before a run.
+// stats: maxHealth is absolute, damage/fireRate/speed/barrelDamage multiply the base values,
+// regen is HP per second. The ultimate ability is fired with ULTIMATE_KEY and then recharges
+export const CHARACTER_CLASSES = {
+    sniper: {
+        id: 'sniper',
+        name: 'Sniper',
+        tint: 0xBBBBFF,
+        startingWeapon: 'sniper_rifle',
+        stats: { maxHealth: 80, damage: 1.5, fireRate: 0.75, speed: 1 },
+        ultimate: {
+            type: 'deadeye',
+            name: 'Deadeye',
+            cooldown: 30000, // milliseconds
+            duration: 6000, // Every hit is a critical hit while active
+            description: 'Every hit crits for 6s'
+        },
+        description: 'High damage, slow fire. Starts with a piercing sniper rifle'
+    },
+    engineer: {
+        id: 'engineer',
+        name: 'Engineer',
+        tint: 0xFFDD88,
+        startingWeapon: 'shotgun',
+        startingTraps: 3, // Extra traps on top of the normal loadout
+        stats: { maxHealth: 100, speed: 1, barrelDamage: 1.25 },
+        ultimate: {
+            type: 'demolition',
+            name: 'Demolition Charge',
+            cooldown: 35000,
+            radius: 220,
+            damage: 6, // Zombie damage - the engineer is never hurt by their own charge
+            description: 'Blast everything around you'
+        },
+        description: 'Starts with extra traps, a shotgun and bigger barrel blasts'
+    },
+    medic: {
+        id: 'medic',
+        name: 'Medic',
+        tint: 0xAAFFAA,
+        startingWeapon: 'smg',
+        stats: { maxHealth: 110, speed: 1.05, regen: 2 },
+        ultimate: {
+            type: 'field_surgery',
+            name: 'Field Surgery',
+            cooldown: 40000,
+            heal: 0.5, // Fraction of max health restored
+            invulnerability: 2000, // milliseconds
+            description: 'Heal half your HP, refill armor'
+        },
+        description: 'Regenerates health over time. Starts with an SMG'
+    }
+};
+
+// Skill Tree Configuration - bought with skill points during a run.
+// Each rank adds its modifiers: damage/fireRate/speed/pickupRadius/trapDamage/barrelDamage are
+// fractions (+0.15 = +15%), maxHealth is flat. requires: skill that needs at least one rank first
+export const SKILL_TREE = {
+    combat: {
+        id: 'combat',
+        name: 'Combat',
+        color: 0xFF4444,
+        skills: [
+            {
+                id: 'marksman',
+                name: 'Marksman',
+                cost: 1,
+                maxRank: 3,
+                modifiers: { damage: 0.15 },
+                description: '+15% bullet damage per rank'
+            },
+            {
+                id: 'quick_hands',
+                name: 'Quick Hands',
+                cost: 1,
+                maxRank: 3,
+                modifiers: { fireRate: 0.1 },
+                requires: 'marksman',
+                description: '+10% fire rate per rank'
+            }
+        ]
+    },
+    survival: {
+        id: 'survival',
+        name: 'Survival',
+        color: 0x00CC44,
+        skills: [
+            {
+                id: 'toughness',
+                name: 'Toughness',
+                cost: 1,
+                maxRank: 3,
+                modifiers: { maxHealth: 20 },
+                description: '+20 max HP per rank'
+            },
+            {
+                id: 'fleet_foot',
+                name: 'Fleet Foot',
+                cost: 1,
+                maxRank: 3,
+                modifiers: { speed: 0.08 },
+                description: '+8% movement speed per rank'
+            },
+            {
+                id: 'scavenger',
+                name: 'Scavenger',
+                cost: 1,
+                maxRank: 2,
+                modifiers: { pickupRadius: 0.25 },
+                requires: 'fleet_foot',
+                description: '+25% ammo crate pickup radius per rank'
+            }
+        ]
+    },
+    engineering: {
+        id: 'engineering',
+        name: 'Engineering',
+        color: 0x3399FF,
+        skills: [
+            {
+                id: 'trap_specialist',
+                name: 'Trap Specialist',
+                cost: 1,
+                maxRank: 3,
+                modifiers: { trapDamage: 0.25 },
+                description: '+25% trap damage per rank'
+            },
+            {
+                id: 'demolitions',
+                name: 'Demolitions',
+                cost: 2,
+                maxRank: 3,
+                modifiers: { barrelDamage: 0.2 },
+                description: 'Barrels blast 20% wider and hit bosses 20% harder per rank'
+            }
+        ]
+    }
+};
+
+// Skill point sources
+export const SKILL_POINTS = {
+    survivalMinutes: [1, 2, 4, 6, 8, 10, 15, 20], // One point at each survival milestone
+    kills: { elite_fast: 1, tank: 1, boss: 3 } // Points per kill of these zombie types
+};
+
+// Ammo crates dropped by killed zombies - collected by walking within the radius (the Scavenger skill widens it)
+export const PICKUP_CONFIG = {
+    dropChance: 0.15,
+    radius: 40,
+    ammoRefill: 0.1, // Tops up every owned weapon's reserve by this fraction of its max
+    lifetime: 15000, // Crates disappear after this many ms
+    size: 10,
+    color: 0xCCAA33
+};
+
+// Save profile (localStorage) - bump version and add a migration when the shape changes
+export const PROFILE_CONFIG = {
+    storageKey: 'zombie-shooter-profile',
+    version: 2,
+    currencyPerCoin: 1 // Persistent currency earned per coin collected in a run
+};
+
+// Achievements - progress is driven by gameplay events emitted on GameScene.events.
+// type 'count': +1 per matching event, kept across runs
+// type 'max': best value of event[stat] seen so far
+// filter: event fields that must match; requires: run condition that must still hold ('pistolOnly')
+export const ACHIEVEMENTS = {
+    first_blood: {
+        id: 'first_blood',
+        name: 'First Blood',
+        description: 'Kill your first zombie',
+        event: 'zombieKilled',
+        type: 'count',
+        goal: 1
+    },
+    zombie_slayer: {
+        id: 'zombie_slayer',
+        name: 'Zombie Slayer',
+        description: 'Kill 500 zombies',
+        event: 'zombieKilled',
+        type: 'count',
+        goal: 500
+    },
+    speed_bump: {
+        id: 'speed_bump',
+        name: 'Speed Bump',
+        description: 'Kill 100 fast zombies',
+        event: 'zombieKilled',
+        filter: { typeId: 'fast' },
+        type: 'count',
+        goal: 100
+    },
+    elite_hunter: {
+        id: 'elite_hunter',
+        name: 'Elite Hunter',
+        description: 'Kill 25 elite zombies',
+        event: 'zombieKilled',
+        filter: { typeId: 'elite_fast' },
+        type: 'count',
+        goal: 25
+    },
+    tank_buster: {
+        id: 'tank_buster',
+        name: 'Tank Buster',
+        description: 'Kill 10 tank zombies',
+        event: 'zombieKilled',
+        filter: { typeId: 'tank' },
+        type: 'count',
+        goal: 10
+    },
+    overlord_down: {
+        id: 'overlord_down',
+        name: 'Overlord Down',
+        description: 'Defeat a boss',
+        event: 'zombieKilled',
+        filter: { typeId: 'boss' },
+        type: 'count',
+        goal: 1
+    },
+    barrel_diplomacy: {
+        id: 'barrel_diplomacy',
+        name: 'Barrel Diplomacy',
+        description: 'Kill a tank zombie with an exploding barrel',
+        event: 'zombieKilled',
+        filter: { typeId: 'tank', cause: 'barrel' },
+        type: 'count',
+        goal: 1
+    },
+    chain_reaction: {
+        id: 'chain_reaction',
+        name: 'Chain Reaction',
+        description: 'Set off a chain of barrel explosions',
+        event: 'chainExplosion',
+        type: 'count',
+        goal: 1
+    },
+    domino_effect: {
+        id: 'domino_effect',
+        name: 'Domino Effect',
+        description: 'Blow up 5 barrels in a single chain',
+        event: 'chainExplosion',
+        type: 'max',
+        stat: 'chainSize',
+        goal: 5
+    },
+    survivor: {
+        id: 'survivor',
+        name: 'Survivor',
+        description: 'Survive for 5 minutes',
+        event: 'survivalTick',
+        type: 'max',
+        stat: 'minutes',
+        goal: 5
+    },
+    last_one_standing: {
+        id: 'last_one_standing',
+        name: 'Last One Standing',
+        description: 'Survive for 10 minutes',
+        event: 'survivalTick',
+        type: 'max',
+        stat: 'minutes',
+        goal: 10
+    },
+    pistol_purist: {
+        id: 'pistol_purist',
+        name: 'Pistol Purist',
+        description: 'Survive 3 minutes firing only the pistol',
+        event: 'survivalTick',
+        type: 'max',
+        stat: 'minutes',
+        requires: 'pistolOnly',
+        goal: 3
+    }
+};
+
+// Local high-score table shown on the game over screen
+export const LEADERBOARD_CONFIG = {
+    storageKey: 'zombie-shooter-leaderboard',
+    version: 1,
+    size: 10, // Top N runs per ranking
+    nameMaxLength: 10,
+    defaultName: 'PLAYER',
+    scoring: {
+        perSecond: 10, // Survival time
+        perCoin: 5, // Coins already weigh kills by zombie type
+        perWave: 100
+    },
+    sortKey: 'TAB', // Switch between survival time and score
+    modeFilterKey: 'F', // All modes / endless / waves
+    mapFilterKey: 'G' // All maps / this map
+};
+
+// Run replays - every run records its input and seed so it can be re-simulated frame by frame
+export const REPLAY_CONFIG = {
+    version: 1,
+    deltaPrecision: 10, // Frame times are rounded to 1/10 ms - the recorded run plays with the rounded times too
+    checkInterval: 60, // Frames between player position checks that detect a replay going out of sync
+    speeds: [0.25, 0.5, 1, 2, 4, 8],
+    skipSeconds: 5,
+    seekBudget: 40, // Milliseconds of re-simulation per rendered frame while seeking
+    maxFrames: 1000000, // Longest replay a file may hold (about 4.5 hours at 60 fps) - repeat counts can't blow past it
+    keys: {
+        pause: 'SPACE',
+        slower: 'MINUS',
+        faster: 'PLUS',
+        back: 'LEFT',
+        forward: 'RIGHT',
+        exit: 'ESC'
+    },
+    bar: {
+        height: 10,
+        bottomOffset: 30,
+        margin: 40,
+        color: 0xFFCC00,
+        backgroundColor: 0x333333,
+        textColor: '#FFFFFF',
+        warningColor: '#FF6666'
+    }
+};
+
+// Permanent unlocks bought between runs with persistent currency
+export const META_UNLOCKS = {
+    start_shotgun: {
+        id: 'start_shotgun',
+        name: 'Shotgun Start',
+        cost: 150,
+        startingWeapon: 'shotgun', // WEAPON_TYPES / SHOP_ITEMS id
+        description: 'Begin every run with a shotgun'
+    },
+    start_smg: {
+        id: 'start_smg',
+        name: 'SMG Start',
+        cost: 250,
+        startingWeapon: 'smg',
+        description: 'Begin every run with an SMG'
+    },
+    coin_magnet_1: {
+        id: 'coin_magnet_1',
+        name: 'Coin Magnet I',
+        cost: 100,
+        coinMultiplier: 1.25,
+        description: '+25% coins from every kill'
+    },
+    coin_magnet_2: {
+        id: 'coin_magnet_2',
+        name: 'Coin Magnet II',
+        cost: 300,
+        coinMultiplier: 1.5,
+        requiresUnlock: 'coin_magnet_1',
+        description: '+50% coins from every kill'
     }
 };
 
@@ -314,6 +1213,104 @@ export const UI_CONFIG = {
         position: [20, 20],
         color: "#FFFFFF"
     },
+    healthBar: {
+        position: [20, 115],
+        width: 200,
+        height: 16,
+        armorHeight: 6,
+        backgroundColor: 0x222222,
+        healthColor: 0x00CC44,
+        lowHealthColor: 0xFF3333,
+        armorColor: 0x3399FF,
+        lowHealthThreshold: 0.3 // Fraction of max health where the bar turns red
+    },
+    ammoText: {
+        position: [20, 145],
+        size: 16,
+        color: '#FFFFFF',
+        emptyColor: '#FF4444',
+        reloadColor: '#FFFF00'
+    },
+    weaponStrip: {
+        bottomOffset: 20, // Distance from the bottom of the screen
+        slotWidth: 120,
+        slotHeight: 36,
+        spacing: 8,
+        size: 13,
+        backgroundColor: 0x222222,
+        borderColor: 0x666666,
+        activeColor: 0xFFCC00,
+        textColor: '#CCCCCC',
+        activeTextColor: '#FFFF00'
+    },
+    damageNumbers: {
+        poolSize: 40, // Text objects reused for floating numbers
+        rise: 30, // Pixels a number floats up
+        duration: 700, // milliseconds
+        normal: { size: 14, color: '#FFFFFF' },
+        crit: { size: 20, color: '#FFDD00' },
+        kill: { size: 16, color: '#FF4444' }
+    },
+    skillPoints: {
+        position: [20, 205],
+        size: 14,
+        color: '#66CCFF'
+    },
+    dayNightClock: {
+        position: [20, 265],
+        size: 14,
+        dayColor: '#FFDD66',
+        nightColor: '#88AAFF'
+    },
+    buildMenu: {
+        bottomOffset: 70, // Distance from the bottom of the screen, above the weapon strip
+        size: 14,
+        color: '#FFFF00'
+    },
+    weatherText: {
+        position: [20, 285],
+        size: 14,
+        color: '#CCDDFF'
+    },
+    ultimate: {
+        position: [20, 230],
+        width: 150,
+        height: 6,
+        readyColor: '#00FF88',
+        chargingColor: '#AAAAAA',
+        barColor: 0x00FF88
+    },
+    comboMeter: {
+        position: [20, 170],
+        width: 150,
+        height: 6,
+        color: '#FF9933',
+        barColor: 0xFF9933,
+        varietyColor: '#66FFCC' // Text color while a variety streak is running
+    },
+    bossBar: {
+        y: 70,
+        width: 500,
+        height: 18,
+        backgroundColor: 0x222222,
+        fillColor: 0x9933FF
+    },
+    leaderboard: {
+        width: 400,
+        gap: 20, // Space between the stats panel and the leaderboard panel
+        rowHeight: 18,
+        rowColor: '#CCCCCC',
+        highlightColor: '#FFFF00'
+    },
+    achievementToast: {
+        width: 280,
+        height: 56,
+        margin: 20, // Distance from the top-right corner
+        spacing: 8,
+        duration: 3000, // milliseconds on screen
+        backgroundColor: 0x1A1A1A,
+        borderColor: 0xFFCC00
+    },
     gameOverText: {
         font: "monospace",
         size: 32,
@@ -0,0 +1,94 @@
+import { ACHIEVEMENTS, GAME_CONFIG, UI_CONFIG } from '../gameConfig.js';
+import { SaveProfile } from '../systems/SaveProfile.js';
+
+export class AchievementsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'AchievementsScene' });
+    }
+
+    init(data) {
+        // Scene to return to when closed
+        this.returnScene = data.returnScene || 'GameOverScene';
+    }
+
+    create() {
+        const centerX = this.cameras.main.centerX;
+        const centerY = this.cameras.main.centerY;
+        const profile = SaveProfile.load();
+
+        // Create semi-transparent background
+        this.add.rectangle(centerX, centerY, this.cameras.main.width, this.cameras.main.height, 0x000000, 0.85);
+
+        const achievements = Object.values(ACHIEVEMENTS);
+        const rowSpacing = 42;
+        const panelHeight = 130 + achievements.length * rowSpacing;
+        const panel = this.add.rectangle(centerX, centerY, 600, panelHeight, 0x222222, 0.95);
+        panel.setStrokeStyle(2, 0x666666);
+
+        let currentY = centerY - panelHeight / 2 + 30;
+
+        // Title with unlocked count
+        const unlockedCount = achievements.filter(achievement => profile.isAchievementUnlocked(achievement.id)).length;
+        this.add.text(centerX, currentY, `ACHIEVEMENTS ${unlockedCount}/${achievements.length}`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '24px',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+        currentY += 45;
+
+        achievements.forEach(achievement => {
+            this.createAchievementRow(achievement, profile, centerX, currentY);
+            currentY += rowSpacing;
+        });
+
+        // Close instruction
+        this.add.text(centerX, currentY + 5, `Press ${GAME_CONFIG.ACHIEVEMENTS_KEY} or ESC to go back`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '14px',
+            color: '#CCCCCC'
+        }).setOrigin(0.5);
+
+        // Stop the key event here so the game over screen doesn't reopen this scene on the same press
+        [GAME_CONFIG.ACHIEVEMENTS_KEY, Phaser.Input.Keyboard.KeyCodes.ESC].forEach(keyCode => {
+            this.input.keyboard.addKey(keyCode).on('down', (key, event) => {
+                event.stopPropagation();
+                this.closeAchievements();
+            });
+        });
+    }
+
+    createAchievementRow(achievement, profile, x, y) {
+        const unlocked = profile.isAchievementUnlocked(achievement.id);
+        const record = profile.getAchievement(achievement.id);
+
+        const rowBg = this.add.rectangle(x, y, 550, 36, unlocked ? 0x333300 : 0x1A1A1A, 0.8);
+        rowBg.setStrokeStyle(1, unlocked ? 0xFFCC00 : 0x444444);
+
+        this.add.text(x - 260, y - 14, achievement.name, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: unlocked ? '#FFCC00' : '#888888'
+        });
+
+        this.add.text(x - 260, y + 3, achievement.description, {
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            color: unlocked ? '#CCCCCC' : '#777777'
+        });
+
+        // Unlock date or progress towards the goal
+        const status = unlocked
+            ? `UNLOCKED ${record.unlockedAt.slice(0, 10)}`
+            : `${Math.floor(record.progress)}/${achievement.goal}`;
+        this.add.text(x + 260, y, status, {
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            color: unlocked ? '#00FF00' : '#AAAAAA'
+        }).setOrigin(1, 0.5);
+    }
+
+    closeAchievements() {
+        this.scene.stop();
+        this.scene.resume(this.returnScene);
+    }
+}
@@ -0,0 +1,59 @@
+import { GAME_CONFIG } from '../gameConfig.js';
+import { ContentPacks } from '../systems/ContentPacks.js';
+
+export class BootScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'BootScene' });
+    }
+
+    preload() {
+        // Content packs have to be merged before any other scene reads the zombie, weapon and shop tables.
+        // Files are loaded as text so broken JSON gets a readable error instead of stopping the loader
+        const manifestPath = GAME_CONFIG.CONTENT_PACK_MANIFEST;
+        const contentFolder = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+        this.packFiles = [];
+
+        this.load.text('contentManifest', manifestPath);
+        this.load.on('filecomplete-text-contentManifest', (key, type, text) => {
+            const manifest = this.parseJson(manifestPath, text);
+            if (!manifest) return;
+            if (!Array.isArray(manifest.packs)) {
+                console.error(`Content pack manifest ${manifestPath}: "packs" must be a list of file names`);
+                return;
+            }
+
+            manifest.packs.forEach(file => {
+                this.packFiles.push(file);
+                this.load.text(`contentPack:${file}`, `${contentFolder}${file}`);
+            });
+        });
+
+        this.load.on('loaderror', file => {
+            console.warn(`Content file could not be loaded: ${file.src}`);
+        });
+    }
+
+    create() {
+        const packs = this.packFiles
+            .filter(file => this.cache.text.exists(`contentPack:${file}`))
+            .map(file => this.parseJson(file, this.cache.text.get(`contentPack:${file}`)))
+            .filter(pack => pack);
+
+        const { applied, errors } = ContentPacks.applyAll(packs);
+        errors.forEach(error => console.error(error));
+        if (applied.length > 0) {
+            console.log('Content packs loaded:', applied);
+        }
+
+        this.scene.start('CharacterSelectScene');
+    }
+
+    parseJson(file, text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.error(`Content pack ${file} is not valid JSON: ${error.message}`);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,169 @@
+import { GAME_CONFIG, CHARACTER_CLASSES, UI_CONFIG, WEAPON_TYPES } from '../gameConfig.js';
+import { ReplayFile } from '../systems/ReplayFile.js';
+import { FileTransfer } from '../systems/FileTransfer.js';
+
+export class CharacterSelectScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'CharacterSelectScene' });
+    }
+
+    init(data = {}) {
+        // Run settings to hand over to GameScene (empty on first launch so URL parameters still apply)
+        this.runSettings = { gameMode: data.gameMode, mapSettings: data.mapSettings };
+
+        const classIds = Object.keys(CHARACTER_CLASSES);
+        const previousIndex = classIds.indexOf(data.characterClass);
+        this.selectedIndex = previousIndex !== -1 ? previousIndex : Math.max(0, classIds.indexOf(GAME_CONFIG.DEFAULT_CHARACTER_CLASS));
+    }
+
+    create() {
+        const centerX = this.cameras.main.centerX;
+        const centerY = this.cameras.main.centerY;
+        this.classes = Object.values(CHARACTER_CLASSES);
+
+        // Title
+        this.add.text(centerX, centerY - 220, 'CHOOSE YOUR SURVIVOR', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '28px',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+
+        // One card per class
+        const cardWidth = 240;
+        const cardGap = 20;
+        const totalWidth = this.classes.length * cardWidth + (this.classes.length - 1) * cardGap;
+        this.cards = this.classes.map((characterClass, index) => {
+            const x = centerX - totalWidth / 2 + cardWidth / 2 + index * (cardWidth + cardGap);
+            return this.createClassCard(characterClass, index, x, centerY, cardWidth);
+        });
+        this.updateSelection();
+
+        // Instructions
+        this.add.text(centerX, centerY + 210, `1-${this.classes.length} / click: choose   ENTER or SPACE: start   ${GAME_CONFIG.MAP_EDITOR_KEY}: map editor   ${GAME_CONFIG.REPLAY_WATCH_KEY}: open replay`, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: '#CCCCCC'
+        }).setOrigin(0.5);
+
+        // Problems with an opened replay file
+        this.statusText = this.add.text(centerX, centerY + 235, '', {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: '#FF6666'
+        }).setOrigin(0.5);
+
+        // Number keys pick a class
+        ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE'].slice(0, this.classes.length).forEach((keyName, index) => {
+            this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[keyName]).on('down', () => {
+                this.selectedIndex = index;
+                this.updateSelection();
+            });
+        });
+
+        [Phaser.Input.Keyboard.KeyCodes.ENTER, Phaser.Input.Keyboard.KeyCodes.SPACE].forEach(keyCode => {
+            this.input.keyboard.addKey(keyCode).on('down', () => this.startGame());
+        });
+
+        // Build a custom map, then play it with the selected class
+        this.input.keyboard.addKey(GAME_CONFIG.MAP_EDITOR_KEY).on('down', () => {
+            this.scene.start('MapEditorScene', {
+                ...this.runSettings,
+                characterClass: this.classes[this.selectedIndex].id
+            });
+        });
+
+        // Watch a downloaded replay file
+        this.input.keyboard.addKey(GAME_CONFIG.REPLAY_WATCH_KEY).on('down', () => {
+            FileTransfer.pickFile(
+                (text, fileName) => this.openReplay(text, fileName),
+                (error, fileName) => this.statusText.setText(`Could not read ${fileName}: ${error.message}`)
+            );
+        });
+    }
+
+    openReplay(text, fileName) {
+        const { replay, errors } = ReplayFile.parse(text);
+        if (!replay) {
+            console.error(`Replay file ${fileName} rejected:`, errors);
+            this.statusText.setText(`${fileName} is not a valid replay: ${errors[0]}`);
+            return;
+        }
+        this.scene.start('GameScene', { replay });
+    }
+
+    createClassCard(characterClass, index, x, y, width) {
+        const stats = characterClass.stats;
+        const ultimate = characterClass.ultimate;
+        const color = `#${characterClass.tint.toString(16).padStart(6, '0')}`;
+
+        const background = this.add.rectangle(x, y, width, 340, 0x222222, 0.95);
+        background.setInteractive();
+        background.on('pointerover', () => {
+            this.selectedIndex = index;
+            this.updateSelection();
+        });
+        background.on('pointerdown', () => this.startGame());
+
+        const top = y - 150;
+        this.add.text(x, top, `${index + 1}. ${characterClass.name.toUpperCase()}`, {
+            fontFamily: 'monospace',
+            fontSize: '20px',
+            color
+        }).setOrigin(0.5);
+
+        this.add.text(x, top + 40, characterClass.description, {
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            color: '#CCCCCC',
+            align: 'center',
+            wordWrap: { width: width - 30 }
+        }).setOrigin(0.5);
+
+        // Stats that differ from the base character
+        const statLines = [`HP: ${stats.maxHealth || GAME_CONFIG.PLAYER_MAX_HEALTH}`];
+        if (stats.damage && stats.damage !== 1) statLines.push(`Damage: x${stats.damage}`);
+        if (stats.fireRate && stats.fireRate !== 1) statLines.push(`Fire rate: x${stats.fireRate}`);
+        if (stats.speed && stats.speed !== 1) statLines.push(`Speed: x${stats.speed}`);
+        if (stats.barrelDamage) statLines.push(`Barrel blasts: x${stats.barrelDamage}`);
+        if (stats.regen) statLines.push(`Regen: ${stats.regen} HP/s`);
+        if (characterClass.startingTraps) statLines.push(`Extra traps: ${characterClass.startingTraps}`);
+        statLines.push(`Weapon: ${WEAPON_TYPES[characterClass.startingWeapon].name}`);
+
+        this.add.text(x - width / 2 + 20, top + 75, statLines.join('\n'), {
+            fontFamily: 'monospace',
+            fontSize: '13px',
+            color: '#FFFFFF',
+            lineSpacing: 4
+        });
+
+        // Ultimate ability
+        this.add.text(x, top + 240, `${GAME_CONFIG.ULTIMATE_KEY}: ${ultimate.name}`, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: UI_CONFIG.ultimate.readyColor
+        }).setOrigin(0.5);
+        this.add.text(x, top + 270, `${ultimate.description}\n(${ultimate.cooldown / 1000}s cooldown)`, {
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            color: '#AAAAAA',
+            align: 'center',
+            wordWrap: { width: width - 30 }
+        }).setOrigin(0.5);
+
+        return background;
+    }
+
+    updateSelection() {
+        this.cards.forEach((card, index) => {
+            const selected = index === this.selectedIndex;
+            card.setStrokeStyle(selected ? 3 : 1, selected ? this.classes[index].tint : 0x666666);
+        });
+    }
+
+    startGame() {
+        this.scene.start('GameScene', {
+            ...this.runSettings,
+            characterClass: this.classes[this.selectedIndex].id
+        });
+    }
+}
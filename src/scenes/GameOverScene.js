@@ -1,4 +1,8 @@
-import { UI_CONFIG } from '../gameConfig.js';
+import { UI_CONFIG, GAME_CONFIG, GAME_MODES, MAP_BIOMES, LEADERBOARD_CONFIG, ZOMBIE_TYPES } from '../gameConfig.js';
+import { SaveProfile } from '../systems/SaveProfile.js';
+import { Leaderboard } from '../systems/Leaderboard.js';
+import { ReplayFile } from '../systems/ReplayFile.js';
+import { FileTransfer } from '../systems/FileTransfer.js';
 
 export class GameOverScene extends Phaser.Scene {
     constructor() {
@@ -10,26 +14,37 @@ export class GameOverScene extends Phaser.Scene {
         this.finalCoins = data.coins || 0;
         this.gameStats = data.gameStats || {
             totalCoins: 0,
-            zombieKills: { normal: 0, fast: 0, elite_fast: 0, tank: 0 },
+            zombieKills: Object.fromEntries(Object.keys(ZOMBIE_TYPES).map(typeId => [typeId, 0])),
             weaponsPurchased: [],
-            survivalTime: 0
+            survivalTime: 0,
+            wavesReached: 0,
+            maxCombo: 0
         };
+        this.gameMode = GAME_MODES[data.gameMode] ? data.gameMode : GAME_CONFIG.DEFAULT_GAME_MODE;
+        this.mapSettings = data.mapSettings || { biome: GAME_CONFIG.DEFAULT_MAP, seed: null };
+        this.nextMapBiome = this.mapSettings.biome;
+        this.runSeed = data.runSeed || null;
+        this.characterClass = data.characterClass || null;
+        this.currencyEarned = data.currencyEarned || 0;
+        this.replay = data.replay || null;
     }
 
     create() {
-        const centerX = this.cameras.main.centerX;
+        // Stats panel on the left, leaderboard panel on the right
+        const leaderboardConfig = UI_CONFIG.leaderboard;
+        const centerX = this.cameras.main.centerX - (leaderboardConfig.width + leaderboardConfig.gap) / 2;
         const centerY = this.cameras.main.centerY;
 
         // Create full screen semi-transparent overlay
-        this.add.rectangle(centerX, centerY, this.cameras.main.width, this.cameras.main.height, 0x000000, 0.6);
+        this.add.rectangle(this.cameras.main.centerX, centerY, this.cameras.main.width, this.cameras.main.height, 0x000000, 0.6);
 
         // Create compact popup panel
         const panelWidth = 400;
-        const panelHeight = 320;
+        const panelHeight = 420;
         const panel = this.add.rectangle(centerX, centerY, panelWidth, panelHeight, 0x000000, 0.9);
         panel.setStrokeStyle(3, 0x666666);
 
-        let currentY = centerY - 140;
+        let currentY = centerY - 180;
         const lineHeight = 22;
         const sectionSpacing = 25;
 
@@ -68,6 +83,24 @@ export class GameOverScene extends Phaser.Scene {
         }).setOrigin(0.5);
         currentY += sectionSpacing;
 
+        // Map and run seeds (shown so a good map or a bug can be replayed)
+        this.add.text(centerX, currentY, `${this.getMapLabel(this.mapSettings.biome, this.mapSettings.seed)}  RUN #${this.runSeed}`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '13px',
+            color: '#88DDAA'
+        }).setOrigin(0.5);
+        currentY += sectionSpacing - 5;
+
+        // Wave reached (wave mode only)
+        if (this.gameStats.gameMode === 'waves') {
+            this.add.text(centerX, currentY, `WAVE ${this.gameStats.wavesReached}`, {
+                fontFamily: UI_CONFIG.gameOverText.font,
+                fontSize: '18px',
+                color: '#66CCFF'
+            }).setOrigin(0.5);
+            currentY += sectionSpacing;
+        }
+
         // Two column layout for stats
         const col1Y = currentY;
         let col1CurrentY = col1Y;
@@ -88,6 +121,21 @@ export class GameOverScene extends Phaser.Scene {
         }).setOrigin(0.5);
         col1CurrentY += sectionSpacing - 5;
 
+        // Left column - Best kill combo
+        this.add.text(leftX, col1CurrentY, 'MAX COMBO', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '14px',
+            color: '#AAAAAA'
+        }).setOrigin(0.5);
+        col1CurrentY += 16;
+
+        this.add.text(leftX, col1CurrentY, `x${this.gameStats.maxCombo || 0}`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '20px',
+            color: '#FF9933'
+        }).setOrigin(0.5);
+        col1CurrentY += sectionSpacing - 5;
+
         // Right column - Total kills (smaller)
         const totalKills = Object.values(this.gameStats.zombieKills).reduce((sum, kills) => sum + kills, 0);
         this.add.text(rightX, col2CurrentY, 'KILLS', {
@@ -104,37 +152,19 @@ export class GameOverScene extends Phaser.Scene {
         }).setOrigin(0.5);
         col2CurrentY += sectionSpacing - 5;
 
-        // Zombie breakdown (vertical under KILLS column)
+        // Zombie breakdown (vertical under KILLS column) - every type, including content pack zombies
         let breakdownY = col2CurrentY;
+        Object.entries(this.gameStats.zombieKills).forEach(([typeId, kills]) => {
+            const zombieType = ZOMBIE_TYPES[typeId];
+            this.add.text(rightX, breakdownY, `${(zombieType && zombieType.name) || typeId}: ${kills}`, {
+                fontFamily: UI_CONFIG.gameOverText.font,
+                fontSize: '11px',
+                color: zombieType && zombieType.isBoss ? '#CC66FF' : '#CCCCCC'
+            }).setOrigin(0.5);
+            breakdownY += 14;
+        });
 
-        this.add.text(rightX, breakdownY, `Normal: ${this.gameStats.zombieKills.normal}`, {
-            fontFamily: UI_CONFIG.gameOverText.font,
-            fontSize: '11px',
-            color: '#CCCCCC'
-        }).setOrigin(0.5);
-        breakdownY += 14;
-
-        this.add.text(rightX, breakdownY, `Fast: ${this.gameStats.zombieKills.fast}`, {
-            fontFamily: UI_CONFIG.gameOverText.font,
-            fontSize: '11px',
-            color: '#CCCCCC'
-        }).setOrigin(0.5);
-        breakdownY += 14;
-
-        this.add.text(rightX, breakdownY, `Elite Fast: ${this.gameStats.zombieKills.elite_fast}`, {
-            fontFamily: UI_CONFIG.gameOverText.font,
-            fontSize: '11px',
-            color: '#CCCCCC'
-        }).setOrigin(0.5);
-        breakdownY += 14;
-
-        this.add.text(rightX, breakdownY, `Tank: ${this.gameStats.zombieKills.tank}`, {
-            fontFamily: UI_CONFIG.gameOverText.font,
-            fontSize: '11px',
-            color: '#CCCCCC'
-        }).setOrigin(0.5);
-
-        currentY = Math.max(col1CurrentY, breakdownY + 20);
+        currentY = Math.max(col1CurrentY, breakdownY + 6);
 
         // Weapons purchased (if any, more compact)
         if (this.gameStats.weaponsPurchased.length > 0) {
@@ -157,23 +187,365 @@ export class GameOverScene extends Phaser.Scene {
         }
 
         // Restart instruction at bottom (adjusted for smaller panel)
-        const restartY = centerY + 130;
-        this.add.text(centerX, restartY, 'Press SPACE to restart', {
+        const restartY = centerY + 125;
+        this.add.text(centerX, restartY, `Press SPACE to restart  (${GAME_CONFIG.CHARACTER_SELECT_KEY}: class)`, {
             fontFamily: UI_CONFIG.gameOverText.font,
             fontSize: '16px',
             color: '#FFFFFF'
         }).setOrigin(0.5);
 
+        // Game mode selection for the next run
+        this.modeText = this.add.text(centerX, restartY + 22, '', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '12px',
+            color: '#AAAAAA'
+        }).setOrigin(0.5);
+        this.updateModeText();
+
+        // Map selection for the next run
+        this.mapText = this.add.text(centerX, restartY + 38, '', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '12px',
+            color: '#AAAAAA'
+        }).setOrigin(0.5);
+        this.updateMapText();
+
+        // Persistent currency earned this run
+        this.tokenText = this.add.text(centerX, restartY + 56, '', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '12px',
+            color: '#FFCC00'
+        }).setOrigin(0.5);
+        this.updateTokenText();
+
+        // Watch or download the run that just ended
+        if (this.replay) {
+            this.replayText = this.add.text(centerX, restartY + 72,
+                `${GAME_CONFIG.REPLAY_WATCH_KEY}: watch replay  ${GAME_CONFIG.REPLAY_EXPORT_KEY}: download replay`, {
+                    fontFamily: UI_CONFIG.gameOverText.font,
+                    fontSize: '12px',
+                    color: '#AAAAAA'
+                }).setOrigin(0.5);
+        }
+
+        // Refresh the token total after spending tokens in the unlocks screen
+        this.events.on('resume', this.updateTokenText, this);
+
         // Setup restart input
         this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+        this.modeKey = this.input.keyboard.addKey(GAME_CONFIG.MODE_TOGGLE_KEY);
+        this.mapKey = this.input.keyboard.addKey(GAME_CONFIG.MAP_TOGGLE_KEY);
+        this.replayMapKey = this.input.keyboard.addKey(GAME_CONFIG.MAP_REPLAY_KEY);
+        this.unlocksKey = this.input.keyboard.addKey(GAME_CONFIG.UNLOCKS_KEY);
+        this.achievementsKey = this.input.keyboard.addKey(GAME_CONFIG.ACHIEVEMENTS_KEY);
+        this.characterSelectKey = this.input.keyboard.addKey(GAME_CONFIG.CHARACTER_SELECT_KEY);
+        this.watchReplayKey = this.input.keyboard.addKey(GAME_CONFIG.REPLAY_WATCH_KEY);
+        this.exportReplayKey = this.input.keyboard.addKey(GAME_CONFIG.REPLAY_EXPORT_KEY);
+
+        // Local high scores next to the stats panel
+        this.createLeaderboard(centerX + panelWidth / 2 + leaderboardConfig.gap + leaderboardConfig.width / 2, centerY, panelHeight);
+    }
+
+    createLeaderboard(x, centerY, panelHeight) {
+        const config = UI_CONFIG.leaderboard;
+
+        this.leaderboard = Leaderboard.load();
+        this.runEntry = Leaderboard.createEntry(this.gameStats, this.runSeed);
+        this.leaderboardSort = 'survivalTime';
+        this.leaderboardFilter = { gameMode: this.runEntry.gameMode, mapKey: null }; // Same mode, any map
+        this.enteringName = false;
+
+        const panel = this.add.rectangle(x, centerY, config.width, panelHeight, 0x000000, 0.9);
+        panel.setStrokeStyle(3, 0x666666);
+
+        let currentY = centerY - panelHeight / 2 + 30;
+        this.add.text(x, currentY, 'LEADERBOARD', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '22px',
+            color: '#FFCC00'
+        }).setOrigin(0.5);
+        currentY += 26;
+
+        // Current sort and filters with their keys
+        this.leaderboardHeader = this.add.text(x, currentY, '', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '11px',
+            color: '#AAAAAA',
+            align: 'center'
+        }).setOrigin(0.5, 0);
+        currentY += 40;
+
+        // One text row per rank
+        this.leaderboardRows = [];
+        for (let i = 0; i < LEADERBOARD_CONFIG.size; i++) {
+            const row = this.add.text(x - config.width / 2 + 20, currentY, '', {
+                fontFamily: UI_CONFIG.gameOverText.font,
+                fontSize: '13px',
+                color: config.rowColor
+            });
+            this.leaderboardRows.push(row);
+            currentY += config.rowHeight;
+        }
+        currentY += 15;
+
+        // Name entry prompt (only while a new record is being named)
+        this.nameEntryText = this.add.text(x, currentY, '', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '14px',
+            color: config.highlightColor,
+            align: 'center'
+        }).setOrigin(0.5, 0);
+
+        this.sortKey = this.input.keyboard.addKey(LEADERBOARD_CONFIG.sortKey);
+        this.modeFilterKey = this.input.keyboard.addKey(LEADERBOARD_CONFIG.modeFilterKey);
+        this.mapFilterKey = this.input.keyboard.addKey(LEADERBOARD_CONFIG.mapFilterKey);
+
+        if (this.leaderboard.qualifies(this.runEntry)) {
+            this.startNameEntry();
+        } else {
+            this.updateLeaderboard();
+        }
+    }
+
+    startNameEntry() {
+        // Typing goes into the name until ENTER - hotkeys are ignored meanwhile
+        this.enteringName = true;
+        this.playerName = this.leaderboard.lastName;
+        this.nameKeyHandler = event => this.handleNameKey(event);
+        this.input.keyboard.on('keydown', this.nameKeyHandler);
+        this.updateLeaderboard();
+    }
+
+    handleNameKey(event) {
+        if (event.key === 'Enter') {
+            this.finishNameEntry();
+            return;
+        }
+
+        if (event.key === 'Backspace') {
+            this.playerName = this.playerName.slice(0, -1);
+        } else if (/^[a-zA-Z0-9]$/.test(event.key) && this.playerName.length < LEADERBOARD_CONFIG.nameMaxLength) {
+            this.playerName += event.key.toUpperCase();
+        }
+
+        this.updateLeaderboard();
+    }
+
+    finishNameEntry() {
+        this.enteringName = false;
+        this.input.keyboard.off('keydown', this.nameKeyHandler);
+
+        // Letters typed into the name must not fire hotkeys afterwards
+        this.input.keyboard.resetKeys();
+
+        this.leaderboard.addEntry(this.runEntry, this.playerName || LEADERBOARD_CONFIG.defaultName);
+        this.updateLeaderboard();
+    }
+
+    updateLeaderboard() {
+        const config = UI_CONFIG.leaderboard;
+        const filter = this.leaderboardFilter;
+
+        // Show the run being named in its would-be place
+        const entries = this.enteringName
+            ? [...this.leaderboard.data.entries, { ...this.runEntry, name: `${this.playerName}_` }]
+            : this.leaderboard.data.entries;
+        const ranking = this.leaderboard.getRanking(this.leaderboardSort, filter, entries);
+
+        const sortName = this.leaderboardSort === 'score' ? 'Score' : 'Time';
+        const modeName = filter.gameMode ? GAME_MODES[filter.gameMode].name : 'All modes';
+        const mapName = filter.mapKey ? 'This map' : 'All maps';
+        this.leaderboardHeader.setText(
+            `Sort: ${sortName} (${LEADERBOARD_CONFIG.sortKey})\n` +
+            `${modeName} (${LEADERBOARD_CONFIG.modeFilterKey})  ${mapName} (${LEADERBOARD_CONFIG.mapFilterKey})`
+        );
+
+        this.leaderboardRows.forEach((row, index) => {
+            const entry = ranking[index];
+            if (!entry) {
+                row.setText(`${String(index + 1).padStart(2)}. ---`);
+                row.setColor(config.rowColor);
+                return;
+            }
+
+            const value = this.leaderboardSort === 'score' ? String(entry.score) : this.formatTime(entry.survivalTime);
+            const modeLabel = GAME_MODES[entry.gameMode] ? GAME_MODES[entry.gameMode].name : entry.gameMode;
+            row.setText(
+                `${String(index + 1).padStart(2)}. ${entry.name.padEnd(LEADERBOARD_CONFIG.nameMaxLength + 1)} ` +
+                `${value.padStart(6)}  ${modeLabel.padEnd(7)} ${this.getMapKeyLabel(entry.mapKey)}`
+            );
+            row.setColor(entry.id === this.runEntry.id ? config.highlightColor : config.rowColor);
+        });
+
+        this.nameEntryText.setText(this.enteringName
+            ? `NEW RECORD! Type your name\n${this.playerName}_  (ENTER to save)`
+            : '');
+    }
+
+    formatTime(totalSeconds) {
+        return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    getMapKeyLabel(mapKey) {
+        if (mapKey === 'classic') {
+            return 'Classic';
+        }
+        if (mapKey.startsWith('custom#')) {
+            // "custom#<name>#<layout hash>" - only the name is shown
+            const nameAndHash = mapKey.slice('custom#'.length);
+            const hashIndex = nameAndHash.lastIndexOf('#');
+            return `Custom: ${hashIndex === -1 ? nameAndHash : nameAndHash.slice(0, hashIndex)}`;
+        }
+        const [biome, seed] = mapKey.split('#');
+        return `${MAP_BIOMES[biome] ? MAP_BIOMES[biome].name : biome} #${seed}`;
+    }
+
+    updateTokenText() {
+        const profile = SaveProfile.load();
+        this.tokenText.setText(
+            `+${this.currencyEarned} tokens (${profile.currency} total)  ` +
+            `${GAME_CONFIG.UNLOCKS_KEY}: unlocks  ${GAME_CONFIG.ACHIEVEMENTS_KEY}: achievements`
+        );
+    }
+
+    getMapLabel(biome, seed) {
+        if (biome === 'classic') {
+            return 'MAP: Classic';
+        }
+        if (biome === 'custom') {
+            return `MAP: Custom - ${this.mapSettings.map.name}`;
+        }
+        return `MAP: ${MAP_BIOMES[biome].name} #${seed}`;
+    }
+
+    updateModeText() {
+        this.modeText.setText(`Mode: ${GAME_MODES[this.gameMode].name} (${GAME_CONFIG.MODE_TOGGLE_KEY} to change)`);
+    }
+
+    updateMapText() {
+        let mapName = 'Classic';
+        if (this.nextMapBiome === 'custom') {
+            mapName = `Custom - ${this.mapSettings.map.name}`;
+        } else if (this.nextMapBiome !== 'classic') {
+            mapName = `${MAP_BIOMES[this.nextMapBiome].name} (new seed)`;
+        }
+        let text = `Map: ${mapName} (${GAME_CONFIG.MAP_TOGGLE_KEY} to change)`;
+        if (this.runSeed) {
+            text += `  ${GAME_CONFIG.MAP_REPLAY_KEY}: replay run`;
+        }
+        this.mapText.setText(text);
+    }
+
+    restartGame(mapSettings, runSeed = null) {
+        // Stop the overlay and restart the GameScene with the selected mode, map and (optionally) run seed
+        this.scene.stop();
+        this.scene.start('GameScene', { gameMode: this.gameMode, mapSettings, runSeed, characterClass: this.characterClass });
+    }
+
+    openCharacterSelect() {
+        // Pick a different class for the next run, keeping the selected mode and map
+        this.scene.stop('GameScene');
+        this.scene.start('CharacterSelectScene', {
+            gameMode: this.gameMode,
+            mapSettings: this.getNextMapSettings(),
+            characterClass: this.characterClass
+        });
+    }
+
+    watchReplay() {
+        // Re-simulate the run that just ended with the playback controls
+        this.scene.stop();
+        this.scene.start('GameScene', { replay: this.replay });
+    }
+
+    exportReplay() {
+        const fileName = ReplayFile.getFileName(this.replay);
+        FileTransfer.download(fileName, ReplayFile.serialize(this.replay));
+        this.replayText.setText(`Downloaded ${fileName}`);
+    }
+
+    getNextMapSettings() {
+        // Custom maps keep their map data, procedural maps get a fresh seed
+        return this.nextMapBiome === 'custom' ? this.mapSettings : { biome: this.nextMapBiome, seed: null };
     }
 
     update() {
-        // Check for restart
+        // Hotkeys are disabled while typing a leaderboard name
+        if (this.enteringName) {
+            return;
+        }
+
+        // Leaderboard sort and filters
+        if (Phaser.Input.Keyboard.JustDown(this.sortKey)) {
+            this.leaderboardSort = this.leaderboardSort === 'score' ? 'survivalTime' : 'score';
+            this.updateLeaderboard();
+        }
+        if (Phaser.Input.Keyboard.JustDown(this.modeFilterKey)) {
+            const modeFilters = [null, ...Object.keys(GAME_MODES)];
+            const nextIndex = (modeFilters.indexOf(this.leaderboardFilter.gameMode) + 1) % modeFilters.length;
+            this.leaderboardFilter.gameMode = modeFilters[nextIndex];
+            this.updateLeaderboard();
+        }
+        if (Phaser.Input.Keyboard.JustDown(this.mapFilterKey)) {
+            this.leaderboardFilter.mapKey = this.leaderboardFilter.mapKey ? null : this.runEntry.mapKey;
+            this.updateLeaderboard();
+        }
+
+        // Spend persistent tokens on permanent unlocks
+        if (Phaser.Input.Keyboard.JustDown(this.unlocksKey)) {
+            this.scene.pause();
+            this.scene.launch('UnlocksScene', { returnScene: 'GameOverScene' });
+            return;
+        }
+
+        // Browse locked and unlocked achievements
+        if (Phaser.Input.Keyboard.JustDown(this.achievementsKey)) {
+            this.scene.pause();
+            this.scene.launch('AchievementsScene', { returnScene: 'GameOverScene' });
+            return;
+        }
+
+        // Change character class
+        if (Phaser.Input.Keyboard.JustDown(this.characterSelectKey)) {
+            this.openCharacterSelect();
+            return;
+        }
+
+        // Watch or download this run's replay
+        if (this.replay && Phaser.Input.Keyboard.JustDown(this.watchReplayKey)) {
+            this.watchReplay();
+            return;
+        }
+        if (this.replay && Phaser.Input.Keyboard.JustDown(this.exportReplayKey)) {
+            this.exportReplay();
+        }
+
+        // Cycle through game modes
+        if (Phaser.Input.Keyboard.JustDown(this.modeKey)) {
+            const modeIds = Object.keys(GAME_MODES);
+            this.gameMode = modeIds[(modeIds.indexOf(this.gameMode) + 1) % modeIds.length];
+            this.updateModeText();
+        }
+
+        // Cycle through classic map, procedural biomes and the custom map this run was played on
+        if (Phaser.Input.Keyboard.JustDown(this.mapKey)) {
+            const mapIds = ['classic', ...Object.keys(MAP_BIOMES)];
+            if (this.mapSettings.biome === 'custom') {
+                mapIds.push('custom');
+            }
+            this.nextMapBiome = mapIds[(mapIds.indexOf(this.nextMapBiome) + 1) % mapIds.length];
+            this.updateMapText();
+        }
+
+        // Replay the exact same map and random streams
+        if (this.runSeed && Phaser.Input.Keyboard.JustDown(this.replayMapKey)) {
+            this.restartGame(this.mapSettings, this.runSeed);
+            return;
+        }
+
+        // Check for restart (procedural maps get a fresh seed)
         if (Phaser.Input.Keyboard.JustDown(this.spaceKey)) {
-            // Stop the overlay and restart the GameScene
-            this.scene.stop();
-            this.scene.start('GameScene');
+            this.restartGame(this.getNextMapSettings());
         }
     }
 }
\ No newline at end of file
@@ -1,5 +1,28 @@
-import { GAME_CONFIG, ASSETS, UI_CONFIG, PARTICLE_MATERIALS, WEAPON_TYPES, SHOP_ITEMS } from '../gameConfig.js';
+import { GAME_CONFIG, ASSETS, UI_CONFIG, PARTICLE_MATERIALS, WEAPON_TYPES, SHOP_ITEMS, GAME_MODES, BOSS_CONFIG, MAP_BIOMES, CHARACTER_CLASSES, ZOMBIE_TYPES } from '../gameConfig.js';
 import { ZombieSystem } from '../systems/ZombieSystem.js';
+import { WaveSystem } from '../systems/WaveSystem.js';
+import { BossSystem } from '../systems/BossSystem.js';
+import { NavigationSystem } from '../systems/NavigationSystem.js';
+import { MapGenerator } from '../systems/MapGenerator.js';
+import { MapFile } from '../systems/MapFile.js';
+import { RandomService } from '../systems/RandomService.js';
+import { WeaponSystem } from '../systems/WeaponSystem.js';
+import { ProjectileSystem } from '../systems/ProjectileSystem.js';
+import { SaveProfile } from '../systems/SaveProfile.js';
+import { AchievementSystem } from '../systems/AchievementSystem.js';
+import { ComboSystem } from '../systems/ComboSystem.js';
+import { DamageNumberSystem } from '../systems/DamageNumberSystem.js';
+import { SkillSystem } from '../systems/SkillSystem.js';
+import { CharacterSystem } from '../systems/CharacterSystem.js';
+import { DayNightSystem } from '../systems/DayNightSystem.js';
+import { WeatherSystem } from '../systems/WeatherSystem.js';
+import { TrapSystem } from '../systems/TrapSystem.js';
+import { PickupSystem } from '../systems/PickupSystem.js';
+import { EventBus, GAME_EVENTS } from '../systems/EventBus.js';
+import { PlacementRules } from '../systems/PlacementRules.js';
+import { RewardRules } from '../systems/RewardRules.js';
+import { ShopRules } from '../systems/ShopRules.js';
+import { ReplaySystem, MOVE_KEYS } from '../systems/ReplaySystem.js';
 
 export class GameScene extends Phaser.Scene {
     constructor() {
@@ -25,23 +48,161 @@ export class GameScene extends Phaser.Scene {
     resetGameState() {
         // Reset all game state to initial values
         this.coins = 0; // Start with 0 coins
+        this.coinMultiplier = 1; // Raised by permanent unlocks
+        this.coinRemainder = 0; // Fractional coins carried over between kills
         this.currentWeapon = WEAPON_TYPES.pistol;
         this.ownedWeapons = new Set(['pistol']); // Player starts with pistol only
+        this.weaponInventory = [WEAPON_TYPES.pistol]; // Ordered weapon slots for hotkeys 1-9
         this.gameStartTime = 0; // Will be set when game starts
+        this.isGameOver = false;
+
+        // Player health state
+        this.playerMaxHealth = GAME_CONFIG.PLAYER_MAX_HEALTH; // Set by the character class, raised by skills
+        this.playerHealth = this.playerMaxHealth;
+        this.playerArmor = GAME_CONFIG.PLAYER_STARTING_ARMOR;
+        this.playerInvulnerableUntil = 0;
+
+        // World position the player aims at this frame (from the pointer or a replay)
+        this.aimPoint = { x: 0, y: 0 };
         
         // Game statistics
         this.gameStats = {
             totalCoins: 0, // Total coins collected
-            zombieKills: {
-                normal: 0,
-                fast: 0,
-                elite_fast: 0,
-                tank: 0
-            },
+            zombieKills: Object.fromEntries(Object.keys(ZOMBIE_TYPES).map(typeId => [typeId, 0])), // Includes content pack zombies
             weaponsPurchased: [], // List of weapons purchased this game
+            damageTaken: 0, // Total damage the player absorbed with health
+            maxCombo: 0, // Longest kill combo
             survivalTime: 0, // Will be calculated at game over
-            gameStartTime: 0 // Store start time for survival calculation
+            gameStartTime: 0, // Store start time for survival calculation
+            gameMode: this.gameMode,
+            wavesReached: 0, // Highest wave started (wave mode only)
+            mapSettings: this.mapSettings,
+            runSeed: this.runSeed,
+            characterClass: this.characterClass ? this.characterClass.id : null
+        };
+    }
+
+    applyClassLoadout() {
+        const stats = this.characterClass.stats;
+        this.playerMaxHealth = stats.maxHealth || GAME_CONFIG.PLAYER_MAX_HEALTH;
+        this.playerHealth = this.playerMaxHealth;
+
+        // Class weapon goes in the slot after the pistol and is equipped
+        const classWeapon = WEAPON_TYPES[this.characterClass.startingWeapon];
+        if (classWeapon && classWeapon !== WEAPON_TYPES.pistol) {
+            this.ownedWeapons.add(classWeapon.id);
+            this.weaponInventory.push(classWeapon);
+            this.currentWeapon = classWeapon;
+        }
+    }
+
+    applyProfileLoadout() {
+        this.coinMultiplier = this.profile.getCoinMultiplier();
+
+        // Unlocked starting weapon joins the inventory - the class weapon stays equipped
+        const startingWeapon = WEAPON_TYPES[this.profile.getStartingWeapon()];
+        if (startingWeapon && !this.ownedWeapons.has(startingWeapon.id)) {
+            this.ownedWeapons.add(startingWeapon.id);
+            this.weaponInventory.push(startingWeapon);
+        }
+
+        console.log('Profile loadout:', { startingWeapon: this.currentWeapon.name, coinMultiplier: this.coinMultiplier });
+    }
+
+    spendCoins(amount) {
+        // Returns false if the player can't afford it
+        if (this.coins < amount) {
+            return false;
+        }
+
+        this.coins -= amount;
+        this.coinText.setText(`Coins: ${this.coins}`);
+        this.updateShopHint();
+        return true;
+    }
+
+    getStatMultiplier(key) {
+        // Class stats and learned skills stack multiplicatively
+        return this.characterSystem.getMultiplier(key) * this.skillSystem.getMultiplier(key);
+    }
+
+    setupEventHandlers() {
+        // Registered before any system so kill rewards use the combo multiplier from before the kill
+        this.eventBus.on(GAME_EVENTS.ZOMBIE_KILLED, this.onZombieKilled, this);
+        this.eventBus.on(GAME_EVENTS.PLAYER_DAMAGED, this.onPlayerDamaged, this);
+        this.eventBus.on(GAME_EVENTS.WEAPON_PURCHASED, this.onWeaponPurchased, this);
+    }
+
+    onZombieKilled({ zombie, typeId, coinReward }) {
+        // Coin reward is set at spawn (higher for night spawns), multipliers are applied here
+        const coins = this.awardCoins(coinReward);
+        this.gameStats.zombieKills[typeId]++;
+
+        this.eventBus.emit(GAME_EVENTS.COINS_AWARDED, { amount: coins, reason: 'kill', x: zombie.x, y: zombie.y });
+    }
+
+    onPlayerDamaged({ healthDamage }) {
+        this.gameStats.damageTaken += healthDamage;
+    }
+
+    onWeaponPurchased({ name, price }) {
+        this.gameStats.weaponsPurchased.push({
+            name,
+            price,
+            purchaseTime: Math.floor((this.time.now - this.gameStats.gameStartTime) / 1000)
+        });
+    }
+
+    awardCoins(amount) {
+        // Apply the unlock and combo multipliers - fractions carry over so small rewards still benefit
+        const multiplier = this.coinMultiplier * this.comboSystem.getMultiplier();
+        const { coins, remainder } = RewardRules.calculateCoins(amount, multiplier, this.coinRemainder);
+        this.coinRemainder = remainder;
+
+        this.coins += coins;
+        this.gameStats.totalCoins += coins;
+        this.coinText.setText(`Coins: ${this.coins}`);
+        this.updateShopHint();
+
+        return coins;
+    }
+
+    init(data = {}) {
+        // Watching a replay runs the recorded run's settings (seek, speed and pause survive seeking backwards)
+        this.replay = data.replay || null;
+        this.replayOptions = { seek: data.replaySeek || 0, speed: data.replaySpeed || 1, paused: data.replayPaused || false };
+        if (this.replay) {
+            data = { ...this.replay.run };
+        }
+
+        // Receive run settings from the previous scene (restart keeps the chosen mode)
+        // First launch can pick a mode with ?mode=waves in the URL
+        const urlParams = new URLSearchParams(window.location.search);
+        const requestedMode = data.gameMode || urlParams.get('mode');
+        this.gameMode = GAME_MODES[requestedMode] ? requestedMode : GAME_CONFIG.DEFAULT_GAME_MODE;
+
+        // Map is the hand-made classic layout, a seeded procedural biome (?map=forest&seed=ABC123)
+        // or a custom map from the editor (?map=custom) or a map file (?mapFile=maps/arena.json)
+        const mapFile = urlParams.get('mapFile');
+        const requestedMap = data.mapSettings ||
+            (mapFile ? { biome: 'custom', file: mapFile } : { biome: urlParams.get('map'), seed: urlParams.get('seed') });
+        const isKnownMap = requestedMap.biome === 'classic' || requestedMap.biome === 'custom' || MAP_BIOMES[requestedMap.biome];
+        const biome = isKnownMap ? requestedMap.biome : GAME_CONFIG.DEFAULT_MAP;
+        this.mapSettings = {
+            biome,
+            seed: MAP_BIOMES[biome] ? (requestedMap.seed || RandomService.createSeed()) : null
         };
+        if (biome === 'custom') {
+            // Map data handed over by the editor, a file loaded in preload, or else the map saved in the editor
+            this.mapSettings.file = requestedMap.file || null;
+            this.mapSettings.map = requestedMap.map || (this.mapSettings.file ? null : MapFile.load());
+        }
+
+        // Run seed drives every gameplay roll so a run can be reproduced (?runSeed=ABC123)
+        this.runSeed = data.runSeed || urlParams.get('runSeed') || RandomService.createSeed();
+
+        // Character class picked on the select screen
+        this.characterClass = CHARACTER_CLASSES[data.characterClass] || CHARACTER_CLASSES[GAME_CONFIG.DEFAULT_CHARACTER_CLASS];
     }
 
     preload() {
@@ -60,6 +221,11 @@ export class GameScene extends Phaser.Scene {
             console.log('All assets loaded successfully');
         });
 
+        // Custom map file (?mapFile=...)
+        if (this.mapSettings.file && !this.mapSettings.map) {
+            this.load.json(`map:${this.mapSettings.file}`, this.mapSettings.file);
+        }
+
         console.log('GameScene: Starting asset loading...');
     }
 
@@ -69,6 +235,24 @@ export class GameScene extends Phaser.Scene {
         // Reset game state when scene starts
         this.resetGameState();
 
+        // Gameplay event bus - rewards, stats, UI and achievements subscribe instead of being called from combat code
+        this.eventBus = new EventBus(this);
+        this.setupEventHandlers();
+
+        // Character class stats and starting weapon
+        this.applyClassLoadout();
+
+        // Permanent unlocks from the save profile (starting weapon, coin multiplier) - replays use the
+        // recorded profile and never save it
+        this.profile = this.replay ? SaveProfile.fromData(this.replay.profile) : SaveProfile.load();
+        this.applyProfileLoadout();
+
+        // Records this run's input, or plays back a recorded run
+        this.replaySystem = new ReplaySystem(this, this.replay, this.replayOptions);
+
+        // Seeded random streams for this run
+        this.rng = new RandomService(this.runSeed);
+
         // Set world bounds (larger than screen)
         this.physics.world.setBounds(0, 0, GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT);
 
@@ -102,13 +286,62 @@ export class GameScene extends Phaser.Scene {
         // Create UI
         this.createUI();
 
+        // Initialize ammo and reloading for the starting weapons
+        this.weaponSystem = new WeaponSystem(this);
+        this.weaponInventory.forEach(weaponType => this.weaponSystem.initWeapon(weaponType));
+
+        // Per-weapon bullet modifiers (pierce, ricochet, homing, explosive)
+        this.projectileSystem = new ProjectileSystem(this);
+
+        // Skill points and the modifiers of learned skills
+        this.skillSystem = new SkillSystem(this);
+
+        // Class passives and the ultimate ability
+        this.characterSystem = new CharacterSystem(this, this.characterClass);
+
+        // Kill combos scale coin rewards
+        this.comboSystem = new ComboSystem(this);
+
+        // Floating damage numbers, crits and kill indicators
+        this.damageNumberSystem = new DamageNumberSystem(this);
+
+        // Achievements listen to gameplay events on the event bus
+        this.achievementSystem = new AchievementSystem(this, this.profile);
+
         // Set game start time
         this.gameStartTime = this.time.now;
         this.gameStats.gameStartTime = this.time.now;
 
+        // Day/night cycle - must exist before zombies spawn
+        this.dayNightSystem = new DayNightSystem(this);
+
+        // Random weather events (rain, fog, thunderstorms)
+        this.weatherSystem = new WeatherSystem(this);
+
+        // Build navigation grid from obstacles for zombie pathfinding
+        this.navigationSystem = new NavigationSystem(this);
+
         // Initialize zombie system
         this.zombieSystem = new ZombieSystem(this);
 
+        // Build mode: traps and barricades (engineers start with free placements)
+        this.trapSystem = new TrapSystem(this, this.characterClass.startingTraps || 0);
+
+        // Ammo crates dropped by killed zombies
+        this.pickupSystem = new PickupSystem(this);
+
+        // Initialize boss encounters
+        this.bossSystem = new BossSystem(this, this.zombieSystem);
+
+        // Start spawning for the selected game mode
+        if (this.gameMode === 'waves') {
+            this.waveSystem = new WaveSystem(this, this.zombieSystem);
+        } else {
+            this.waveSystem = null;
+            this.zombieSystem.setupZombieSpawning();
+            this.bossSystem.scheduleBossSpawn(BOSS_CONFIG.firstSpawnTime);
+        }
+
         // Setup collision detection
         this.setupCollisions();
     }
@@ -183,27 +416,12 @@ export class GameScene extends Phaser.Scene {
         this.treesHitDetection = this.physics.add.staticGroup();
         this.barrelsHitDetection = this.physics.add.staticGroup();
 
-        // Generate environment positions (from KAPLAY version)
-        const { wallPositions, treePositions } = this.generateEnvironmentPositions();
-        const barrelPositions = this.generateBarrelPositions(wallPositions, treePositions);
+        // Generate environment positions for the selected map
+        this.mapLayout = this.generateMapLayout();
+        const { wallPositions, treePositions, barrelPositions } = this.mapLayout;
 
         // Create walls with dual collision system
-        wallPositions.forEach(pos => {
-            // Physics body for movement collision (smaller)
-            const wallPhysics = this.environment.create(pos.x, pos.y, 'wall');
-            wallPhysics.setSize(GAME_CONFIG.PHYSICS_BOXES.wall.width, GAME_CONFIG.PHYSICS_BOXES.wall.height);
-            wallPhysics.setScale(GAME_CONFIG.GLOBAL_SCALE);
-            wallPhysics.objectType = 'wall';
-            wallPhysics.setImmovable(true);
-
-            // Hit detection body for bullets (larger)
-            const wallHit = this.environmentHitDetection.create(pos.x, pos.y, null);
-            wallHit.setSize(GAME_CONFIG.HIT_DETECTION_BOXES.wall.width, GAME_CONFIG.HIT_DETECTION_BOXES.wall.height);
-            wallHit.setVisible(false);
-            wallHit.objectType = 'wall';
-            wallHit.health = 1;
-            wallHit.setImmovable(true);
-        });
+        wallPositions.forEach(pos => this.createWall(pos.x, pos.y));
 
         // Create trees with dual collision system
         treePositions.forEach(pos => {
@@ -242,6 +460,25 @@ export class GameScene extends Phaser.Scene {
         });
     }
 
+    createWall(x, y, health = 1) {
+        // Physics body for movement collision (smaller)
+        const wallPhysics = this.environment.create(x, y, 'wall');
+        wallPhysics.setSize(GAME_CONFIG.PHYSICS_BOXES.wall.width, GAME_CONFIG.PHYSICS_BOXES.wall.height);
+        wallPhysics.setScale(GAME_CONFIG.GLOBAL_SCALE);
+        wallPhysics.objectType = 'wall';
+        wallPhysics.setImmovable(true);
+
+        // Hit detection body for bullets (larger)
+        const wallHit = this.environmentHitDetection.create(x, y, null);
+        wallHit.setSize(GAME_CONFIG.HIT_DETECTION_BOXES.wall.width, GAME_CONFIG.HIT_DETECTION_BOXES.wall.height);
+        wallHit.setVisible(false);
+        wallHit.objectType = 'wall';
+        wallHit.health = health;
+        wallHit.setImmovable(true);
+
+        return wallPhysics;
+    }
+
     createPhysicsGroups() {
         // Create physics groups for game objects
         this.bullets = this.physics.add.group({
@@ -295,6 +532,16 @@ export class GameScene extends Phaser.Scene {
         );
         this.gun.setScale(GAME_CONFIG.GLOBAL_SCALE * 0.6);
         this.gun.setOrigin(0.5, 0.5);
+        this.applyGunTint(this.currentWeapon);
+    }
+
+    applyGunTint(weaponType) {
+        // Weapons that share a sprite are told apart by tint
+        if (weaponType.gunTint) {
+            this.gun.setTint(weaponType.gunTint);
+        } else {
+            this.gun.clearTint();
+        }
     }
 
     setupControls() {
@@ -306,11 +553,103 @@ export class GameScene extends Phaser.Scene {
 
         // Shop toggle key
         this.shopKey = this.input.keyboard.addKey(GAME_CONFIG.SHOP_TOGGLE_KEY);
-        this.shopKey.on('down', this.toggleShop, this);
+        this.shopKey.on('down', () => this.replaySystem.queueAction('shop'));
+
+        // Skill tree key
+        this.skillTreeKey = this.input.keyboard.addKey(GAME_CONFIG.SKILL_TREE_KEY);
+        this.skillTreeKey.on('down', () => this.replaySystem.queueAction('skills'));
+
+        // Reload key
+        this.reloadKey = this.input.keyboard.addKey(GAME_CONFIG.RELOAD_KEY);
+        this.reloadKey.on('down', () => this.replaySystem.queueAction('reload'));
+
+        // Class ultimate ability
+        this.ultimateKey = this.input.keyboard.addKey(GAME_CONFIG.ULTIMATE_KEY);
+        this.ultimateKey.on('down', () => this.replaySystem.queueAction('ultimate'));
+
+        // Build mode toggle
+        this.buildKey = this.input.keyboard.addKey(GAME_CONFIG.BUILD_MODE_KEY);
+        this.buildKey.on('down', () => this.replaySystem.queueAction('build'));
+
+        // Number keys 1-9 select inventory slots (trap types in build mode)
+        ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE'].forEach((keyName, slot) => {
+            const slotKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[keyName]);
+            slotKey.on('down', () => this.replaySystem.queueAction(`slot:${slot}`));
+        });
 
+        // Mouse wheel cycles through owned weapons (trap types in build mode)
+        this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+            if (deltaY === 0) return;
+            this.replaySystem.queueAction(`wheel:${Math.sign(deltaY)}`);
+        });
 
-        // Mouse input for shooting
-        this.input.on('pointerdown', this.shoot, this);
+        // Mouse input for shooting - clicks are queued and fired from update() with the weapon's fire mode
+        // Right click leaves build mode
+        this.input.mouse.disableContextMenu();
+        this.triggerPressed = false;
+        this.input.on('pointerdown', pointer => {
+            this.replaySystem.queueAction(pointer.rightButtonDown() ? 'cancelBuild' : 'fire');
+        });
+    }
+
+    applyAction(action) {
+        // Key presses, clicks and purchases ("reload", "slot:2", "buy:shotgun"), recorded for replays
+        // and applied at the start of the frame
+        const [command, value] = action.split(':');
+
+        switch (command) {
+            case 'fire':
+                this.triggerPressed = true;
+                break;
+            case 'cancelBuild':
+                if (this.trapSystem.buildMode) {
+                    this.trapSystem.toggleBuildMode();
+                }
+                break;
+            case 'reload':
+                this.weaponSystem.startReload();
+                break;
+            case 'ultimate':
+                this.characterSystem.activateUltimate();
+                break;
+            case 'build':
+                this.trapSystem.toggleBuildMode();
+                break;
+            case 'slot':
+                if (this.trapSystem.buildMode) {
+                    this.trapSystem.selectTrap(Number(value));
+                } else {
+                    this.selectWeaponSlot(Number(value));
+                }
+                break;
+            case 'wheel':
+                if (this.trapSystem.buildMode) {
+                    this.trapSystem.cycleTrap(Number(value));
+                } else {
+                    this.cycleWeapon(Number(value));
+                }
+                break;
+            case 'shop':
+                this.toggleShop();
+                break;
+            case 'skills':
+                this.openSkillTree();
+                break;
+            case 'buy': {
+                // Purchases are made in ShopScene - a replay redoes them here
+                const item = SHOP_ITEMS[value];
+                const result = item ? ShopRules.purchase(item, this.coins, this.ownedWeapons) : null;
+                if (result) {
+                    this.handlePurchase(item, result.coins, result.ownedWeapons);
+                }
+                break;
+            }
+            case 'learn':
+                this.learnSkill(value);
+                break;
+            default:
+                console.warn(`Unknown action "${action}"`);
+        }
     }
 
     setupCameraBounds() {
@@ -402,6 +741,56 @@ export class GameScene extends Phaser.Scene {
         this.notificationText.setOrigin(0.5);
         this.notificationText.setScrollFactor(0);
         this.notificationText.setVisible(false);
+
+        // Create player health and armor bars
+        this.createHealthBar();
+    }
+
+    createHealthBar() {
+        const config = UI_CONFIG.healthBar;
+        const [x, y] = config.position;
+
+        this.healthBarBg = this.add.rectangle(x, y, config.width, config.height, config.backgroundColor);
+        this.healthBarBg.setOrigin(0, 0);
+        this.healthBarBg.setStrokeStyle(1, 0x666666);
+
+        this.healthBarFill = this.add.rectangle(x, y, config.width, config.height, config.healthColor);
+        this.healthBarFill.setOrigin(0, 0);
+
+        this.healthBarText = this.add.text(x + config.width / 2, y + config.height / 2, '', {
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            color: '#FFFFFF'
+        });
+        this.healthBarText.setOrigin(0.5);
+
+        // Armor bar sits right under the health bar
+        const armorY = y + config.height + 2;
+        this.armorBarBg = this.add.rectangle(x, armorY, config.width, config.armorHeight, config.backgroundColor);
+        this.armorBarBg.setOrigin(0, 0);
+
+        this.armorBarFill = this.add.rectangle(x, armorY, config.width, config.armorHeight, config.armorColor);
+        this.armorBarFill.setOrigin(0, 0);
+
+        // Keep HUD fixed to camera and above world effects
+        [this.healthBarBg, this.healthBarFill, this.healthBarText, this.armorBarBg, this.armorBarFill].forEach(element => {
+            element.setScrollFactor(0);
+            element.setDepth(100);
+        });
+
+        this.updateHealthBar();
+    }
+
+    updateHealthBar() {
+        const config = UI_CONFIG.healthBar;
+        const healthPercent = Phaser.Math.Clamp(this.playerHealth / this.playerMaxHealth, 0, 1);
+        const armorPercent = Phaser.Math.Clamp(this.playerArmor / GAME_CONFIG.PLAYER_MAX_ARMOR, 0, 1);
+
+        this.healthBarFill.setSize(config.width * healthPercent, config.height);
+        this.healthBarFill.setFillStyle(healthPercent <= config.lowHealthThreshold ? config.lowHealthColor : config.healthColor);
+        this.armorBarFill.setSize(config.width * armorPercent, config.armorHeight);
+
+        this.healthBarText.setText(`HP ${Math.ceil(this.playerHealth)}/${this.playerMaxHealth}`);
     }
 
 
@@ -421,7 +810,7 @@ export class GameScene extends Phaser.Scene {
         // Bullets vs Zombies
         this.physics.add.overlap(this.bullets, this.zombies, this.zombieSystem.bulletHitZombie, null, this.zombieSystem);
 
-        // CRITICAL: Player vs Zombies - PRECISE collision detection for game over
+        // CRITICAL: Player vs Zombies - PRECISE collision detection for contact damage
         this.physics.add.overlap(this.player, this.zombies, this.playerHitZombie, null, this);
 
         // Zombie vs Environment (using smaller physics boxes for tighter movement)
@@ -435,18 +824,54 @@ export class GameScene extends Phaser.Scene {
     }
 
     update(time, delta) {
-        // Update spawn speed based on game time
-        this.zombieSystem.updateSpawnSpeed();
+        // This frame's input - live while recording, the recorded frame when watching a replay
+        const input = this.replaySystem.readInput();
+        input.actions.forEach(action => this.applyAction(action));
+        this.aimPoint = { x: input.aimX, y: input.aimY };
+
+        // Update spawning for the current game mode
+        if (this.waveSystem) {
+            this.waveSystem.update();
+        } else {
+            // Update spawn speed based on game time
+            this.zombieSystem.updateSpawnSpeed();
+        }
 
         // Handle player movement
-        this.handlePlayerMovement();
+        this.handlePlayerMovement(input.keys);
 
         // Update gun position and rotation
         this.updateGun();
 
+        // Fire according to the current weapon's fire mode
+        this.handleFiring(time, input.held);
+
+        // Update reload progress
+        this.weaponSystem.update(time);
+
+        // Update shared zombie flow field
+        this.navigationSystem.update(time);
+
         // Update zombies AI
         this.zombieSystem.updateZombies();
 
+        // Update boss phases and attacks
+        this.bossSystem.update(time);
+
+        // Steer homing bullets
+        this.projectileSystem.update(delta);
+
+        // Survival-time achievements
+        this.achievementSystem.update(time);
+
+        // Combo meter decay
+        this.comboSystem.update(time);
+        this.characterSystem.update(time, delta);
+        this.dayNightSystem.update(delta);
+        this.weatherSystem.update(delta);
+        this.trapSystem.update(time);
+        this.pickupSystem.update(time);
+
         // Update bullet trails
         this.bullets.children.entries.forEach(bullet => {
             if (bullet.active && bullet.updateTrail) {
@@ -455,34 +880,35 @@ export class GameScene extends Phaser.Scene {
         });
     }
 
-    handlePlayerMovement() {
+    handlePlayerMovement(keys) {
         const velocity = new Phaser.Math.Vector2(0, 0);
 
-        // WASD or Arrow Key movement
-        if (this.wasdKeys.A.isDown || this.cursors.left.isDown) {
+        // WASD or Arrow Key movement (held keys as MOVE_KEYS bits)
+        if (keys & MOVE_KEYS.left) {
             velocity.x = -1;
         }
-        if (this.wasdKeys.D.isDown || this.cursors.right.isDown) {
+        if (keys & MOVE_KEYS.right) {
             velocity.x = 1;
         }
-        if (this.wasdKeys.W.isDown || this.cursors.up.isDown) {
+        if (keys & MOVE_KEYS.up) {
             velocity.y = -1;
         }
-        if (this.wasdKeys.S.isDown || this.cursors.down.isDown) {
+        if (keys & MOVE_KEYS.down) {
             velocity.y = 1;
         }
 
-        // Normalize diagonal movement
+        // Normalize diagonal movement, speed skills raise the cap as well and rain slows everyone down
+        const speed = GAME_CONFIG.PLAYER_SPEED * this.getStatMultiplier('speed') * this.weatherSystem.getSpeedMultiplier();
         velocity.normalize();
-        velocity.scale(GAME_CONFIG.PLAYER_SPEED);
+        velocity.scale(speed);
+        this.player.setMaxVelocity(speed);
 
         this.player.setVelocity(velocity.x, velocity.y);
     }
 
     updateGun() {
-        // Get mouse position in world coordinates
-        const pointer = this.input.activePointer;
-        const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        // Mouse position in world coordinates
+        const worldPoint = this.aimPoint;
 
         // Calculate angle from player to mouse
         const angle = Phaser.Math.Angle.Between(this.player.x, this.player.y, worldPoint.x, worldPoint.y);
@@ -509,21 +935,47 @@ export class GameScene extends Phaser.Scene {
 
 
 
+    handleFiring(time, triggerHeld) {
+        // Clicks place traps instead of shooting in build mode
+        if (this.trapSystem.buildMode) {
+            if (this.triggerPressed && !this.shopVisible) {
+                this.trapSystem.tryPlace();
+            }
+            this.triggerPressed = false;
+            return;
+        }
+
+        if (this.weaponSystem.shouldFire(time, this.triggerPressed, triggerHeld)) {
+            this.shoot();
+        }
+        this.triggerPressed = false;
+    }
+
     shoot() {
         // Don't shoot if shop is open
         if (this.shopVisible) {
             return;
         }
 
-        // Get mouse position in world coordinates
-        const pointer = this.input.activePointer;
-        const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        // Respect fire cooldown, reloads and magazine ammo (fire rate skills shorten the cooldown)
+        if (!this.weaponSystem.tryFire(this.time.now, this.getStatMultiplier('fireRate'))) {
+            return;
+        }
 
-        // Calculate direction from gun to mouse
-        const baseAngle = Phaser.Math.Angle.Between(this.gun.x, this.gun.y, worldPoint.x, worldPoint.y);
+        this.eventBus.emit(GAME_EVENTS.WEAPON_FIRED, { weaponId: this.currentWeapon.id });
+
+        // Mouse position in world coordinates
+        const worldPoint = this.aimPoint;
 
         // Create bullets based on current weapon
         const weapon = this.currentWeapon;
+
+        // Calculate direction from gun to mouse, with random jitter for inaccurate weapons
+        let baseAngle = Phaser.Math.Angle.Between(this.gun.x, this.gun.y, worldPoint.x, worldPoint.y);
+        if (weapon.inaccuracy) {
+            baseAngle += (this.rng.gameplay.frac() - 0.5) * weapon.inaccuracy;
+        }
+
         const bulletCount = weapon.bulletCount;
         const spread = weapon.spread;
 
@@ -572,7 +1024,7 @@ export class GameScene extends Phaser.Scene {
             bullet.rayWidth = rayWidth; // Store for collision detection
         } else {
             // Create normal circular bullet
-            bullet = this.add.circle(x, y, 3 * GAME_CONFIG.GLOBAL_SCALE, 0xFFFF00);
+            bullet = this.add.circle(x, y, 3 * GAME_CONFIG.GLOBAL_SCALE, this.currentWeapon.bulletColor || 0xFFFF00);
             bullet.setStrokeStyle(1, 0xFF6600, 1); // Orange outline
         }
 
@@ -594,8 +1046,13 @@ export class GameScene extends Phaser.Scene {
             bullet.body.velocity.y = velY;
         }
         
-        // Store weapon damage on bullet
-        bullet.damage = this.currentWeapon.damage || 1;
+        // Store weapon damage and projectile modifiers on bullet
+        this.projectileSystem.applyModifiers(bullet, this.currentWeapon, this.getStatMultiplier('damage'));
+
+        // Sniper's Deadeye turns every hit into a critical hit
+        if (this.characterSystem.isUltimateActive('deadeye')) {
+            bullet.critChance = 1;
+        }
 
         if (!bullet.isRay) {
             // Initialize bullet trail system (only for normal bullets)
@@ -636,8 +1093,6 @@ export class GameScene extends Phaser.Scene {
 
     // Collision handlers
     bulletHitEnvironment(bullet, environment) {
-        this.cleanupBulletTrail(bullet);
-
         // Add particle effects based on object type
         const materialType = this.getMaterialType(environment.objectType || 'wall');
         this.createHitEffect(bullet.x, bullet.y, materialType);
@@ -651,9 +1106,21 @@ export class GameScene extends Phaser.Scene {
 
                 // Find and destroy the corresponding visual/physics object
                 this.destroyCorrespondingVisualObject(environment);
+                this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, {
+                    objectType: environment.objectType || 'wall',
+                    x: environment.x,
+                    y: environment.y,
+                    cause: 'bullet'
+                });
             }
         }
 
+        // Ricocheting bullets bounce off, everything else stops here
+        if (this.projectileSystem.onHitWall(bullet)) {
+            return;
+        }
+
+        this.cleanupBulletTrail(bullet);
         bullet.destroy();
     }
 
@@ -665,6 +1132,7 @@ export class GameScene extends Phaser.Scene {
         const barrelY = barrel.y;
 
         // Destroy hit detection barrel
+        this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, { objectType: 'explosive_barrel', x: barrelX, y: barrelY, cause: 'bullet' });
         barrel.destroy();
 
         // Find and destroy corresponding visual barrel
@@ -677,34 +1145,158 @@ export class GameScene extends Phaser.Scene {
     }
 
     bulletHitBoundary(bullet, _boundary) {
+        if (this.projectileSystem.onHitWall(bullet)) {
+            return;
+        }
+
         this.cleanupBulletTrail(bullet);
         bullet.destroy();
     }
 
 
     playerHitZombie(player, zombie) {
-        // CRITICAL: This is our precise collision detection for game over
-        console.log('Player hit zombie - GAME OVER!');
-        console.log('Collision details:', {
-            playerPos: { x: player.x, y: player.y },
-            zombiePos: { x: zombie.x, y: zombie.y },
-            distance: Phaser.Math.Distance.Between(player.x, player.y, zombie.x, zombie.y),
-            playerBodySize: { width: player.body.width, height: player.body.height },
-            zombieBodySize: { width: zombie.body.width, height: zombie.body.height }
+        // Each zombie attacks on its own cooldown while touching the player
+        const attackCooldown = zombie.zombieTypeConfig.attackCooldown || 1000;
+        if (zombie.lastAttackTime && this.time.now - zombie.lastAttackTime < attackCooldown) {
+            return;
+        }
+        zombie.lastAttackTime = this.time.now;
+
+        const damage = zombie.zombieTypeConfig.contactDamage || 10;
+        this.damagePlayer(damage, zombie.zombieTypeConfig.id);
+    }
+
+    damagePlayer(amount, source) {
+        if (this.isGameOver || amount <= 0) {
+            return;
+        }
+
+        // Ignore hits during invulnerability frames
+        if (this.time.now < this.playerInvulnerableUntil) {
+            return;
+        }
+
+        // Armor soaks up part of the damage until it is depleted
+        const absorbed = Math.min(this.playerArmor, amount * GAME_CONFIG.ARMOR_ABSORPTION);
+        const healthDamage = amount - absorbed;
+        this.playerArmor -= absorbed;
+        this.playerHealth = Math.max(0, this.playerHealth - healthDamage);
+
+        this.updateHealthBar();
+        this.eventBus.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+            amount,
+            healthDamage,
+            armorDamage: absorbed,
+            source,
+            health: this.playerHealth
         });
 
-        // Transition to game over scene as overlay
+        console.log(`Player took ${amount} damage from ${source}:`, {
+            absorbedByArmor: absorbed,
+            health: this.playerHealth,
+            armor: this.playerArmor
+        });
+
+        if (this.playerHealth <= 0) {
+            this.triggerGameOver(source);
+            return;
+        }
+
+        // Start invulnerability frames with a flicker effect
+        this.playerInvulnerableUntil = this.time.now + GAME_CONFIG.PLAYER_INVULNERABILITY_TIME;
+        this.cameras.main.flash(100, 255, 0, 0);
+        this.tweens.add({
+            targets: this.player,
+            alpha: 0.3,
+            duration: 100,
+            yoyo: true,
+            repeat: Math.floor(GAME_CONFIG.PLAYER_INVULNERABILITY_TIME / 200) - 1,
+            onComplete: () => this.player.setAlpha(1)
+        });
+    }
+
+    triggerGameOver(source) {
+        if (this.isGameOver) {
+            return;
+        }
+        this.isGameOver = true;
+
+        console.log(`Player killed by ${source} - GAME OVER!`);
+
         // Calculate survival time
         this.gameStats.survivalTime = Math.floor((this.time.now - this.gameStats.gameStartTime) / 1000);
-        
+        this.eventBus.emit(GAME_EVENTS.RUN_ENDED, { cause: source, gameStats: this.gameStats });
+
+        // Replays stop here - nothing is saved and the run stays on screen with the playback controls
+        if (this.replaySystem.isPlayback) {
+            return;
+        }
+
+        // Save lifetime stats and pay out persistent currency
+        const currencyEarned = this.profile.recordRun(this.gameStats);
+
         // Pause current scene and launch game over as overlay
         this.scene.pause();
-        this.scene.launch('GameOverScene', { 
+        this.scene.launch('GameOverScene', {
             coins: this.coins,
-            gameStats: this.gameStats
+            gameStats: this.gameStats,
+            gameMode: this.gameMode,
+            mapSettings: this.mapSettings,
+            runSeed: this.runSeed,
+            characterClass: this.characterClass.id,
+            currencyEarned,
+            replay: this.replaySystem.getRecording({
+                cause: source,
+                survivalTime: this.gameStats.survivalTime,
+                totalCoins: this.gameStats.totalCoins
+            })
         });
     }
 
+    generateMapLayout() {
+        if (this.mapSettings.biome === 'custom') {
+            const layout = this.loadCustomMapLayout();
+            if (layout) {
+                return layout;
+            }
+
+            // Unusable custom map - play the classic layout instead
+            this.mapSettings.biome = 'classic';
+            this.mapSettings.map = null;
+            this.mapSettings.file = null;
+        }
+
+        if (this.mapSettings.biome === 'classic') {
+            // Hand-made layout (from KAPLAY version)
+            const { wallPositions, treePositions } = this.generateEnvironmentPositions();
+            const barrelPositions = this.generateBarrelPositions(wallPositions, treePositions);
+            return { wallPositions, treePositions, barrelPositions, playerSpawn: null };
+        }
+
+        // Seeded procedural layout - the same seed and biome always give the same map
+        const generator = new MapGenerator(this.mapSettings.seed, this.mapSettings.biome);
+        return generator.generate();
+    }
+
+    loadCustomMapLayout() {
+        const map = this.mapSettings.map || (this.mapSettings.file && this.cache.json.get(`map:${this.mapSettings.file}`));
+        const errors = map ? MapFile.validate(map) : ['no map found - save one in the map editor or check the ?mapFile path'];
+        if (errors.length > 0) {
+            console.error('Custom map could not be loaded, using the classic layout:', errors);
+            return null;
+        }
+
+        // Keep the map data so restarts and replays don't depend on the file or saved map
+        this.mapSettings.map = map;
+
+        const { layout, dropped } = MapFile.toLayout(map, GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT);
+        if (dropped > 0) {
+            console.warn(`Custom map "${map.name}" is bigger than this screen's map - ${dropped} objects past the edge were left out`);
+        }
+        console.log(`Custom map "${map.name}" loaded`);
+        return layout;
+    }
+
     // Helper functions from KAPLAY version
     generateEnvironmentPositions() {
         // Position ALEX letters above the player's initial spawn position (screen center)
@@ -915,36 +1507,14 @@ export class GameScene extends Phaser.Scene {
     }
 
     isPositionClear(pos, wallPositions, treePositions, minDistance = 60) {
-        // Check against walls
-        for (let wallPos of wallPositions) {
-            const distance = Phaser.Math.Distance.Between(wallPos.x, wallPos.y, pos.x, pos.y);
-            if (distance < minDistance) {
-                return false;
-            }
-        }
-        // Check against trees
-        for (let treePos of treePositions) {
-            const distance = Phaser.Math.Distance.Between(treePos.x, treePos.y, pos.x, pos.y);
-            if (distance < minDistance) {
-                return false;
-            }
-        }
-        // Check if position is in protected area
-        if (this.isInProtectedArea(pos.x, pos.y)) {
-            return false;
-        }
-        return true;
+        // Clear of walls and trees, and outside the protected areas
+        return PlacementRules.isPositionClear(pos, wallPositions, treePositions, minDistance) &&
+            !this.isInProtectedArea(pos.x, pos.y);
     }
 
     // New function to check if trees overlap with walls
     isTreePositionClear(pos, wallPositions, minDistance = 50) {
-        for (let wallPos of wallPositions) {
-            const distance = Phaser.Math.Distance.Between(wallPos.x, wallPos.y, pos.x, pos.y);
-            if (distance < minDistance) {
-                return false;
-            }
-        }
-        return true;
+        return PlacementRules.isClearOf(pos.x, pos.y, wallPositions, minDistance);
     }
 
     // Check if position is in protected area (player spawn area or ALEX letters area)
@@ -986,43 +1556,11 @@ export class GameScene extends Phaser.Scene {
 
     // Check if a position is safe for player spawn (no obstacles nearby)
     isSpawnPositionSafe(x, y, minDistance = 80) {
-        // Check against all wall objects
-        if (this.environment && this.environment.children.entries) {
-            for (let wall of this.environment.children.entries) {
-                if (wall.active) {
-                    const distance = Phaser.Math.Distance.Between(x, y, wall.x, wall.y);
-                    if (distance < minDistance) {
-                        return false;
-                    }
-                }
-            }
-        }
-
-        // Check against all tree objects
-        if (this.trees && this.trees.children.entries) {
-            for (let tree of this.trees.children.entries) {
-                if (tree.active) {
-                    const distance = Phaser.Math.Distance.Between(x, y, tree.x, tree.y);
-                    if (distance < minDistance) {
-                        return false;
-                    }
-                }
-            }
-        }
-
-        // Check against all barrel objects
-        if (this.barrels && this.barrels.children.entries) {
-            for (let barrel of this.barrels.children.entries) {
-                if (barrel.active) {
-                    const distance = Phaser.Math.Distance.Between(x, y, barrel.x, barrel.y);
-                    if (distance < minDistance) {
-                        return false;
-                    }
-                }
-            }
-        }
-
-        return true;
+        // Check against all walls, trees and barrels (groups may not exist yet during setup)
+        const obstacles = [this.environment, this.trees, this.barrels]
+            .filter(group => group && group.children)
+            .flatMap(group => group.children.entries);
+        return PlacementRules.isClearOf(x, y, obstacles, minDistance);
     }
 
     // Find a safe spawn position for the player
@@ -1046,6 +1584,11 @@ export class GameScene extends Phaser.Scene {
             { x: screenCenterX + 150, y: screenCenterY + 200 }
         ];
 
+        // Generated maps reserve a clear, reachable spawn point - try it first
+        if (this.mapLayout && this.mapLayout.playerSpawn) {
+            preferredPositions.unshift(this.mapLayout.playerSpawn);
+        }
+
         // Try each preferred position
         for (let i = 0; i < preferredPositions.length; i++) {
             const pos = preferredPositions[i];
@@ -1068,8 +1611,8 @@ export class GameScene extends Phaser.Scene {
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
             // Generate random position around screen center
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * searchRadius;
+            const angle = this.rng.gameplay.frac() * Math.PI * 2;
+            const distance = this.rng.gameplay.frac() * searchRadius;
             const x = screenCenterX + Math.cos(angle) * distance;
             const y = screenCenterY + Math.sin(angle) * distance;
 
@@ -1128,17 +1671,18 @@ export class GameScene extends Phaser.Scene {
     createParticleEffect(x, y, particleType = 'stone', count = null) {
         const material = PARTICLE_MATERIALS[particleType] || PARTICLE_MATERIALS.stone;
         const particleCount = count || material.count;
+        const rng = this.rng.cosmetic;
 
         for (let i = 0; i < particleCount; i++) {
             // Randomize particle properties based on material
-            const angle = (Math.PI * 2 * i) / particleCount + (Math.random() - 0.5) * 1.0;
-            const speed = material.speed[0] + Math.random() * (material.speed[1] - material.speed[0]);
-            const lifetime = material.lifetime[0] + Math.random() * (material.lifetime[1] - material.lifetime[0]);
-            const size = material.size[0] + Math.random() * (material.size[1] - material.size[0]);
+            const angle = (Math.PI * 2 * i) / particleCount + (rng.frac() - 0.5) * 1.0;
+            const speed = rng.realInRange(material.speed[0], material.speed[1]);
+            const lifetime = rng.realInRange(material.lifetime[0], material.lifetime[1]);
+            const size = rng.realInRange(material.size[0], material.size[1]);
 
             // Choose random color from material's color palette
             const colors = material.colors || [material.color];
-            const color = colors[Math.floor(Math.random() * colors.length)];
+            const color = rng.pick(colors);
 
             // Create particle with varying shapes for different materials
             let particle;
@@ -1157,7 +1701,7 @@ export class GameScene extends Phaser.Scene {
             particle.setDepth(15); // High depth for particles
 
             // Add rotation for more dynamic effect
-            const rotationSpeed = (Math.random() - 0.5) * 720;
+            const rotationSpeed = (rng.frac() - 0.5) * 720;
 
             // Enhanced particle physics with gravity
             const velocityX = Math.cos(angle) * speed;
@@ -1178,8 +1722,8 @@ export class GameScene extends Phaser.Scene {
             });
 
             // Add a slight delay between particles for more organic feel
-            if (i > 0 && Math.random() < 0.3) {
-                this.time.delayedCall(Math.random() * 100, () => { });
+            if (i > 0 && rng.frac() < 0.3) {
+                this.time.delayedCall(rng.frac() * 100, () => { });
             }
         }
 
@@ -1189,62 +1733,57 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
-    createExplosion(x, y) {
+    createExplosion(x, y, options = {}) {
+        // Barrels use the defaults; explosive rounds pass a smaller radius and fixed zombie damage
+        const damagesPlayer = options.damagesPlayer !== false;
+        const source = options.source || 'barrel';
+
+        // Demolitions skill and the engineer class make barrels blast wider and hit explosion-resistant zombies harder
+        const barrelMultiplier = source === 'barrel' ? this.getStatMultiplier('barrelDamage') : 1;
+        const explosionRadius = options.radius || GAME_CONFIG.EXPLOSION_RADIUS * GAME_CONFIG.GLOBAL_SCALE * barrelMultiplier;
+
+        // Barrels set off by this explosion count towards the same chain
+        const chain = options.chain || { size: source === 'barrel' ? 1 : 0 };
+
         // Visual explosion effect
-        this.cameras.main.shake(200, 0.05);
+        this.cameras.main.shake(200, options.radius ? 0.01 : 0.05);
         this.createParticleEffect(x, y, 'metal', 20);
         this.addImpactFlash(x, y, 0xFF6347); // Explosion flash
 
-        // Explosion damage to nearby objects
-        const explosionRadius = GAME_CONFIG.EXPLOSION_RADIUS * GAME_CONFIG.GLOBAL_SCALE;
-
         // Create visual explosion ring
         this.createExplosionRing(x, y, explosionRadius);
+        this.eventBus.emit(GAME_EVENTS.EXPLOSION, { x, y, radius: explosionRadius, source, chainSize: chain.size });
 
-        // Damage zombies in range
-        this.zombies.children.entries.forEach(zombie => {
+        // Damage zombies in range (copy the list - killed zombies leave the group)
+        this.zombies.children.entries.slice().forEach(zombie => {
             if (zombie.active) {
                 const distance = Phaser.Math.Distance.Between(x, y, zombie.x, zombie.y);
                 if (distance < explosionRadius) {
-                    // Add blood effect for zombie death
-                    this.createHitEffect(zombie.x, zombie.y, 'blood', 'strong');
-
-                    // Clean up zombie effects (health bar, glow effects)
-                    this.zombieSystem.destroyZombieEffects(zombie);
-                    
-                    // Add coins based on zombie type
-                    const coinReward = zombie.zombieTypeConfig.coinReward || 1;
-                    this.coins += coinReward;
-                    this.coinText.setText(`Coins: ${this.coins}`);
-                    this.updateShopHint();
-                    
-                    // Update statistics
-                    this.gameStats.totalCoins += coinReward;
-                    this.gameStats.zombieKills[zombie.zombieTypeConfig.id]++;
-                    
-                    zombie.destroy();
+                    // Explosive rounds deal fixed damage, explosion-resistant zombies (bosses) only take partial
+                    // damage and everything else dies outright - all through the normal kill/reward path
+                    const resistedDamage = (zombie.zombieTypeConfig.explosionDamage || 0) * barrelMultiplier;
+                    const damage = options.zombieDamage || resistedDamage || zombie.health;
+
+                    this.createHitEffect(zombie.x, zombie.y, 'blood');
+                    if (this.zombieSystem.damageZombie(zombie, damage, { cause: source, weaponId: options.weaponId })) {
+                        this.createHitEffect(zombie.x, zombie.y, 'blood', 'strong');
+                    }
                 }
             }
         });
 
         // Chain reaction: trigger nearby barrels
-        this.triggerChainExplosion(x, y, explosionRadius);
+        this.triggerChainExplosion(x, y, explosionRadius, chain);
 
         // Destroy nearby destructible objects
         this.damageNearbyObjects(x, y, explosionRadius);
 
-        // Check if player is in range
+        // Damage player if in range, falling off with distance from the center
         const playerDistance = Phaser.Math.Distance.Between(x, y, this.player.x, this.player.y);
-        if (playerDistance < explosionRadius) {
-            // Calculate survival time
-            this.gameStats.survivalTime = Math.floor((this.time.now - this.gameStats.gameStartTime) / 1000);
-            
-            // Pause current scene and launch game over as overlay
-            this.scene.pause();
-            this.scene.launch('GameOverScene', { 
-                coins: this.coins,
-                gameStats: this.gameStats
-            });
+        if (damagesPlayer && playerDistance < explosionRadius) {
+            const falloff = playerDistance / explosionRadius;
+            const damage = Phaser.Math.Linear(GAME_CONFIG.EXPLOSION_MAX_DAMAGE, GAME_CONFIG.EXPLOSION_MIN_DAMAGE, falloff);
+            this.damagePlayer(Math.round(damage), 'explosion');
         }
     }
 
@@ -1264,7 +1803,7 @@ export class GameScene extends Phaser.Scene {
         });
     }
 
-    triggerChainExplosion(x, y, explosionRadius) {
+    triggerChainExplosion(x, y, explosionRadius, chain = { size: 1 }) {
         // Find nearby barrels and trigger chain explosions
         const nearbyBarrels = [];
 
@@ -1293,6 +1832,7 @@ export class GameScene extends Phaser.Scene {
                         const barrelY = barrel.y;
 
                         // Destroy the barrel
+                        this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, { objectType: 'explosive_barrel', x: barrelX, y: barrelY, cause: 'explosion' });
                         barrel.destroy();
 
                         // Find corresponding hit detection barrel and destroy it
@@ -1305,8 +1845,14 @@ export class GameScene extends Phaser.Scene {
                             }
                         });
 
+                        // Two or more barrels going off together make a chain
+                        chain.size++;
+                        if (chain.size >= 2) {
+                            this.eventBus.emit(GAME_EVENTS.CHAIN_EXPLOSION, { chainSize: chain.size });
+                        }
+
                         // Create new explosion (which can trigger further chain reactions)
-                        this.createExplosion(barrelX, barrelY);
+                        this.createExplosion(barrelX, barrelY, { chain });
                     }
                 });
             });
@@ -1342,6 +1888,7 @@ export class GameScene extends Phaser.Scene {
         // Destroy objects with particle effects
         objectsToDestroy.forEach(({ obj, type }) => {
             this.createHitEffect(obj.x, obj.y, this.getMaterialType(type), 'strong');
+            this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, { objectType: type, x: obj.x, y: obj.y, cause: 'explosion' });
             obj.destroy();
 
             // Remove corresponding hit detection objects
@@ -1461,13 +2008,22 @@ export class GameScene extends Phaser.Scene {
 
 
     toggleShop() {
-        if (!this.shopVisible) {
+        if (!this.shopVisible && this.canOpenShop()) {
             this.openShop();
         }
     }
 
+    canOpenShop() {
+        // In wave mode the shop is only open during intermissions
+        return !this.waveSystem || this.waveSystem.isIntermission();
+    }
+
     openShop() {
         this.shopVisible = true;
+        // Replays redo the recorded purchases without showing the shop
+        if (this.replaySystem.isPlayback) {
+            return;
+        }
         // Pause current scene and launch shop scene
         this.scene.pause();
         this.scene.launch('ShopScene', {
@@ -1477,32 +2033,93 @@ export class GameScene extends Phaser.Scene {
         });
     }
 
+    openSkillTree() {
+        // Skills can be learned at any time - the game is paused while the tree is open
+        if (this.shopVisible) {
+            return;
+        }
+        this.shopVisible = true;
+        if (this.replaySystem.isPlayback) {
+            return;
+        }
+        this.scene.pause();
+        this.scene.launch('SkillTreeScene');
+    }
+
+    learnSkill(skillId) {
+        // Skills are learned from the skill tree while the game is paused - recorded so replays learn them too
+        if (!this.skillSystem.learn(skillId)) {
+            return false;
+        }
+        this.replaySystem.recordPurchase(`learn:${skillId}`);
+        return true;
+    }
+
     handlePurchase(item, coins, ownedWeapons) {
+        this.replaySystem.recordPurchase(`buy:${item.id}`);
+
         // Update game state after purchase
         this.coins = coins;
         this.ownedWeapons = ownedWeapons;
         this.coinText.setText(`Coins: ${this.coins}`);
         this.updateShopHint();
         
-        // Update statistics
-        this.gameStats.weaponsPurchased.push({
-            name: item.name,
-            price: item.price,
-            purchaseTime: Math.floor((this.time.now - this.gameStats.gameStartTime) / 1000)
-        });
-        
-        // Switch to new weapon
-        this.switchWeapon(item.weaponType);
+        if (item.consumable) {
+            // Consumables apply immediately without changing weapons
+            this.weaponSystem.refillReserves(item.ammoRefill);
+        } else {
+            this.eventBus.emit(GAME_EVENTS.WEAPON_PURCHASED, { weaponId: item.weaponType.id, name: item.name, price: item.price });
+
+            // Add to inventory and switch to the new weapon with fresh ammo
+            this.addWeaponToInventory(item);
+            this.weaponSystem.initWeapon(item.weaponType);
+            this.switchWeapon(item.weaponType);
+        }
         
         this.shopVisible = false;
     }
 
 
+    addWeaponToInventory(item) {
+        // Upgrades take over their base weapon's slot so hotkeys stay the same
+        const baseItem = item.requiresWeapon ? SHOP_ITEMS[item.requiresWeapon] : null;
+        const baseSlot = baseItem ? this.weaponInventory.indexOf(baseItem.weaponType) : -1;
+
+        if (baseSlot !== -1) {
+            this.weaponInventory[baseSlot] = item.weaponType;
+            this.weaponSystem.removeWeapon(baseItem.weaponType);
+        } else {
+            this.weaponInventory.push(item.weaponType);
+        }
+    }
+
+    selectWeaponSlot(slot) {
+        const weaponType = this.weaponInventory[slot];
+        if (weaponType && weaponType !== this.currentWeapon) {
+            this.switchWeapon(weaponType);
+        }
+    }
+
+    cycleWeapon(direction) {
+        if (this.weaponInventory.length < 2) return;
+
+        const currentSlot = this.weaponInventory.indexOf(this.currentWeapon);
+        const nextSlot = Phaser.Math.Wrap(currentSlot + direction, 0, this.weaponInventory.length);
+        this.switchWeapon(this.weaponInventory[nextSlot]);
+    }
+
     switchWeapon(weaponType) {
+        // Switching weapons interrupts a reload or burst
+        this.weaponSystem.cancelReload();
+        this.weaponSystem.resetTrigger();
+
         this.currentWeapon = weaponType;
+        this.weaponSystem.updateAmmoUI();
+        this.weaponSystem.updateInventoryUI();
 
         // Update gun sprite
         this.gun.setTexture(weaponType.spriteKey);
+        this.applyGunTint(weaponType);
 
         console.log(`Switched to ${weaponType.name}`);
     }
@@ -1528,8 +2145,16 @@ export class GameScene extends Phaser.Scene {
     }
 
     updateShopHint() {
+        if (!this.canOpenShop()) {
+            this.shopHint.setText('Shop opens between waves');
+            return;
+        }
+
         // Check what items can be purchased
         const availableItems = Object.values(SHOP_ITEMS).filter(item => {
+            // Consumables are always available - only hint at new weapons
+            if (item.consumable) return false;
+
             // Check if already owned
             if (this.ownedWeapons.has(item.id)) return false;
             
@@ -1568,6 +2193,7 @@ export class GameScene extends Phaser.Scene {
             });
             
             // Destroy the wall
+            this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, { objectType: 'wall', x: wall.x, y: wall.y, cause: 'zombie' });
             wall.destroy();
         }
     }
@@ -1586,6 +2212,7 @@ export class GameScene extends Phaser.Scene {
             });
             
             // Destroy the tree
+            this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, { objectType: 'tree', x: tree.x, y: tree.y, cause: 'zombie' });
             tree.destroy();
         }
     }
@@ -1604,6 +2231,7 @@ export class GameScene extends Phaser.Scene {
             });
             
             // Destroy the barrel without explosion
+            this.eventBus.emit(GAME_EVENTS.OBSTACLE_DESTROYED, { objectType: 'explosive_barrel', x: barrel.x, y: barrel.y, cause: 'zombie' });
             barrel.destroy();
             
             console.log('Tank zombie destroyed barrel without explosion');
@@ -1615,6 +2243,12 @@ export class GameScene extends Phaser.Scene {
         if (this.zombieSystem) {
             this.zombieSystem.destroy();
         }
+        if (this.waveSystem) {
+            this.waveSystem.destroy();
+        }
+        if (this.bossSystem) {
+            this.bossSystem.destroy();
+        }
         super.destroy();
     }
 }
\ No newline at end of file
@@ -0,0 +1,413 @@
+import { GAME_CONFIG, ASSETS, MAP_EDITOR_CONFIG } from '../gameConfig.js';
+import { MapFile } from '../systems/MapFile.js';
+import { FileTransfer } from '../systems/FileTransfer.js';
+
+// Sprite drawn for each marker type (the player spawn is drawn as a ring)
+const MARKER_SPRITES = { wall: 'wall', tree: 'tree', barrel: 'explosive_barrel' };
+
+export class MapEditorScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'MapEditorScene' });
+    }
+
+    init(data = {}) {
+        // Run settings from the character select screen, handed to GameScene for play-testing
+        this.runSettings = { gameMode: data.gameMode, mapSettings: data.mapSettings, characterClass: data.characterClass };
+
+        // Continue with the map last saved in the editor, or start a blank one
+        this.map = data.map || MapFile.load() || MapFile.create(GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT);
+        this.history = []; // JSON snapshots for undo
+        this.pendingSnapshot = null; // Map before the current stroke or action
+        this.dirty = false;
+
+        this.tool = MAP_EDITOR_CONFIG.tools[0];
+        this.snapSize = GAME_CONFIG.GRID_SIZE;
+        this.dragTarget = null;
+        this.erasing = false;
+        this.painting = false;
+        this.markers = [];
+    }
+
+    preload() {
+        // Marker sprites (GameScene may not have loaded them yet)
+        Object.values(MARKER_SPRITES).forEach(key => this.load.image(key, ASSETS.sprites[key]));
+    }
+
+    create() {
+        const camera = this.cameras.main;
+        camera.setBounds(0, 0, GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT);
+        this.cursors = this.input.keyboard.createCursorKeys();
+
+        this.createGrid();
+        this.preview = this.add.graphics();
+        this.preview.setDepth(50);
+
+        this.createPaletteUI();
+        this.createHelpUI();
+        this.renderMap();
+
+        this.input.mouse.disableContextMenu();
+        this.input.on('pointerdown', this.handlePointerDown, this);
+        this.input.on('pointermove', this.handlePointerMove, this);
+        this.input.on('pointerup', this.handlePointerUp, this);
+        this.setupKeys();
+    }
+
+    createGrid() {
+        // Map area with GRID_SIZE cells, like the in-game background grid
+        this.add.rectangle(0, 0, GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT, 0x1A3350).setOrigin(0, 0);
+
+        const graphics = this.add.graphics();
+        graphics.lineStyle(1, 0x555555, 0.6);
+        for (let x = 0; x <= GAME_CONFIG.MAP_WIDTH; x += GAME_CONFIG.GRID_SIZE) {
+            graphics.lineBetween(x, 0, x, GAME_CONFIG.MAP_HEIGHT);
+        }
+        for (let y = 0; y <= GAME_CONFIG.MAP_HEIGHT; y += GAME_CONFIG.GRID_SIZE) {
+            graphics.lineBetween(0, y, GAME_CONFIG.MAP_WIDTH, y);
+        }
+        graphics.lineStyle(2, 0xFFFFFF, 0.5);
+        graphics.strokeRect(0, 0, GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT);
+    }
+
+    createPaletteUI() {
+        // One button per tool along the top, the selected tool is highlighted
+        this.paletteButtons = MAP_EDITOR_CONFIG.tools.map((tool, index) => {
+            const button = this.add.text(20 + index * 150, 20, `${index + 1} ${tool.name}`, {
+                fontFamily: 'monospace',
+                fontSize: '16px',
+                color: tool.color,
+                backgroundColor: '#000000CC',
+                padding: { x: 8, y: 4 }
+            });
+            button.setScrollFactor(0);
+            button.setDepth(100);
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerdown', () => this.selectTool(index));
+            return button;
+        });
+
+        this.titleText = this.add.text(20, 56, '', {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: '#FFFFFF',
+            backgroundColor: '#000000AA',
+            padding: { x: 8, y: 4 }
+        });
+        this.titleText.setScrollFactor(0);
+        this.titleText.setDepth(100);
+
+        this.statusText = this.add.text(20, 86, '', {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: '#FFFF00'
+        });
+        this.statusText.setScrollFactor(0);
+        this.statusText.setDepth(100);
+
+        this.updatePaletteUI();
+    }
+
+    createHelpUI() {
+        const keys = MAP_EDITOR_CONFIG.keys;
+        const help = [
+            'Left click: place / drag   Right click: erase   Arrows: scroll',
+            `${keys.undo}: undo  ${keys.snap}: snap size  ${keys.clear}: clear  ${keys.save}/${keys.load}: save/load browser  ` +
+            `${keys.exportFile}/${keys.importFile}: download/upload JSON  ${keys.play}: play  ${keys.back}: back`
+        ].join('\n');
+
+        const helpText = this.add.text(20, this.cameras.main.height - 20, help, {
+            fontFamily: 'monospace',
+            fontSize: '13px',
+            color: '#CCCCCC',
+            backgroundColor: '#000000AA',
+            padding: { x: 8, y: 4 }
+        });
+        helpText.setOrigin(0, 1);
+        helpText.setScrollFactor(0);
+        helpText.setDepth(100);
+    }
+
+    setupKeys() {
+        const keys = MAP_EDITOR_CONFIG.keys;
+        const onKey = (key, handler) => this.input.keyboard.addKey(key).on('down', handler);
+
+        // Number keys pick a tool
+        ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE'].slice(0, MAP_EDITOR_CONFIG.tools.length).forEach((keyName, index) => {
+            onKey(Phaser.Input.Keyboard.KeyCodes[keyName], () => this.selectTool(index));
+        });
+
+        onKey(keys.snap, () => this.toggleSnap());
+        onKey(keys.undo, () => this.undo());
+        onKey(keys.clear, () => this.clearMap());
+        onKey(keys.save, () => this.saveToBrowser());
+        onKey(keys.load, () => this.loadFromBrowser());
+        onKey(keys.exportFile, () => this.exportFile());
+        onKey(keys.importFile, () => this.importFile());
+        onKey(keys.play, () => this.playMap());
+        onKey(keys.back, () => this.scene.start('CharacterSelectScene', this.runSettings));
+    }
+
+    selectTool(index) {
+        this.tool = MAP_EDITOR_CONFIG.tools[index];
+        this.updatePaletteUI();
+    }
+
+    toggleSnap() {
+        // Whole grid cells, or the finer wall spacing for drawing wall lines
+        const fineSnap = GAME_CONFIG.GRID_SIZE / MAP_EDITOR_CONFIG.fineSnapDivisions;
+        this.snapSize = this.snapSize === GAME_CONFIG.GRID_SIZE ? fineSnap : GAME_CONFIG.GRID_SIZE;
+        this.updatePaletteUI();
+    }
+
+    getPointerPositions(pointer) {
+        // Raw world position for picking objects, snapped position for placing them
+        const world = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const snapped = MapFile.snap(world.x, world.y, this.snapSize);
+        snapped.x = Phaser.Math.Clamp(snapped.x, 0, GAME_CONFIG.MAP_WIDTH);
+        snapped.y = Phaser.Math.Clamp(snapped.y, 0, GAME_CONFIG.MAP_HEIGHT);
+        return { world, snapped };
+    }
+
+    handlePointerDown(pointer, currentlyOver) {
+        // Clicks on the palette don't edit the map
+        if (currentlyOver.length > 0) {
+            return;
+        }
+
+        const { world, snapped } = this.getPointerPositions(pointer);
+        const target = MapFile.findAt(this.map, world.x, world.y, MAP_EDITOR_CONFIG.pickRadius);
+        this.beginChange();
+
+        if (pointer.rightButtonDown() || this.tool.id === 'erase') {
+            this.erasing = true;
+            this.eraseAt(world);
+        } else if (target) {
+            this.dragTarget = target;
+        } else {
+            MapFile.place(this.map, this.tool.id, snapped);
+            this.painting = this.tool.id === 'wall'; // Walls can be painted in lines
+        }
+
+        this.renderMap();
+    }
+
+    handlePointerMove(pointer) {
+        if (!pointer.isDown || !this.pendingSnapshot) {
+            return;
+        }
+
+        const { world, snapped } = this.getPointerPositions(pointer);
+        if (this.dragTarget) {
+            MapFile.move(this.map, this.dragTarget, snapped);
+        } else if (this.erasing) {
+            this.eraseAt(world);
+        } else if (this.painting) {
+            MapFile.place(this.map, 'wall', snapped);
+        }
+        this.renderMap();
+    }
+
+    handlePointerUp() {
+        // A whole click, drag or stroke is one undo step
+        this.dragTarget = null;
+        this.erasing = false;
+        this.painting = false;
+        this.endChange();
+    }
+
+    eraseAt(world) {
+        const target = MapFile.findAt(this.map, world.x, world.y, MAP_EDITOR_CONFIG.pickRadius);
+        if (target) {
+            MapFile.remove(this.map, target);
+        }
+    }
+
+    beginChange() {
+        this.pendingSnapshot = JSON.stringify(this.map);
+    }
+
+    endChange() {
+        // Only record an undo step if the map actually changed
+        if (this.pendingSnapshot === null) return;
+
+        if (this.pendingSnapshot !== JSON.stringify(this.map)) {
+            this.history.push(this.pendingSnapshot);
+            if (this.history.length > MAP_EDITOR_CONFIG.historyLimit) {
+                this.history.shift();
+            }
+            this.dirty = true;
+        }
+        this.pendingSnapshot = null;
+        this.updatePaletteUI();
+    }
+
+    replaceMap(map) {
+        // Loading, importing and clearing can all be undone
+        this.beginChange();
+        this.map = map;
+        this.endChange();
+        this.renderMap();
+    }
+
+    undo() {
+        if (this.history.length === 0) {
+            this.showStatus('Nothing to undo');
+            return;
+        }
+        this.map = JSON.parse(this.history.pop());
+        this.dirty = true;
+        this.renderMap();
+        this.updatePaletteUI();
+    }
+
+    clearMap() {
+        this.replaceMap(MapFile.create(GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT, this.map.name));
+        this.showStatus(`Map cleared (${MAP_EDITOR_CONFIG.keys.undo} to undo)`);
+    }
+
+    prepareForSaving() {
+        // Record the map size this map was made for (kept large enough for every object)
+        this.map.width = Math.round(Math.max(this.map.width, GAME_CONFIG.MAP_WIDTH));
+        this.map.height = Math.round(Math.max(this.map.height, GAME_CONFIG.MAP_HEIGHT));
+        return this.map;
+    }
+
+    saveToBrowser() {
+        if (MapFile.save(this.prepareForSaving())) {
+            this.dirty = false;
+            this.updatePaletteUI();
+            this.showStatus('Saved in this browser');
+        } else {
+            this.showStatus('Could not save - download the map instead', true);
+        }
+    }
+
+    loadFromBrowser() {
+        const map = MapFile.load();
+        if (!map) {
+            this.showStatus('No saved map in this browser', true);
+            return;
+        }
+        this.replaceMap(map);
+        this.dirty = false;
+        this.updatePaletteUI();
+        this.showStatus(`Loaded "${map.name}"`);
+    }
+
+    exportFile() {
+        // Download the map as a .json file
+        const fileName = `${this.map.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        FileTransfer.download(fileName, JSON.stringify(this.prepareForSaving(), null, 2));
+
+        this.dirty = false;
+        this.updatePaletteUI();
+        this.showStatus(`Downloaded ${fileName}`);
+    }
+
+    importFile() {
+        FileTransfer.pickFile(
+            (text, fileName) => this.applyImportedMap(JSON.parse(text), fileName),
+            (error, fileName) => this.showStatus(`Could not read ${fileName}: ${error.message}`, true)
+        );
+    }
+
+    applyImportedMap(map, fileName) {
+        const errors = MapFile.validate(map);
+        if (errors.length > 0) {
+            console.error(`Map file ${fileName} rejected:`, errors);
+            this.showStatus(`${fileName} is not a valid map: ${errors[0]}`, true);
+            return;
+        }
+
+        this.replaceMap(map);
+        this.showStatus(`Imported "${map.name}" from ${fileName}`);
+    }
+
+    playMap() {
+        // Play-test the map as it is - it is also saved so restarts and ?map=custom pick it up
+        const map = this.prepareForSaving();
+        MapFile.save(map);
+        this.scene.start('GameScene', {
+            gameMode: this.runSettings.gameMode,
+            characterClass: this.runSettings.characterClass,
+            mapSettings: { biome: 'custom', seed: null, map: JSON.parse(JSON.stringify(map)) }
+        });
+    }
+
+    renderMap() {
+        // Redraw every marker from the map data
+        this.markers.forEach(marker => marker.destroy());
+        this.markers = [];
+
+        Object.entries(MARKER_SPRITES).forEach(([type, textureKey]) => {
+            this.map[`${type}Positions`].forEach(pos => {
+                const marker = this.add.image(pos.x, pos.y, textureKey);
+                marker.setScale(GAME_CONFIG.GLOBAL_SCALE);
+                marker.setDepth(10);
+                this.markers.push(marker);
+            });
+        });
+
+        if (this.map.playerSpawn) {
+            const spawn = this.add.circle(this.map.playerSpawn.x, this.map.playerSpawn.y, 14);
+            spawn.setStrokeStyle(3, 0x00FFFF);
+            spawn.setDepth(20);
+            const label = this.add.text(this.map.playerSpawn.x, this.map.playerSpawn.y, 'P', {
+                fontFamily: 'monospace',
+                fontSize: '14px',
+                color: '#00FFFF'
+            });
+            label.setOrigin(0.5);
+            label.setDepth(20);
+            this.markers.push(spawn, label);
+        }
+    }
+
+    updatePaletteUI() {
+        this.paletteButtons.forEach((button, index) => {
+            const selected = MAP_EDITOR_CONFIG.tools[index] === this.tool;
+            button.setBackgroundColor(selected ? '#444444' : '#000000CC');
+            button.setStyle({ fontStyle: selected ? 'bold' : 'normal' });
+        });
+
+        const counts = `${this.map.wallPositions.length} walls, ${this.map.treePositions.length} trees, ${this.map.barrelPositions.length} barrels`;
+        const spawn = this.map.playerSpawn ? '' : ', no spawn (default spawn is used)';
+        this.titleText.setText(`MAP EDITOR - ${this.map.name}${this.dirty ? ' *' : ''}  |  ${counts}${spawn}  |  Snap: ${this.snapSize}px`);
+    }
+
+    showStatus(message, isError = false) {
+        this.statusText.setText(message);
+        this.statusText.setColor(isError ? '#FF6666' : '#FFFF00');
+        console.log(`Map editor: ${message}`);
+    }
+
+    update(time, delta) {
+        // Scroll around maps bigger than the screen
+        const camera = this.cameras.main;
+        const distance = MAP_EDITOR_CONFIG.panSpeed * delta / 1000;
+        if (this.cursors.left.isDown) camera.scrollX -= distance;
+        if (this.cursors.right.isDown) camera.scrollX += distance;
+        if (this.cursors.up.isDown) camera.scrollY -= distance;
+        if (this.cursors.down.isDown) camera.scrollY += distance;
+
+        this.updatePreview();
+    }
+
+    updatePreview() {
+        // Outline where the next click places (or what it would erase or grab)
+        const pointer = this.input.activePointer;
+        const { world, snapped } = this.getPointerPositions(pointer);
+        const target = MapFile.findAt(this.map, world.x, world.y, MAP_EDITOR_CONFIG.pickRadius);
+        const color = Phaser.Display.Color.HexStringToColor(this.tool.color).color;
+        const size = GAME_CONFIG.HIT_DETECTION_BOXES.wall.width;
+
+        this.preview.clear();
+        this.preview.lineStyle(2, color, 0.9);
+        if (target && !this.dragTarget) {
+            const pos = MapFile.getPosition(this.map, target);
+            this.preview.strokeCircle(pos.x, pos.y, MAP_EDITOR_CONFIG.pickRadius + 4);
+        } else if (this.tool.id !== 'erase') {
+            this.preview.strokeRect(snapped.x - size / 2, snapped.y - size / 2, size, size);
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import { SHOP_ITEMS } from '../gameConfig.js';
+import { ShopRules } from '../systems/ShopRules.js';
 
 export class ShopScene extends Phaser.Scene {
     constructor() {
@@ -26,14 +27,18 @@ export class ShopScene extends Phaser.Scene {
         // Create shop container
         this.shopUI = this.add.container(this.cameras.main.centerX, this.cameras.main.centerY);
 
-        // Calculate dynamic shop height based on number of items
+        // Item layout
         const shopItems = Object.values(SHOP_ITEMS);
-        const baseHeight = 200; // Base height for title, coins, close text
-        const itemHeight = 90; // Height per item
-        const dynamicHeight = baseHeight + shopItems.length * itemHeight;
-        
-        // Shop background
-        const shopBg = this.add.rectangle(0, 0, 600, dynamicHeight, 0x222222, 0.9);
+        const yOffset = -40;
+        const itemSpacing = 90;
+
+        // Calculate dynamic close text position based on number of items
+        const closeTextY = yOffset + shopItems.length * itemSpacing + 30;
+
+        // Shop background spans from the title to the close text
+        const contentTop = -150;
+        const contentBottom = closeTextY + 30;
+        const shopBg = this.add.rectangle(0, (contentTop + contentBottom) / 2, 600, contentBottom - contentTop, 0x222222, 0.9);
         shopBg.setStrokeStyle(2, 0x666666);
         this.shopUI.add(shopBg);
 
@@ -55,17 +60,11 @@ export class ShopScene extends Phaser.Scene {
         this.coinText.setOrigin(0.5);
         this.shopUI.add(this.coinText);
 
-        // Create shop items  
-        const yOffset = -40;
-        const itemSpacing = 90;
-        
+        // Create shop items
         shopItems.forEach((item, index) => {
             this.createShopItem(item, 0, yOffset + index * itemSpacing);
         });
 
-        // Calculate dynamic close text position based on number of items
-        const closeTextY = yOffset + shopItems.length * itemSpacing + 30;
-        
         // Close instruction
         const closeText = this.add.text(0, closeTextY, 'Press C to close', {
             fontFamily: 'monospace',
@@ -75,6 +74,17 @@ export class ShopScene extends Phaser.Scene {
         closeText.setOrigin(0.5);
         this.shopUI.add(closeText);
 
+        // Scroll the item list with the mouse wheel when it doesn't fit on screen
+        const topAlignedY = -contentTop;
+        const bottomAlignedY = this.cameras.main.height - contentBottom;
+        const fitsOnScreen = bottomAlignedY >= topAlignedY;
+        const minY = fitsOnScreen ? Phaser.Math.Clamp(this.cameras.main.centerY, topAlignedY, bottomAlignedY) : bottomAlignedY;
+        const maxY = fitsOnScreen ? minY : topAlignedY;
+        this.shopUI.y = maxY;
+        this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+            this.shopUI.y = Phaser.Math.Clamp(this.shopUI.y - deltaY, minY, maxY);
+        });
+
         // Setup close input
         this.cKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.C);
     }
@@ -84,12 +94,7 @@ export class ShopScene extends Phaser.Scene {
         const itemContainer = this.add.container(x, y);
 
         // Item background
-        const canAfford = this.coins >= item.price;
-        const alreadyOwned = this.ownedWeapons.has(item.id);
-        
-        // Check if item requires a specific weapon
-        const hasRequiredWeapon = !item.requiresWeapon || this.ownedWeapons.has(item.requiresWeapon);
-        const canPurchase = canAfford && !alreadyOwned && hasRequiredWeapon;
+        const { canAfford, alreadyOwned, hasRequiredWeapon, canPurchase } = ShopRules.getPurchaseStatus(item, this.coins, this.ownedWeapons);
 
         let bgColor = canPurchase ? 0x003300 : 0x330000;
         if (alreadyOwned) bgColor = 0x333333;
@@ -162,29 +167,23 @@ export class ShopScene extends Phaser.Scene {
     }
 
     buyItem(item) {
-        // Check requirements
-        const hasRequiredWeapon = !item.requiresWeapon || this.ownedWeapons.has(item.requiresWeapon);
-        
-        if (this.coins >= item.price && !this.ownedWeapons.has(item.id) && hasRequiredWeapon) {
-            // Deduct coins
-            this.coins -= item.price;
-            this.coinText.setText(`Coins: ${this.coins}`);
+        // Requirements are checked again here - the button state can be stale
+        const result = ShopRules.purchase(item, this.coins, this.ownedWeapons);
+        if (!result) {
+            return false;
+        }
 
-            // Add weapon to owned weapons
-            this.ownedWeapons.add(item.id);
-            
-            // If this is an upgrade, remove the old weapon from owned list
-            if (item.requiresWeapon) {
-                this.ownedWeapons.delete(item.requiresWeapon);
-            }
+        this.coins = result.coins;
+        this.ownedWeapons = result.ownedWeapons;
+        this.coinText.setText(`Coins: ${this.coins}`);
 
-            // Return to GameScene with purchase data
-            this.scene.stop();
-            this.scene.resume('GameScene');
-            
-            // Send purchase data back to GameScene
-            this.scene.get('GameScene').handlePurchase(item, this.coins, this.ownedWeapons);
-        }
+        // Return to GameScene with purchase data
+        this.scene.stop();
+        this.scene.resume('GameScene');
+        
+        // Send purchase data back to GameScene
+        this.scene.get('GameScene').handlePurchase(item, this.coins, this.ownedWeapons);
+        return true;
     }
 
     update() {
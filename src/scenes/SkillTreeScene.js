@@ -0,0 +1,130 @@
+import { GAME_CONFIG, SKILL_TREE, UI_CONFIG } from '../gameConfig.js';
+
+export class SkillTreeScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SkillTreeScene' });
+    }
+
+    create() {
+        const centerX = this.cameras.main.centerX;
+        const centerY = this.cameras.main.centerY;
+        this.gameScene = this.scene.get('GameScene');
+        this.skillSystem = this.gameScene.skillSystem;
+
+        // Create semi-transparent background
+        this.add.rectangle(centerX, centerY, this.cameras.main.width, this.cameras.main.height, 0x000000, 0.8);
+
+        const branches = Object.values(SKILL_TREE);
+        const columnWidth = 250;
+        const columnGap = 15;
+        const rowSpacing = 80;
+        const maxSkills = Math.max(...branches.map(branch => branch.skills.length));
+        const panelWidth = branches.length * (columnWidth + columnGap) + columnGap;
+        const panelHeight = 160 + maxSkills * rowSpacing;
+        const panel = this.add.rectangle(centerX, centerY, panelWidth, panelHeight, 0x222222, 0.95);
+        panel.setStrokeStyle(2, 0x666666);
+
+        const top = centerY - panelHeight / 2;
+
+        // Title
+        this.add.text(centerX, top + 30, 'SKILL TREE', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '24px',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+
+        // Available skill points
+        this.add.text(centerX, top + 60, `Skill points: ${this.skillSystem.skillPoints}`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '18px',
+            color: UI_CONFIG.skillPoints.color
+        }).setOrigin(0.5);
+
+        // One column per branch
+        branches.forEach((branch, column) => {
+            const x = centerX - panelWidth / 2 + columnGap + column * (columnWidth + columnGap) + columnWidth / 2;
+            this.add.text(x, top + 95, branch.name.toUpperCase(), {
+                fontFamily: 'monospace',
+                fontSize: '16px',
+                color: `#${branch.color.toString(16).padStart(6, '0')}`
+            }).setOrigin(0.5);
+
+            branch.skills.forEach((skill, row) => {
+                this.createSkillCard(skill, branch, x, top + 145 + row * rowSpacing, columnWidth);
+            });
+        });
+
+        // Close instruction
+        this.add.text(centerX, top + panelHeight - 20, `Press ${GAME_CONFIG.SKILL_TREE_KEY} or ESC to close`, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: '#CCCCCC'
+        }).setOrigin(0.5);
+
+        // Stop the key event here so the game doesn't reopen the tree on the same press
+        [GAME_CONFIG.SKILL_TREE_KEY, Phaser.Input.Keyboard.KeyCodes.ESC].forEach(keyCode => {
+            this.input.keyboard.addKey(keyCode).on('down', (key, event) => {
+                event.stopPropagation();
+                this.closeSkillTree();
+            });
+        });
+    }
+
+    createSkillCard(skill, branch, x, y, width) {
+        const rank = this.skillSystem.getRank(skill.id);
+        const maxed = rank >= skill.maxRank;
+        const locked = skill.requires && this.skillSystem.getRank(skill.requires) === 0;
+        const canLearn = this.skillSystem.canLearn(skill.id);
+
+        const cardBg = this.add.rectangle(x, y, width, 70, maxed ? 0x333333 : (canLearn ? 0x003300 : 0x1A1A1A), 0.8);
+        cardBg.setStrokeStyle(1, rank > 0 ? branch.color : 0x666666);
+
+        const left = x - width / 2 + 10;
+        this.add.text(left, y - 28, `${skill.name} ${rank}/${skill.maxRank}`, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: rank > 0 ? '#FFFFFF' : '#AAAAAA'
+        });
+
+        // Requirement replaces the description until the previous skill is learned
+        const description = locked ? `Needs ${this.skillSystem.skills[skill.requires].name}` : skill.description;
+        this.add.text(left, y - 8, description, {
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            color: locked ? '#FF6666' : '#CCCCCC',
+            wordWrap: { width: width - 20 }
+        });
+
+        let buttonText = `LEARN (${skill.cost})`;
+        if (maxed) buttonText = 'MAXED';
+        else if (locked) buttonText = 'LOCKED';
+
+        const button = this.add.text(x + width / 2 - 10, y + 22, buttonText, {
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            color: canLearn ? '#FFFFFF' : '#666666',
+            backgroundColor: canLearn ? '#006600' : '#333333',
+            padding: { x: 6, y: 2 }
+        });
+        button.setOrigin(1, 0.5);
+
+        if (canLearn) {
+            button.setInteractive();
+            button.on('pointerdown', () => {
+                if (this.gameScene.learnSkill(skill.id)) {
+                    // Redraw with the new ranks and points
+                    this.scene.restart();
+                }
+            });
+            button.on('pointerover', () => button.setStyle({ color: '#FFFF00', backgroundColor: '#00AA00' }));
+            button.on('pointerout', () => button.setStyle({ color: '#FFFFFF', backgroundColor: '#006600' }));
+        }
+    }
+
+    closeSkillTree() {
+        this.scene.stop();
+        this.scene.resume('GameScene');
+        // Shooting stays blocked while an overlay is open
+        this.scene.get('GameScene').shopVisible = false;
+    }
+}
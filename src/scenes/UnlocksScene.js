@@ -0,0 +1,177 @@
+import { GAME_CONFIG, META_UNLOCKS, UI_CONFIG, WEAPON_TYPES, ZOMBIE_TYPES } from '../gameConfig.js';
+import { SaveProfile } from '../systems/SaveProfile.js';
+
+export class UnlocksScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'UnlocksScene' });
+    }
+
+    init(data) {
+        // Scene to return to when closed
+        this.returnScene = data.returnScene || 'GameOverScene';
+    }
+
+    create() {
+        const centerX = this.cameras.main.centerX;
+        const centerY = this.cameras.main.centerY;
+        this.profile = SaveProfile.load();
+
+        // Create semi-transparent background
+        this.add.rectangle(centerX, centerY, this.cameras.main.width, this.cameras.main.height, 0x000000, 0.85);
+
+        const unlocks = Object.values(META_UNLOCKS);
+        const itemSpacing = 60;
+        const panelHeight = 300 + unlocks.length * itemSpacing;
+        const panel = this.add.rectangle(centerX, centerY, 600, panelHeight, 0x222222, 0.95);
+        panel.setStrokeStyle(2, 0x666666);
+
+        let currentY = centerY - panelHeight / 2 + 30;
+
+        // Title
+        this.add.text(centerX, currentY, 'PERMANENT UNLOCKS', {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '24px',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+        currentY += 32;
+
+        // Persistent currency
+        this.add.text(centerX, currentY, `Tokens: ${this.profile.currency}`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '18px',
+            color: '#FFCC00'
+        }).setOrigin(0.5);
+        currentY += 30;
+
+        // Lifetime stats
+        const lifetime = this.profile.lifetime;
+        const totalKills = Object.values(lifetime.kills).reduce((sum, kills) => sum + kills, 0);
+        const bestMinutes = Math.floor(lifetime.bestSurvivalTime / 60);
+        const bestSeconds = (lifetime.bestSurvivalTime % 60).toString().padStart(2, '0');
+        const statLines = [
+            `Runs: ${lifetime.runs}   Best time: ${bestMinutes}:${bestSeconds}   Best wave: ${lifetime.bestWave}`,
+            `Lifetime coins: ${lifetime.totalCoins}   Lifetime kills: ${totalKills}`,
+            Object.keys(ZOMBIE_TYPES).map(typeId => `${typeId}: ${lifetime.kills[typeId] || 0}`).join('  ')
+        ];
+        statLines.forEach(line => {
+            this.add.text(centerX, currentY, line, {
+                fontFamily: UI_CONFIG.gameOverText.font,
+                fontSize: '12px',
+                color: '#CCCCCC'
+            }).setOrigin(0.5);
+            currentY += 18;
+        });
+        currentY += 20;
+
+        // Pistol start is always available so a starting weapon unlock can be switched off again
+        this.createStartingPistolRow(centerX, currentY);
+        currentY += itemSpacing;
+
+        unlocks.forEach(unlock => {
+            this.createUnlockRow(unlock, centerX, currentY);
+            currentY += itemSpacing;
+        });
+
+        // Close instruction
+        this.add.text(centerX, currentY + 10, `Press ${GAME_CONFIG.UNLOCKS_KEY} or ESC to go back`, {
+            fontFamily: UI_CONFIG.gameOverText.font,
+            fontSize: '14px',
+            color: '#CCCCCC'
+        }).setOrigin(0.5);
+
+        // Stop the key event here so the game over screen doesn't reopen this scene on the same press
+        [GAME_CONFIG.UNLOCKS_KEY, Phaser.Input.Keyboard.KeyCodes.ESC].forEach(keyCode => {
+            this.input.keyboard.addKey(keyCode).on('down', (key, event) => {
+                event.stopPropagation();
+                this.closeUnlocks();
+            });
+        });
+    }
+
+    createStartingPistolRow(x, y) {
+        const equipped = this.profile.getStartingWeapon() === 'pistol';
+        this.createRow(x, y, {
+            title: `${WEAPON_TYPES.pistol.name} Start`,
+            description: 'Begin every run with only the pistol',
+            buttonText: equipped ? 'EQUIPPED' : 'EQUIP',
+            enabled: !equipped,
+            owned: true,
+            onClick: () => this.profile.selectStartingWeapon('pistol')
+        });
+    }
+
+    createUnlockRow(unlock, x, y) {
+        const owned = this.profile.hasUnlock(unlock.id);
+        const locked = unlock.requiresUnlock && !this.profile.hasUnlock(unlock.requiresUnlock);
+
+        let buttonText = 'BUY';
+        let enabled = this.profile.canBuyUnlock(unlock.id);
+        let onClick = () => this.profile.buyUnlock(unlock.id);
+
+        if (owned && unlock.startingWeapon) {
+            // Owned starting weapons can be equipped
+            const equipped = this.profile.getStartingWeapon() === unlock.startingWeapon;
+            buttonText = equipped ? 'EQUIPPED' : 'EQUIP';
+            enabled = !equipped;
+            onClick = () => this.profile.selectStartingWeapon(unlock.startingWeapon);
+        } else if (owned) {
+            buttonText = 'OWNED';
+        } else if (locked) {
+            buttonText = 'LOCKED';
+        } else if (!enabled) {
+            buttonText = 'NO $';
+        }
+
+        this.createRow(x, y, {
+            title: `${unlock.name} - ${unlock.cost} tokens`,
+            description: locked ? `${unlock.description} (Need ${META_UNLOCKS[unlock.requiresUnlock].name})` : unlock.description,
+            buttonText,
+            enabled,
+            owned,
+            onClick
+        });
+    }
+
+    createRow(x, y, { title, description, buttonText, enabled, owned, onClick }) {
+        const rowBg = this.add.rectangle(x, y, 550, 50, owned ? 0x333333 : (enabled ? 0x003300 : 0x330000), 0.8);
+        rowBg.setStrokeStyle(1, 0x666666);
+
+        this.add.text(x - 260, y - 16, title, {
+            fontFamily: 'monospace',
+            fontSize: '15px',
+            color: owned ? '#AAAAAA' : (enabled ? '#00FF00' : '#FF6666')
+        });
+
+        this.add.text(x - 260, y + 4, description, {
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            color: '#CCCCCC'
+        });
+
+        const button = this.add.text(x + 215, y, buttonText, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: enabled ? '#FFFFFF' : '#666666',
+            backgroundColor: enabled ? '#006600' : '#333333',
+            padding: { x: 8, y: 4 }
+        });
+        button.setOrigin(0.5);
+
+        if (enabled) {
+            button.setInteractive();
+            button.on('pointerdown', () => {
+                if (onClick()) {
+                    // Redraw with the updated profile
+                    this.scene.restart({ returnScene: this.returnScene });
+                }
+            });
+            button.on('pointerover', () => button.setStyle({ color: '#FFFF00', backgroundColor: '#00AA00' }));
+            button.on('pointerout', () => button.setStyle({ color: '#FFFFFF', backgroundColor: '#006600' }));
+        }
+    }
+
+    closeUnlocks() {
+        this.scene.stop();
+        this.scene.resume(this.returnScene);
+    }
+}
@@ -0,0 +1,126 @@
+import { ACHIEVEMENTS, UI_CONFIG } from '../gameConfig.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+export class AchievementSystem {
+    constructor(scene, profile) {
+        this.scene = scene;
+        this.profile = profile;
+
+        // Run conditions that achievements can require
+        this.runConditions = { pistolOnly: true };
+        this.lastSurvivalMinute = 0;
+        this.toasts = [];
+
+        // Group achievement definitions by the event that drives them
+        this.achievementsByEvent = {};
+        Object.values(ACHIEVEMENTS).forEach(achievement => {
+            if (!this.achievementsByEvent[achievement.event]) {
+                this.achievementsByEvent[achievement.event] = [];
+            }
+            this.achievementsByEvent[achievement.event].push(achievement);
+        });
+
+        // The bus rejects unknown event names, so a typo in ACHIEVEMENTS fails at startup
+        Object.keys(this.achievementsByEvent).forEach(eventName => {
+            this.scene.eventBus.on(eventName, payload => this.handleEvent(eventName, payload));
+        });
+        this.scene.eventBus.on(GAME_EVENTS.WEAPON_FIRED, this.trackWeaponFired, this);
+    }
+
+    trackWeaponFired({ weaponId }) {
+        if (weaponId !== 'pistol') {
+            this.runConditions.pistolOnly = false;
+        }
+    }
+
+    handleEvent(eventName, payload) {
+        this.achievementsByEvent[eventName].forEach(achievement => {
+            if (this.profile.isAchievementUnlocked(achievement.id)) return;
+            if (achievement.requires && !this.runConditions[achievement.requires]) return;
+
+            // Every filter field has to match the event
+            const filter = achievement.filter || {};
+            if (!Object.entries(filter).every(([key, value]) => payload[key] === value)) return;
+
+            const record = this.profile.getAchievement(achievement.id);
+            if (achievement.type === 'max') {
+                record.progress = Math.max(record.progress, payload[achievement.stat] || 0);
+            } else {
+                record.progress++;
+            }
+
+            if (record.progress >= achievement.goal) {
+                this.unlock(achievement, record);
+            }
+        });
+    }
+
+    unlock(achievement, record) {
+        record.progress = achievement.goal;
+        record.unlockedAt = new Date().toISOString();
+        this.profile.save();
+
+        this.showToast(achievement);
+        console.log(`Achievement unlocked: ${achievement.name}`);
+    }
+
+    update(time) {
+        // Survival milestones once per minute
+        const minutes = Math.floor((time - this.scene.gameStats.gameStartTime) / 60000);
+        if (minutes > this.lastSurvivalMinute) {
+            this.lastSurvivalMinute = minutes;
+            this.scene.eventBus.emit(GAME_EVENTS.SURVIVAL_TICK, { minutes });
+        }
+    }
+
+    showToast(achievement) {
+        const config = UI_CONFIG.achievementToast;
+        const camera = this.scene.cameras.main;
+
+        // Stack below toasts that are still visible
+        const slot = this.toasts.length;
+        const x = camera.width - config.margin - config.width / 2;
+        const y = config.margin + config.height / 2 + slot * (config.height + config.spacing);
+
+        const background = this.scene.add.rectangle(0, 0, config.width, config.height, config.backgroundColor, 0.95);
+        background.setStrokeStyle(2, config.borderColor);
+        const header = this.scene.add.text(0, -17, 'ACHIEVEMENT UNLOCKED', {
+            fontFamily: 'monospace',
+            fontSize: '10px',
+            color: '#AAAAAA'
+        }).setOrigin(0.5);
+        const title = this.scene.add.text(0, -1, achievement.name, {
+            fontFamily: 'monospace',
+            fontSize: '15px',
+            color: '#FFCC00'
+        }).setOrigin(0.5);
+        const description = this.scene.add.text(0, 16, achievement.description, {
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            color: '#CCCCCC'
+        }).setOrigin(0.5);
+
+        // Slide in from the right edge
+        const toast = this.scene.add.container(x + config.width, y, [background, header, title, description]);
+        toast.setScrollFactor(0);
+        toast.setDepth(110);
+        this.toasts.push(toast);
+
+        this.scene.tweens.add({
+            targets: toast,
+            x,
+            duration: 250,
+            ease: 'Back.easeOut'
+        });
+        this.scene.tweens.add({
+            targets: toast,
+            alpha: 0,
+            delay: config.duration,
+            duration: 400,
+            onComplete: () => {
+                this.toasts.splice(this.toasts.indexOf(toast), 1);
+                toast.destroy();
+            }
+        });
+    }
+}
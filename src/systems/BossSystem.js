@@ -0,0 +1,303 @@
+import { ZOMBIE_TYPES, GAME_CONFIG, BOSS_CONFIG, UI_CONFIG } from '../gameConfig.js';
+
+export class BossSystem {
+    constructor(scene, zombieSystem) {
+        this.scene = scene;
+        this.zombieSystem = zombieSystem;
+
+        this.boss = null;
+        this.encounterActive = false;
+        this.currentPhaseIndex = 0;
+        this.attackReadyTimes = {};
+        this.bossSpawnTimer = null;
+
+        // Boss projectiles hurt the player and break on obstacles
+        this.projectiles = this.scene.physics.add.group();
+        this.scene.physics.add.overlap(this.scene.player, this.projectiles, this.projectileHitPlayer, null, this);
+        this.scene.physics.add.collider(this.projectiles, this.scene.environment, this.destroyProjectile, null, this);
+        this.scene.physics.add.collider(this.projectiles, this.scene.trees, this.destroyProjectile, null, this);
+
+        this.createBossUI();
+    }
+
+    scheduleBossSpawn(delay) {
+        // Endless mode spawns bosses on a timer
+        this.bossSpawnTimer = this.scene.time.delayedCall(delay, this.startBossEncounter, [], this);
+    }
+
+    startBossEncounter() {
+        if (this.encounterActive) {
+            return;
+        }
+        this.encounterActive = true;
+
+        this.showBossWarning();
+        this.scene.time.delayedCall(BOSS_CONFIG.warningDuration, this.spawnBoss, [], this);
+    }
+
+    showBossWarning() {
+        const camera = this.scene.cameras.main;
+        const edgeThickness = 40;
+
+        // Red flashing bars along every screen edge
+        const edges = [
+            this.scene.add.rectangle(0, 0, camera.width, edgeThickness, 0xFF0000).setOrigin(0, 0),
+            this.scene.add.rectangle(0, camera.height - edgeThickness, camera.width, edgeThickness, 0xFF0000).setOrigin(0, 0),
+            this.scene.add.rectangle(0, 0, edgeThickness, camera.height, 0xFF0000).setOrigin(0, 0),
+            this.scene.add.rectangle(camera.width - edgeThickness, 0, edgeThickness, camera.height, 0xFF0000).setOrigin(0, 0)
+        ];
+
+        edges.forEach(edge => {
+            edge.setScrollFactor(0);
+            edge.setDepth(90);
+            edge.setAlpha(0);
+        });
+
+        const flashDuration = 250;
+        this.scene.tweens.add({
+            targets: edges,
+            alpha: 0.6,
+            duration: flashDuration,
+            yoyo: true,
+            repeat: Math.floor(BOSS_CONFIG.warningDuration / (flashDuration * 2)) - 1,
+            onComplete: () => edges.forEach(edge => edge.destroy())
+        });
+
+        // Ground rumble while the boss approaches
+        camera.shake(BOSS_CONFIG.warningDuration, 0.008);
+
+        this.scene.showNotification('WARNING: A boss is approaching!');
+    }
+
+    spawnBoss() {
+        const bossType = ZOMBIE_TYPES[BOSS_CONFIG.typeId];
+        this.boss = this.zombieSystem.createZombieAtEdge(bossType);
+        this.boss.isBoss = true;
+
+        this.currentPhaseIndex = 0;
+        this.attackReadyTimes = {};
+        this.scheduleAttacks(this.getCurrentPhase());
+
+        this.bossNameText.setText(`${bossType.name} - ${this.getCurrentPhase().name}`);
+        this.setBossUIVisible(true);
+
+        console.log('Boss spawned:', { health: this.boss.health, position: { x: this.boss.x, y: this.boss.y } });
+    }
+
+    createBossUI() {
+        const config = UI_CONFIG.bossBar;
+        const centerX = this.scene.cameras.main.centerX;
+
+        this.bossBarBg = this.scene.add.rectangle(centerX, config.y, config.width, config.height, config.backgroundColor);
+        this.bossBarBg.setStrokeStyle(2, 0xFFFFFF);
+
+        // Fill is left-aligned so it shrinks towards the left
+        this.bossBarFill = this.scene.add.rectangle(centerX - config.width / 2, config.y, config.width, config.height, config.fillColor);
+        this.bossBarFill.setOrigin(0, 0.5);
+
+        this.bossNameText = this.scene.add.text(centerX, config.y - config.height, '', {
+            fontFamily: 'monospace',
+            fontSize: '16px',
+            color: '#FFFFFF'
+        });
+        this.bossNameText.setOrigin(0.5, 1);
+
+        this.bossUIElements = [this.bossBarBg, this.bossBarFill, this.bossNameText];
+        this.bossUIElements.forEach(element => {
+            element.setScrollFactor(0);
+            element.setDepth(100);
+        });
+
+        this.setBossUIVisible(false);
+    }
+
+    setBossUIVisible(visible) {
+        this.bossUIElements.forEach(element => element.setVisible(visible));
+    }
+
+    getCurrentPhase() {
+        return BOSS_CONFIG.phases[this.currentPhaseIndex];
+    }
+
+    scheduleAttacks(phase) {
+        // Stagger the first use of each attack so they don't all fire at once
+        phase.attacks.forEach((attackId, index) => {
+            if (this.attackReadyTimes[attackId] === undefined) {
+                this.attackReadyTimes[attackId] = this.scene.time.now + 1000 + index * 1000;
+            }
+        });
+    }
+
+    update(time) {
+        if (!this.boss) {
+            return;
+        }
+
+        // Boss was killed by bullets or explosions
+        if (!this.boss.active) {
+            this.onBossDefeated();
+            return;
+        }
+
+        this.updatePhase();
+
+        // Trigger any attacks whose cooldown has finished
+        const phase = this.getCurrentPhase();
+        if (!this.boss.movementLocked) {
+            for (const attackId of phase.attacks) {
+                if (time >= this.attackReadyTimes[attackId]) {
+                    this.attackReadyTimes[attackId] = time + BOSS_CONFIG.attacks[attackId].cooldown;
+                    this.performAttack(attackId);
+                    break;
+                }
+            }
+        }
+
+        // Update boss bar
+        const config = UI_CONFIG.bossBar;
+        const healthPercent = Phaser.Math.Clamp(this.boss.health / this.boss.maxHealth, 0, 1);
+        this.bossBarFill.setSize(config.width * healthPercent, config.height);
+    }
+
+    updatePhase() {
+        const healthPercent = this.boss.health / this.boss.maxHealth;
+
+        // Find the deepest phase whose threshold we've dropped to
+        let phaseIndex = 0;
+        BOSS_CONFIG.phases.forEach((phase, index) => {
+            if (healthPercent <= phase.healthThreshold) {
+                phaseIndex = index;
+            }
+        });
+
+        if (phaseIndex > this.currentPhaseIndex) {
+            this.currentPhaseIndex = phaseIndex;
+            const phase = this.getCurrentPhase();
+
+            this.boss.speed = ZOMBIE_TYPES[BOSS_CONFIG.typeId].speed * phase.speedMultiplier;
+            this.scheduleAttacks(phase);
+
+            this.bossNameText.setText(`${ZOMBIE_TYPES[BOSS_CONFIG.typeId].name} - ${phase.name}`);
+            this.scene.cameras.main.shake(300, 0.02);
+            this.scene.showNotification(`The boss enters ${phase.name}!`);
+
+            console.log(`Boss entered phase ${phaseIndex + 1}: ${phase.name}`);
+        }
+    }
+
+    performAttack(attackId) {
+        switch (attackId) {
+            case 'charge':
+                this.chargeAttack();
+                break;
+            case 'summon':
+                this.summonAttack();
+                break;
+            case 'ranged':
+                this.rangedAttack();
+                break;
+        }
+    }
+
+    chargeAttack() {
+        const config = BOSS_CONFIG.attacks.charge;
+        const boss = this.boss;
+
+        // Wind up: stop and flash white
+        boss.movementLocked = true;
+        boss.setVelocity(0, 0);
+        boss.setTintFill(0xFFFFFF);
+
+        this.scene.time.delayedCall(config.windup, () => {
+            if (!boss.active) return;
+
+            boss.setTint(boss.zombieTypeConfig.tint);
+
+            // Charge at where the player is now
+            const angle = Phaser.Math.Angle.Between(boss.x, boss.y, this.scene.player.x, this.scene.player.y);
+            const speed = config.speed * GAME_CONFIG.GLOBAL_SCALE;
+            boss.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
+
+            this.scene.time.delayedCall(config.duration, () => {
+                if (boss.active) {
+                    boss.movementLocked = false;
+                }
+            });
+        });
+    }
+
+    summonAttack() {
+        const config = BOSS_CONFIG.attacks.summon;
+        const minionType = ZOMBIE_TYPES[config.minionType];
+
+        // Spawn minions in a ring around the boss
+        for (let i = 0; i < config.count; i++) {
+            const angle = (Math.PI * 2 * i) / config.count;
+            const x = this.boss.x + Math.cos(angle) * config.radius;
+            const y = this.boss.y + Math.sin(angle) * config.radius;
+            this.zombieSystem.createZombie(x, y, minionType);
+            this.scene.createParticleEffect(x, y, 'blood');
+        }
+
+        this.scene.addImpactFlash(this.boss.x, this.boss.y, 0x9933FF);
+    }
+
+    rangedAttack() {
+        const config = BOSS_CONFIG.attacks.ranged;
+        const baseAngle = Phaser.Math.Angle.Between(this.boss.x, this.boss.y, this.scene.player.x, this.scene.player.y);
+
+        // Fan of projectiles aimed at the player
+        for (let i = 0; i < config.projectileCount; i++) {
+            const angle = baseAngle + (i - (config.projectileCount - 1) / 2) * config.spread;
+
+            const projectile = this.scene.add.circle(this.boss.x, this.boss.y, 7 * GAME_CONFIG.GLOBAL_SCALE, config.projectileColor);
+            projectile.setStrokeStyle(2, 0xFFFFFF, 0.8);
+            projectile.setDepth(9);
+            this.projectiles.add(projectile);
+
+            projectile.damage = config.projectileDamage;
+            projectile.body.velocity.x = Math.cos(angle) * config.projectileSpeed;
+            projectile.body.velocity.y = Math.sin(angle) * config.projectileSpeed;
+
+            this.scene.time.delayedCall(config.projectileLifetime, () => {
+                if (projectile.active) {
+                    projectile.destroy();
+                }
+            });
+        }
+    }
+
+    projectileHitPlayer(player, projectile) {
+        const damage = projectile.damage;
+        projectile.destroy();
+        this.scene.damagePlayer(damage, 'boss_projectile');
+    }
+
+    destroyProjectile(projectile) {
+        this.scene.createParticleEffect(projectile.x, projectile.y, 'spark');
+        projectile.destroy();
+    }
+
+    onBossDefeated() {
+        this.boss = null;
+        this.encounterActive = false;
+        this.setBossUIVisible(false);
+
+        // Clear leftover projectiles
+        this.projectiles.clear(true, true);
+
+        this.scene.showNotification('Boss defeated!');
+        console.log('Boss defeated');
+
+        // Endless mode keeps the bosses coming
+        if (!this.scene.waveSystem) {
+            this.scheduleBossSpawn(BOSS_CONFIG.spawnInterval);
+        }
+    }
+
+    destroy() {
+        if (this.bossSpawnTimer) {
+            this.bossSpawnTimer.destroy();
+        }
+    }
+}
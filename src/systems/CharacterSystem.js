@@ -0,0 +1,118 @@
+import { GAME_CONFIG, UI_CONFIG } from '../gameConfig.js';
+
+export class CharacterSystem {
+    constructor(scene, characterClass) {
+        this.scene = scene;
+        this.characterClass = characterClass;
+        this.ultimate = characterClass.ultimate;
+
+        // Ultimate is ready at the start of the run
+        this.ultimateReadyAt = 0;
+        this.ultimateActiveUntil = 0;
+
+        // Class look
+        this.scene.player.setTint(characterClass.tint);
+
+        this.createUltimateUI();
+    }
+
+    getMultiplier(key) {
+        // Class stats multiply the base values, missing stats leave them unchanged
+        const value = this.characterClass.stats[key];
+        return value === undefined ? 1 : value;
+    }
+
+    isUltimateActive(type) {
+        return this.ultimate.type === type && this.scene.time.now < this.ultimateActiveUntil;
+    }
+
+    activateUltimate() {
+        const time = this.scene.time.now;
+        if (this.scene.isGameOver || time < this.ultimateReadyAt) {
+            return;
+        }
+
+        this.ultimateReadyAt = time + this.ultimate.cooldown;
+        const player = this.scene.player;
+
+        switch (this.ultimate.type) {
+            case 'deadeye':
+                this.ultimateActiveUntil = time + this.ultimate.duration;
+                break;
+            case 'demolition':
+                this.scene.createExplosion(player.x, player.y, {
+                    radius: this.ultimate.radius * GAME_CONFIG.GLOBAL_SCALE,
+                    zombieDamage: this.ultimate.damage,
+                    damagesPlayer: false,
+                    source: 'ultimate'
+                });
+                break;
+            case 'field_surgery':
+                this.scene.playerHealth = Math.min(
+                    this.scene.playerMaxHealth,
+                    this.scene.playerHealth + this.scene.playerMaxHealth * this.ultimate.heal
+                );
+                this.scene.playerArmor = GAME_CONFIG.PLAYER_MAX_ARMOR;
+                this.scene.playerInvulnerableUntil = time + this.ultimate.invulnerability;
+                this.scene.updateHealthBar();
+                this.scene.createParticleEffect(player.x, player.y, 'spark', 16);
+                break;
+        }
+
+        this.scene.showNotification(`${this.ultimate.name.toUpperCase()}!`);
+        console.log(`Ultimate used: ${this.ultimate.name}`);
+    }
+
+    createUltimateUI() {
+        const config = UI_CONFIG.ultimate;
+
+        this.ultimateText = this.scene.add.text(config.position[0], config.position[1], '', {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: config.chargingColor
+        });
+        this.ultimateText.setScrollFactor(0);
+        this.ultimateText.setDepth(100);
+
+        // Bar fills up while the ultimate recharges
+        this.ultimateBar = this.scene.add.graphics();
+        this.ultimateBar.setScrollFactor(0);
+        this.ultimateBar.setDepth(100);
+    }
+
+    update(time, delta) {
+        // Passive health regeneration
+        const regen = this.characterClass.stats.regen || 0;
+        if (regen > 0 && this.scene.playerHealth < this.scene.playerMaxHealth) {
+            this.scene.playerHealth = Math.min(this.scene.playerMaxHealth, this.scene.playerHealth + regen * delta / 1000);
+            this.scene.updateHealthBar();
+        }
+
+        this.updateUltimateUI(time);
+    }
+
+    updateUltimateUI(time) {
+        const config = UI_CONFIG.ultimate;
+        const key = GAME_CONFIG.ULTIMATE_KEY;
+        const remaining = Math.max(0, this.ultimateReadyAt - time);
+
+        if (time < this.ultimateActiveUntil) {
+            this.ultimateText.setText(`${key}: ${this.ultimate.name} ACTIVE`);
+            this.ultimateText.setColor(config.readyColor);
+        } else if (remaining > 0) {
+            this.ultimateText.setText(`${key}: ${this.ultimate.name} ${Math.ceil(remaining / 1000)}s`);
+            this.ultimateText.setColor(config.chargingColor);
+        } else {
+            this.ultimateText.setText(`${key}: ${this.ultimate.name} READY`);
+            this.ultimateText.setColor(config.readyColor);
+        }
+
+        const charge = 1 - remaining / this.ultimate.cooldown;
+        const barY = config.position[1] + 20;
+        this.ultimateBar.clear();
+        this.ultimateBar.fillStyle(0x000000, 0.6);
+        this.ultimateBar.fillRect(config.position[0], barY, config.width, config.height);
+        this.ultimateBar.fillStyle(config.barColor, charge >= 1 ? 1 : 0.5);
+        this.ultimateBar.fillRect(config.position[0], barY, config.width * charge, config.height);
+    }
+}
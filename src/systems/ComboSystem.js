@@ -0,0 +1,92 @@
+import { COMBO_CONFIG, UI_CONFIG } from '../gameConfig.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+export class ComboSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.comboCount = 0;
+        this.varietyStreak = 0; // Kills in a row that switched zombie type
+        this.lastKillType = null;
+        this.comboExpiresAt = 0;
+
+        this.createComboUI();
+
+        this.scene.eventBus.on(GAME_EVENTS.ZOMBIE_KILLED, this.registerKill, this);
+    }
+
+    registerKill({ typeId }) {
+        const now = this.scene.time.now;
+
+        if (this.comboCount > 0 && now <= this.comboExpiresAt) {
+            this.comboCount++;
+            // Switching targets pays extra, farming one type resets the streak
+            this.varietyStreak = typeId !== this.lastKillType ? this.varietyStreak + 1 : 0;
+        } else {
+            this.comboCount = 1;
+            this.varietyStreak = 0;
+        }
+
+        this.lastKillType = typeId;
+        this.comboExpiresAt = now + COMBO_CONFIG.window;
+
+        // Report the best combo on the game over screen
+        this.scene.gameStats.maxCombo = Math.max(this.scene.gameStats.maxCombo, this.comboCount);
+    }
+
+    getMultiplier() {
+        // Multiplier for the next kill's coins - only while the combo is alive
+        if (this.comboCount === 0 || this.scene.time.now > this.comboExpiresAt) {
+            return 1;
+        }
+
+        const multiplier = 1 +
+            (this.comboCount - 1) * COMBO_CONFIG.multiplierPerKill +
+            this.varietyStreak * COMBO_CONFIG.varietyBonus;
+        return Math.min(COMBO_CONFIG.maxMultiplier, multiplier);
+    }
+
+    createComboUI() {
+        const config = UI_CONFIG.comboMeter;
+
+        this.comboText = this.scene.add.text(config.position[0], config.position[1], '', {
+            fontFamily: 'monospace',
+            fontSize: '16px',
+            color: config.color
+        });
+        this.comboText.setScrollFactor(0);
+        this.comboText.setDepth(100);
+
+        // Meter drains as the combo window runs out
+        this.comboBar = this.scene.add.graphics();
+        this.comboBar.setScrollFactor(0);
+        this.comboBar.setDepth(100);
+    }
+
+    update(time) {
+        const config = UI_CONFIG.comboMeter;
+        this.comboBar.clear();
+
+        if (time > this.comboExpiresAt) {
+            this.comboCount = 0;
+            this.varietyStreak = 0;
+        }
+
+        if (this.comboCount < COMBO_CONFIG.minCombo) {
+            this.comboText.setText('');
+            return;
+        }
+
+        const multiplier = this.getMultiplier();
+        const variety = this.varietyStreak > 0 ? `  variety +${this.varietyStreak}` : '';
+        this.comboText.setText(`COMBO x${this.comboCount}  ${multiplier.toFixed(2)}x coins${variety}`);
+        this.comboText.setColor(this.varietyStreak > 0 ? config.varietyColor : config.color);
+
+        const remaining = Phaser.Math.Clamp((this.comboExpiresAt - time) / COMBO_CONFIG.window, 0, 1);
+        const barY = config.position[1] + 22;
+        this.comboBar.fillStyle(0x000000, 0.6);
+        this.comboBar.fillRect(config.position[0], barY, config.width, config.height);
+        this.comboBar.fillStyle(config.barColor, 1);
+        this.comboBar.fillRect(config.position[0], barY, config.width * remaining, config.height);
+    }
+}
@@ -0,0 +1,313 @@
+import { ZOMBIE_TYPES, WEAPON_TYPES, SHOP_ITEMS, PARTICLE_MATERIALS, ASSETS } from '../gameConfig.js';
+
+// Value checks for schema fields - an array instead of a type name lists the allowed values
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isColor = value => isNumber(value) || (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value));
+const FIELD_TYPES = {
+    string: value => typeof value === 'string' && value.length > 0,
+    number: isNumber,
+    boolean: value => typeof value === 'boolean',
+    color: isColor,
+    colors: value => Array.isArray(value) && value.length > 0 && value.every(isColor),
+    range: value => Array.isArray(value) && value.length === 2 && value.every(isNumber),
+    box: value => value !== null && typeof value === 'object' && isNumber(value.width) && isNumber(value.height),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+const TYPE_LABELS = {
+    string: 'a non-empty string',
+    number: 'a number',
+    boolean: 'true or false',
+    color: 'a color ("#RRGGBB" or a number)',
+    colors: 'a list of colors',
+    range: 'a [min, max] pair of numbers',
+    box: 'an object with width and height',
+    object: 'an object'
+};
+
+// Pack sections: the fields an entry may set, and the ones a new entry needs unless it extends an existing one
+const SCHEMAS = {
+    zombies: {
+        required: ['spriteKey', 'maxHealth', 'speed', 'scale', 'physicsBox', 'hitDetectionBox', 'healthBarColor',
+            'healthBarWidthMultiplier', 'healthBarOffset', 'description'],
+        fields: {
+            name: 'string',
+            spriteKey: 'string',
+            assetPath: 'string',
+            maxHealth: 'number',
+            speed: 'number',
+            contactDamage: 'number',
+            attackCooldown: 'number',
+            spawnWeight: 'number',
+            minSpawnTime: 'number',
+            coinReward: 'number',
+            explosionDamage: 'number',
+            healthBarColor: 'color',
+            healthBarWidthMultiplier: 'number',
+            healthBarOffset: 'number',
+            tint: 'color',
+            scale: 'number',
+            physicsBox: 'box',
+            hitDetectionBox: 'box',
+            hasRedGlow: 'boolean',
+            canDestroyObstacles: 'boolean',
+            isBoss: 'boolean',
+            description: 'string'
+        }
+    },
+    weapons: {
+        required: ['name', 'spriteKey', 'bulletCount', 'spread', 'bulletLifetime', 'damage', 'magazineSize',
+            'reloadTime', 'fireMode', 'fireRate', 'description'],
+        fields: {
+            name: 'string',
+            spriteKey: 'string',
+            assetPath: 'string',
+            gunTint: 'color',
+            bulletColor: 'color',
+            bulletCount: 'number',
+            spread: 'number',
+            inaccuracy: 'number',
+            bulletLifetime: 'number',
+            damage: 'number',
+            critChance: 'number',
+            critMultiplier: 'number',
+            rayWidth: 'number',
+            magazineSize: 'number',
+            reloadTime: 'number',
+            reserveAmmo: 'number',
+            maxReserveAmmo: 'number',
+            infiniteAmmo: 'boolean',
+            fireMode: ['semi', 'burst', 'auto'],
+            fireRate: 'number',
+            burstCount: 'number',
+            burstDelay: 'number',
+            projectile: 'object',
+            upgradeTarget: 'string',
+            description: 'string'
+        }
+    },
+    shopItems: {
+        required: ['name', 'price', 'description'],
+        fields: {
+            name: 'string',
+            price: 'number',
+            weaponType: 'string',
+            requiresWeapon: 'string',
+            consumable: 'boolean',
+            ammoRefill: 'number',
+            description: 'string'
+        }
+    },
+    materials: {
+        required: ['color', 'size', 'gravity', 'count', 'speed', 'lifetime', 'colors'],
+        fields: {
+            color: 'color',
+            size: 'range',
+            gravity: 'number',
+            count: 'number',
+            speed: 'range',
+            lifetime: 'range',
+            colors: 'colors'
+        }
+    }
+};
+
+export class ContentPacks {
+    static getGameContent() {
+        // The config tables packs merge into - entries are updated in place so existing references stay valid
+        return {
+            zombies: ZOMBIE_TYPES,
+            weapons: WEAPON_TYPES,
+            shopItems: SHOP_ITEMS,
+            materials: PARTICLE_MATERIALS,
+            sprites: ASSETS.sprites
+        };
+    }
+
+    static applyAll(packs, content = ContentPacks.getGameContent()) {
+        // Packs merge in order, so later packs can build on and override earlier ones.
+        // A pack with any error is skipped as a whole - half a pack could leave broken references
+        const applied = [];
+        const errors = [];
+
+        packs.forEach((pack, index) => {
+            const packId = (pack && pack.id) || `#${index + 1}`;
+            const packErrors = ContentPacks.validate(pack, content);
+            if (packErrors.length > 0) {
+                errors.push(...packErrors.map(error => `Content pack "${packId}": ${error}`));
+                return;
+            }
+
+            ContentPacks.apply(pack, content);
+            applied.push(packId);
+        });
+
+        return { applied, errors };
+    }
+
+    static validate(pack, content = ContentPacks.getGameContent()) {
+        const errors = [];
+        if (!FIELD_TYPES.object(pack)) {
+            return ['must be a JSON object'];
+        }
+        if (!FIELD_TYPES.string(pack.id)) {
+            errors.push('"id" must be a non-empty string');
+        }
+
+        Object.keys(pack).forEach(key => {
+            if (key !== 'id' && key !== 'name' && !SCHEMAS[key]) {
+                errors.push(`unknown section "${key}" (expected ${Object.keys(SCHEMAS).join(', ')})`);
+            }
+        });
+
+        // Entries as they will look after merging, used for the reference checks below
+        const merged = {};
+        Object.entries(SCHEMAS).forEach(([section, schema]) => {
+            merged[section] = { ...content[section] };
+            if (pack[section] === undefined) return;
+            if (!FIELD_TYPES.object(pack[section])) {
+                errors.push(`"${section}" must be an object of entries keyed by id`);
+                return;
+            }
+
+            Object.entries(pack[section]).forEach(([id, entry]) => {
+                const path = `${section}.${id}`;
+                const entryErrors = ContentPacks.validateEntry(path, id, entry, schema, content[section]);
+                errors.push(...entryErrors);
+                if (entryErrors.length === 0) {
+                    merged[section][id] = ContentPacks.resolveEntry(id, entry, content[section]);
+                }
+            });
+        });
+
+        errors.push(...ContentPacks.validateReferences(pack, merged, content.sprites));
+        return errors;
+    }
+
+    static validateEntry(path, id, entry, schema, existing) {
+        if (!FIELD_TYPES.object(entry)) {
+            return [`${path} must be an object`];
+        }
+
+        const errors = [];
+        if (entry.id !== undefined && entry.id !== id) {
+            errors.push(`${path}.id is "${entry.id}" but the entry is keyed "${id}" - leave "id" out or make them match`);
+        }
+        if (entry.extends !== undefined && !existing[entry.extends]) {
+            errors.push(`${path}.extends refers to unknown entry "${entry.extends}"`);
+        }
+
+        Object.entries(entry).forEach(([field, value]) => {
+            if (field === 'id' || field === 'extends') return;
+
+            const type = schema.fields[field];
+            if (type === undefined) {
+                errors.push(`${path}.${field} is not a known field`);
+            } else if (Array.isArray(type)) {
+                if (!type.includes(value)) {
+                    errors.push(`${path}.${field} must be one of ${type.map(option => `"${option}"`).join(', ')} (got ${JSON.stringify(value)})`);
+                }
+            } else if (!FIELD_TYPES[type](value)) {
+                errors.push(`${path}.${field} must be ${TYPE_LABELS[type]} (got ${JSON.stringify(value)})`);
+            }
+        });
+
+        // Overrides and extended entries inherit everything they leave out
+        if (!existing[id] && entry.extends === undefined) {
+            const missing = schema.required.filter(field => entry[field] === undefined);
+            if (missing.length > 0) {
+                errors.push(`${path} is new and is missing ${missing.join(', ')} (or add "extends" to copy them from an existing entry)`);
+            }
+        }
+
+        return errors;
+    }
+
+    static validateReferences(pack, merged, sprites) {
+        const errors = [];
+
+        // Every zombie and weapon sprite has to be loadable
+        ['zombies', 'weapons'].forEach(section => {
+            Object.keys(pack[section] || {}).forEach(id => {
+                const entry = merged[section][id];
+                if (entry && entry.spriteKey && !entry.assetPath && !sprites[entry.spriteKey]) {
+                    errors.push(`${section}.${id} uses sprite "${entry.spriteKey}", which is not loaded - add "assetPath" or use one of: ${Object.keys(sprites).join(', ')}`);
+                }
+            });
+        });
+
+        Object.keys(pack.weapons || {}).forEach(id => {
+            const weapon = merged.weapons[id];
+            if (weapon && weapon.upgradeTarget && !merged.weapons[weapon.upgradeTarget]) {
+                errors.push(`weapons.${id}.upgradeTarget refers to unknown weapon "${weapon.upgradeTarget}"`);
+            }
+        });
+
+        Object.keys(pack.shopItems || {}).forEach(id => {
+            const item = merged.shopItems[id];
+            if (!item) return;
+
+            // Weapon items point at a weapon by id, upgrades at the shop item they build on
+            const weaponId = typeof item.weaponType === 'string' ? item.weaponType : item.weaponType && item.weaponType.id;
+            if (!item.consumable && !weaponId) {
+                errors.push(`shopItems.${id} needs a "weaponType" (or "consumable": true)`);
+            } else if (weaponId && !merged.weapons[weaponId]) {
+                errors.push(`shopItems.${id}.weaponType refers to unknown weapon "${weaponId}"`);
+            }
+            if (item.requiresWeapon && !merged.shopItems[item.requiresWeapon]) {
+                errors.push(`shopItems.${id}.requiresWeapon refers to unknown shop item "${item.requiresWeapon}" (known: ${Object.keys(merged.shopItems).join(', ')})`);
+            }
+        });
+
+        return errors;
+    }
+
+    static resolveEntry(id, entry, existing) {
+        // Merged view of an entry - extends copies the base first, overrides keep the current values
+        const { extends: baseId, ...fields } = entry;
+        const base = baseId ? existing[baseId] : existing[id];
+        const resolved = { ...base, ...fields, id };
+
+        // A new sprite key needs its own image - the base entry's image belongs to the base sprite
+        if (base && fields.spriteKey && fields.spriteKey !== base.spriteKey && !fields.assetPath) {
+            delete resolved.assetPath;
+        }
+        return resolved;
+    }
+
+    static apply(pack, content = ContentPacks.getGameContent()) {
+        Object.keys(SCHEMAS).forEach(section => {
+            Object.entries(pack[section] || {}).forEach(([id, entry]) => {
+                const resolved = ContentPacks.normalizeColors(ContentPacks.resolveEntry(id, entry, content[section]));
+
+                // Shop items store the weapon object itself, like the built-in items
+                if (section === 'shopItems' && typeof resolved.weaponType === 'string') {
+                    resolved.weaponType = content.weapons[resolved.weaponType];
+                }
+
+                if (content[section][id]) {
+                    Object.assign(content[section][id], resolved);
+                } else {
+                    content[section][id] = resolved;
+                }
+
+                // New sprites are picked up by GameScene.preload
+                if (resolved.spriteKey && resolved.assetPath && !content.sprites[resolved.spriteKey]) {
+                    content.sprites[resolved.spriteKey] = resolved.assetPath;
+                }
+            });
+        });
+    }
+
+    static normalizeColors(entry) {
+        // JSON has no hex literals - "#RRGGBB" strings become the numbers Phaser expects
+        const toNumber = value => (typeof value === 'string' && value.startsWith('#') ? parseInt(value.slice(1), 16) : value);
+        Object.keys(entry).forEach(field => {
+            if (field.endsWith('Color') || field.endsWith('Tint') || field === 'tint' || field === 'color') {
+                entry[field] = toNumber(entry[field]);
+            } else if (field === 'colors') {
+                entry[field] = entry[field].map(toNumber);
+            }
+        });
+        return entry;
+    }
+}
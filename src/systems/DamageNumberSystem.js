@@ -0,0 +1,81 @@
+import { UI_CONFIG } from '../gameConfig.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+export class DamageNumberSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Fixed pool of text objects - when every number is in use the oldest one is recycled
+        const config = UI_CONFIG.damageNumbers;
+        this.pool = [];
+        for (let i = 0; i < config.poolSize; i++) {
+            const text = this.scene.add.text(0, 0, '', {
+                fontFamily: 'monospace',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 3
+            });
+            text.setOrigin(0.5);
+            text.setDepth(40);
+            text.setActive(false).setVisible(false);
+            this.pool.push(text);
+        }
+        this.nextIndex = 0;
+
+        this.scene.eventBus.on(GAME_EVENTS.ZOMBIE_DAMAGED, this.onZombieDamaged, this);
+        this.scene.eventBus.on(GAME_EVENTS.COINS_AWARDED, this.onCoinsAwarded, this);
+    }
+
+    onZombieDamaged({ x, y, amount, isCrit }) {
+        // Whole numbers stay whole, crit multipliers like 1.5x keep one decimal
+        const value = Math.round(amount * 10) / 10;
+        this.show(x, y, isCrit ? `${value}!` : `${value}`, isCrit ? 'crit' : 'normal');
+    }
+
+    onCoinsAwarded({ amount, reason, x, y }) {
+        // Kill indicator with the coins it paid out (after combo and unlock multipliers)
+        if (reason !== 'kill') return;
+        const label = amount > 0 ? `KILL +${amount}` : 'KILL';
+        this.show(x, y - 20, label, 'kill');
+    }
+
+    show(x, y, label, styleName) {
+        const config = UI_CONFIG.damageNumbers;
+        const style = config[styleName];
+
+        const text = this.acquire();
+        this.scene.tweens.killTweensOf(text);
+
+        // Small horizontal jitter so numbers from rapid hits don't stack exactly
+        const offsetX = this.scene.rng.cosmetic.between(-8, 8);
+        text.setPosition(x + offsetX, y);
+        text.setText(label);
+        text.setFontSize(style.size);
+        text.setColor(style.color);
+        text.setAlpha(1);
+        text.setScale(styleName === 'crit' ? 1.4 : 1);
+        text.setActive(true).setVisible(true);
+
+        this.scene.tweens.add({
+            targets: text,
+            y: y - config.rise,
+            alpha: 0,
+            scale: 1,
+            duration: config.duration,
+            ease: 'Cubic.easeOut',
+            onComplete: () => text.setActive(false).setVisible(false)
+        });
+    }
+
+    acquire() {
+        // Prefer an idle text, otherwise recycle round-robin
+        const idle = this.pool.find(text => !text.active);
+        if (idle) {
+            return idle;
+        }
+
+        const text = this.pool[this.nextIndex];
+        this.nextIndex = (this.nextIndex + 1) % this.pool.length;
+        return text;
+    }
+}
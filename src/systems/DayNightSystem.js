@@ -0,0 +1,123 @@
+import { GAME_CONFIG, DAY_NIGHT_CONFIG, UI_CONFIG } from '../gameConfig.js';
+
+export class DayNightSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Runs start at dawn of day 1
+        this.phase = 'day';
+        this.day = 1;
+        this.phaseElapsed = 0; // Advanced from update() so pausing for the shop doesn't skip time
+
+        this.createDarkness();
+        this.createClockUI();
+    }
+
+    createDarkness() {
+        const config = DAY_NIGHT_CONFIG;
+        const margin = 200;
+
+        // Darkness layer over the whole map, below the HUD
+        this.darkness = this.scene.add.rectangle(
+            -margin,
+            -margin,
+            GAME_CONFIG.MAP_WIDTH + margin * 2,
+            GAME_CONFIG.MAP_HEIGHT + margin * 2,
+            config.darknessColor
+        );
+        this.darkness.setOrigin(0, 0);
+        this.darkness.setDepth(50);
+        this.darkness.setAlpha(0);
+
+        // Inverted circle mask keeps a lit radius around the player
+        this.lightShape = this.scene.make.graphics({}, false);
+        this.lightShape.fillStyle(0xFFFFFF);
+        this.lightShape.fillCircle(0, 0, config.visibilityRadius * GAME_CONFIG.GLOBAL_SCALE);
+
+        const mask = this.lightShape.createGeometryMask();
+        mask.setInvertAlpha(true);
+        this.darkness.setMask(mask);
+    }
+
+    createClockUI() {
+        const config = UI_CONFIG.dayNightClock;
+
+        this.clockText = this.scene.add.text(config.position[0], config.position[1], '', {
+            fontFamily: 'monospace',
+            fontSize: `${config.size}px`,
+            color: config.dayColor
+        });
+        this.clockText.setScrollFactor(0);
+        this.clockText.setDepth(100);
+    }
+
+    isNight() {
+        return this.phase === 'night';
+    }
+
+    getPhaseDuration() {
+        return this.isNight() ? DAY_NIGHT_CONFIG.nightDuration : DAY_NIGHT_CONFIG.dayDuration;
+    }
+
+    applySpawnModifiers(zombie) {
+        // Zombies that rise at night keep their extra strength and reward until they die
+        if (!this.isNight()) {
+            return;
+        }
+
+        const modifiers = DAY_NIGHT_CONFIG.nightModifiers;
+        const typeModifiers = modifiers[zombie.zombieTypeConfig.id] || modifiers.default;
+
+        zombie.health *= typeModifiers.health;
+        zombie.maxHealth *= typeModifiers.health;
+        zombie.speed *= typeModifiers.speed;
+        zombie.coinReward *= typeModifiers.coinReward;
+    }
+
+    update(delta) {
+        this.phaseElapsed += delta;
+        if (this.phaseElapsed >= this.getPhaseDuration()) {
+            this.switchPhase();
+        }
+
+        // Light follows the player
+        this.lightShape.setPosition(this.scene.player.x, this.scene.player.y);
+
+        this.updateClockUI();
+    }
+
+    switchPhase() {
+        this.phaseElapsed = 0;
+
+        if (this.isNight()) {
+            this.phase = 'day';
+            this.day++;
+            this.scene.showNotification('Dawn breaks');
+        } else {
+            this.phase = 'night';
+            this.scene.showNotification('Night falls - zombies grow stronger!');
+        }
+
+        // Fade the darkness in at dusk and out at dawn
+        this.scene.tweens.add({
+            targets: this.darkness,
+            alpha: this.isNight() ? DAY_NIGHT_CONFIG.nightDarkness : 0,
+            duration: DAY_NIGHT_CONFIG.transitionDuration
+        });
+
+        console.log(`Day/night: ${this.phase} (day ${this.day})`);
+    }
+
+    updateClockUI() {
+        const config = UI_CONFIG.dayNightClock;
+
+        // Time left until the next phase
+        const remaining = Math.ceil((this.getPhaseDuration() - this.phaseElapsed) / 1000);
+        const minutes = Math.floor(remaining / 60);
+        const seconds = (remaining % 60).toString().padStart(2, '0');
+        const nextPhase = this.isNight() ? 'dawn' : 'night';
+
+        this.clockText.setText(`${this.isNight() ? 'NIGHT' : 'DAY'} ${this.day} - ${nextPhase} in ${minutes}:${seconds}`);
+        this.clockText.setColor(this.isNight() ? config.nightColor : config.dayColor);
+    }
+}
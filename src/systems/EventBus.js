@@ -0,0 +1,70 @@
+// Gameplay event names - subscribe and emit through these instead of string literals
+export const GAME_EVENTS = {
+    ZOMBIE_DAMAGED: 'zombieDamaged',
+    ZOMBIE_KILLED: 'zombieKilled',
+    COINS_AWARDED: 'coinsAwarded',
+    PLAYER_DAMAGED: 'playerDamaged',
+    OBSTACLE_DESTROYED: 'obstacleDestroyed',
+    WEAPON_PURCHASED: 'weaponPurchased',
+    WEAPON_FIRED: 'weaponFired',
+    EXPLOSION: 'explosion',
+    CHAIN_EXPLOSION: 'chainExplosion',
+    SURVIVAL_TICK: 'survivalTick',
+    RUN_ENDED: 'runEnded'
+};
+
+// Payload fields every emit of an event must include (optional fields like weaponId are left out)
+const EVENT_PAYLOADS = {
+    zombieDamaged: ['zombie', 'amount', 'isCrit', 'x', 'y'],
+    zombieKilled: ['zombie', 'typeId', 'cause', 'coinReward'],
+    coinsAwarded: ['amount', 'reason', 'x', 'y'],
+    playerDamaged: ['amount', 'healthDamage', 'armorDamage', 'source', 'health'],
+    obstacleDestroyed: ['objectType', 'x', 'y', 'cause'],
+    weaponPurchased: ['weaponId', 'name', 'price'],
+    weaponFired: ['weaponId'],
+    explosion: ['x', 'y', 'radius', 'source'],
+    chainExplosion: ['chainSize'],
+    survivalTick: ['minutes'],
+    runEnded: ['cause', 'gameStats']
+};
+
+export class EventBus {
+    constructor(scene) {
+        this.emitter = new Phaser.Events.EventEmitter();
+
+        // One bus per run - drop every listener when the scene shuts down so a restart starts clean
+        scene.events.once(Phaser.Scenes.Events.SHUTDOWN, this.destroy, this);
+    }
+
+    on(eventName, handler, context) {
+        EventBus.checkEventName(eventName);
+        this.emitter.on(eventName, handler, context);
+        return this;
+    }
+
+    off(eventName, handler, context) {
+        this.emitter.off(eventName, handler, context);
+        return this;
+    }
+
+    emit(eventName, payload = {}) {
+        // Typos and incomplete payloads are programming errors, so fail loudly
+        EventBus.checkEventName(eventName);
+        const missing = EVENT_PAYLOADS[eventName].filter(field => payload[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Event "${eventName}" is missing payload fields: ${missing.join(', ')}`);
+        }
+
+        this.emitter.emit(eventName, payload);
+    }
+
+    static checkEventName(eventName) {
+        if (!EVENT_PAYLOADS[eventName]) {
+            throw new Error(`Unknown gameplay event "${eventName}"`);
+        }
+    }
+
+    destroy() {
+        this.emitter.removeAllListeners();
+    }
+}
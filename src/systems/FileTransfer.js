@@ -0,0 +1,27 @@
+// Browser file download and upload for the JSON files the game exchanges (custom maps, replays)
+export class FileTransfer {
+    static download(fileName, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    static pickFile(onLoad, onError) {
+        // Pick a .json file through the browser's file dialog - onLoad(text, fileName)
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            file.text()
+                .then(text => onLoad(text, file.name))
+                .catch(error => onError(error, file.name));
+        });
+        input.click();
+    }
+}
@@ -0,0 +1,120 @@
+import { LEADERBOARD_CONFIG } from '../gameConfig.js';
+import { MapFile } from './MapFile.js';
+
+export class Leaderboard {
+    constructor(data, storage) {
+        this.storage = storage;
+        this.data = data;
+    }
+
+    static load(storage = Leaderboard.getStorage()) {
+        let data = null;
+
+        try {
+            const raw = storage ? storage.getItem(LEADERBOARD_CONFIG.storageKey) : null;
+            data = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Leaderboard could not be read, starting a new one:', error);
+        }
+
+        if (!data || !Array.isArray(data.entries)) {
+            data = { version: LEADERBOARD_CONFIG.version, entries: [], lastName: LEADERBOARD_CONFIG.defaultName };
+        }
+
+        return new Leaderboard(data, storage);
+    }
+
+    static getStorage() {
+        // localStorage can be missing or blocked (private browsing, file://)
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage unavailable - leaderboard will not be saved');
+            return null;
+        }
+    }
+
+    static calculateScore(gameStats) {
+        const scoring = LEADERBOARD_CONFIG.scoring;
+        return gameStats.survivalTime * scoring.perSecond +
+            gameStats.totalCoins * scoring.perCoin +
+            (gameStats.wavesReached || 0) * scoring.perWave;
+    }
+
+    static getMapKey(mapSettings) {
+        // Classic layout is always the same map; procedural maps are identified by biome and seed, custom maps by
+        // name and layout hash so two different maps with the same name don't share scores
+        if (mapSettings.biome === 'custom') {
+            return `custom#${mapSettings.map.name}#${MapFile.getLayoutHash(mapSettings.map)}`;
+        }
+        return mapSettings.biome === 'classic' ? 'classic' : `${mapSettings.biome}#${mapSettings.seed}`;
+    }
+
+    static createEntry(gameStats, runSeed) {
+        return {
+            id: `${Date.now()}-${runSeed}`,
+            name: '',
+            survivalTime: gameStats.survivalTime,
+            score: Leaderboard.calculateScore(gameStats),
+            totalCoins: gameStats.totalCoins,
+            gameMode: gameStats.gameMode,
+            mapKey: Leaderboard.getMapKey(gameStats.mapSettings),
+            runSeed,
+            date: new Date().toISOString()
+        };
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(LEADERBOARD_CONFIG.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Leaderboard could not be written:', error);
+        }
+    }
+
+    getRanking(metric, filter = {}, entries = this.data.entries) {
+        // metric: 'survivalTime' | 'score'; filter: { gameMode, mapKey } (missing = any)
+        return entries
+            .filter(entry => !filter.gameMode || entry.gameMode === filter.gameMode)
+            .filter(entry => !filter.mapKey || entry.mapKey === filter.mapKey)
+            .sort((a, b) => b[metric] - a[metric] || a.date.localeCompare(b.date))
+            .slice(0, LEADERBOARD_CONFIG.size);
+    }
+
+    qualifies(entry) {
+        // A run makes the board if it is top N for its own mode and map on either metric.
+        // Broader filters are supersets, so this is the easiest board to get onto.
+        const filter = { gameMode: entry.gameMode, mapKey: entry.mapKey };
+        const candidates = [...this.data.entries, entry];
+        return ['survivalTime', 'score'].some(metric => this.getRanking(metric, filter, candidates).includes(entry));
+    }
+
+    addEntry(entry, name) {
+        entry.name = name;
+        this.data.lastName = name;
+        this.data.entries.push(entry);
+        this.prune();
+        this.save();
+    }
+
+    prune() {
+        // Only keep entries that are still on their own mode/map board for some metric
+        const kept = new Set();
+        const buckets = new Set(this.data.entries.map(entry => `${entry.gameMode}|${entry.mapKey}`));
+
+        buckets.forEach(bucket => {
+            const [gameMode, mapKey] = bucket.split('|');
+            ['survivalTime', 'score'].forEach(metric => {
+                this.getRanking(metric, { gameMode, mapKey }).forEach(entry => kept.add(entry));
+            });
+        });
+
+        this.data.entries = this.data.entries.filter(entry => kept.has(entry));
+    }
+
+    get lastName() {
+        return this.data.lastName || LEADERBOARD_CONFIG.defaultName;
+    }
+}
@@ -0,0 +1,192 @@
+import { MAP_EDITOR_CONFIG } from '../gameConfig.js';
+import { RandomService } from './RandomService.js';
+
+// Editor marker types and the layout lists they are stored in (the player spawn is a single position)
+const POSITION_LISTS = {
+    wall: 'wallPositions',
+    tree: 'treePositions',
+    barrel: 'barrelPositions'
+};
+
+const isPosition = value => value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+// Custom map files - the same { wallPositions, treePositions, barrelPositions, playerSpawn } layout
+// GameScene builds the classic and procedural maps from, plus a name and the map size it was made for
+export class MapFile {
+    static create(width, height, name = `Map ${RandomService.createSeed()}`) {
+        return {
+            version: MAP_EDITOR_CONFIG.version,
+            name,
+            width: Math.round(width),
+            height: Math.round(height),
+            wallPositions: [],
+            treePositions: [],
+            barrelPositions: [],
+            playerSpawn: null
+        };
+    }
+
+    static validate(map) {
+        if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+            return ['must be a JSON object'];
+        }
+
+        const errors = [];
+        if (!Number.isInteger(map.version) || map.version > MAP_EDITOR_CONFIG.version) {
+            errors.push(`"version" must be a whole number up to ${MAP_EDITOR_CONFIG.version} (got ${JSON.stringify(map.version)})`);
+        }
+        if (typeof map.name !== 'string' || map.name.length === 0) {
+            errors.push('"name" must be a non-empty string');
+        }
+        ['width', 'height'].forEach(field => {
+            if (!Number.isFinite(map[field]) || map[field] <= 0) {
+                errors.push(`"${field}" must be a positive number`);
+            }
+        });
+
+        Object.values(POSITION_LISTS).forEach(list => {
+            if (!Array.isArray(map[list])) {
+                errors.push(`"${list}" must be a list of { x, y } positions`);
+                return;
+            }
+            map[list].forEach((pos, index) => {
+                if (!isPosition(pos)) {
+                    errors.push(`${list}[${index}] must have numeric x and y (got ${JSON.stringify(pos)})`);
+                }
+            });
+        });
+
+        if (map.playerSpawn !== null && map.playerSpawn !== undefined && !isPosition(map.playerSpawn)) {
+            errors.push(`"playerSpawn" must be null or an { x, y } position (got ${JSON.stringify(map.playerSpawn)})`);
+        }
+
+        return errors;
+    }
+
+    static toLayout(map, width, height) {
+        // Maps made on a bigger screen can have objects past the edge of this one - those are left out
+        const inBounds = pos => pos.x >= 0 && pos.y >= 0 && pos.x <= width && pos.y <= height;
+        const layout = { playerSpawn: map.playerSpawn && inBounds(map.playerSpawn) ? { ...map.playerSpawn } : null };
+        let dropped = map.playerSpawn && !layout.playerSpawn ? 1 : 0;
+
+        Object.values(POSITION_LISTS).forEach(list => {
+            layout[list] = map[list].filter(inBounds).map(pos => ({ x: pos.x, y: pos.y }));
+            dropped += map[list].length - layout[list].length;
+        });
+
+        return { layout, dropped };
+    }
+
+    static getLayoutHash(map) {
+        // Short fingerprint of the layout (not the name) - FNV-1a over the size and every position
+        const toPoint = pos => [pos.x, pos.y];
+        const layout = JSON.stringify([
+            map.width,
+            map.height,
+            ...Object.values(POSITION_LISTS).map(list => map[list].map(toPoint)),
+            map.playerSpawn ? toPoint(map.playerSpawn) : null
+        ]);
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < layout.length; i++) {
+            hash = Math.imul(hash ^ layout.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        return hash.toString(36).toUpperCase().padStart(7, '0');
+    }
+
+    static snap(x, y, size) {
+        return { x: Math.round(x / size) * size, y: Math.round(y / size) * size };
+    }
+
+    static findAt(map, x, y, radius) {
+        // Closest object within radius, as { type, index } (index is null for the player spawn)
+        let closest = null;
+        let closestDistance = radius;
+
+        const check = (type, index, pos) => {
+            const distance = Math.hypot(pos.x - x, pos.y - y);
+            if (distance <= closestDistance) {
+                closest = { type, index };
+                closestDistance = distance;
+            }
+        };
+
+        if (map.playerSpawn) {
+            check('spawn', null, map.playerSpawn);
+        }
+        Object.entries(POSITION_LISTS).forEach(([type, list]) => {
+            map[list].forEach((pos, index) => check(type, index, pos));
+        });
+
+        return closest;
+    }
+
+    static getPosition(map, target) {
+        return target.type === 'spawn' ? map.playerSpawn : map[POSITION_LISTS[target.type]][target.index];
+    }
+
+    static place(map, type, pos) {
+        // There is only one player spawn - placing it again moves it
+        if (type === 'spawn') {
+            map.playerSpawn = { x: pos.x, y: pos.y };
+            return true;
+        }
+
+        // One object per snapped spot
+        if (MapFile.findAt(map, pos.x, pos.y, MAP_EDITOR_CONFIG.pickRadius)) {
+            return false;
+        }
+        map[POSITION_LISTS[type]].push({ x: pos.x, y: pos.y });
+        return true;
+    }
+
+    static move(map, target, pos) {
+        const position = MapFile.getPosition(map, target);
+        position.x = pos.x;
+        position.y = pos.y;
+    }
+
+    static remove(map, target) {
+        if (target.type === 'spawn') {
+            map.playerSpawn = null;
+        } else {
+            map[POSITION_LISTS[target.type]].splice(target.index, 1);
+        }
+    }
+
+    static getStorage() {
+        // localStorage can be missing or blocked (private browsing, file://)
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage unavailable - custom maps can only be downloaded');
+            return null;
+        }
+    }
+
+    static load(storage = MapFile.getStorage()) {
+        // The map last saved in the editor, or null if there is none (or it no longer validates)
+        try {
+            const raw = storage ? storage.getItem(MAP_EDITOR_CONFIG.storageKey) : null;
+            const map = raw ? JSON.parse(raw) : null;
+            if (map && MapFile.validate(map).length === 0) {
+                return map;
+            }
+        } catch (error) {
+            console.warn('Saved custom map could not be read:', error);
+        }
+        return null;
+    }
+
+    static save(map, storage = MapFile.getStorage()) {
+        if (!storage) return false;
+
+        try {
+            storage.setItem(MAP_EDITOR_CONFIG.storageKey, JSON.stringify(map));
+            return true;
+        } catch (error) {
+            console.warn('Custom map could not be saved:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,261 @@
+import { GAME_CONFIG, MAP_BIOMES, MAP_GENERATION } from '../gameConfig.js';
+
+export class MapGenerator {
+    constructor(seed, biomeId) {
+        this.seed = String(seed);
+        this.biome = MAP_BIOMES[biomeId] || MAP_BIOMES.factory;
+
+        // Same seed always produces the same layout
+        this.rng = new Phaser.Math.RandomDataGenerator([this.seed]);
+
+        this.width = GAME_CONFIG.MAP_WIDTH;
+        this.height = GAME_CONFIG.MAP_HEIGHT;
+        this.playerSpawn = { x: Math.round(this.width / 2), y: Math.round(this.height / 2) };
+    }
+
+    generate() {
+        const wallPositions = this.generateWalls();
+        const treePositions = this.generateScatter(
+            this.biome.treeClusters, this.biome.treesPerCluster, this.biome.scatteredTrees, [wallPositions]
+        );
+        const barrelPositions = this.generateScatter(
+            this.biome.barrelClusters, this.biome.barrelsPerCluster, this.biome.scatteredBarrels, [wallPositions, treePositions]
+        );
+
+        const layout = { wallPositions, treePositions, barrelPositions, playerSpawn: this.playerSpawn };
+        this.ensureSpawnReachable(layout);
+
+        console.log(`Generated ${this.biome.name} map with seed ${this.seed}:`, {
+            walls: layout.wallPositions.length,
+            trees: layout.treePositions.length,
+            barrels: layout.barrelPositions.length
+        });
+
+        return layout;
+    }
+
+    generateWalls() {
+        const walls = [];
+        const structureTypes = Object.entries(this.biome.structureWeights).filter(([, weight]) => weight > 0);
+        const totalWeight = structureTypes.reduce((sum, [, weight]) => sum + weight, 0);
+
+        for (let i = 0; i < this.biome.structureCount; i++) {
+            // Weighted pick of structure shape
+            let roll = this.rng.frac() * totalWeight;
+            let structure = structureTypes[0][0];
+            for (const [type, weight] of structureTypes) {
+                roll -= weight;
+                if (roll <= 0) {
+                    structure = type;
+                    break;
+                }
+            }
+
+            const origin = this.randomPosition();
+            let segments;
+            switch (structure) {
+                case 'line':
+                    segments = this.buildLine(origin);
+                    break;
+                case 'lshape':
+                    segments = this.buildLShape(origin);
+                    break;
+                case 'room':
+                    segments = this.buildRoom(origin);
+                    break;
+            }
+
+            // Ruined structures lose some of their segments
+            segments
+                .filter(pos => this.rng.frac() >= this.biome.wallDecay)
+                .filter(pos => this.isInsideMap(pos) && !this.isNearSpawn(pos))
+                .forEach(pos => walls.push(pos));
+        }
+
+        return walls;
+    }
+
+    buildLine(origin) {
+        const length = this.rng.between(3, 10);
+        const horizontal = this.rng.frac() < 0.5;
+        const segments = [];
+        for (let i = 0; i < length; i++) {
+            segments.push(horizontal
+                ? { x: origin.x + i * MAP_GENERATION.wallSpacing, y: origin.y }
+                : { x: origin.x, y: origin.y + i * MAP_GENERATION.wallSpacing });
+        }
+        return segments;
+    }
+
+    buildLShape(origin) {
+        const armA = this.rng.between(3, 7);
+        const armB = this.rng.between(3, 7);
+        const flipX = this.rng.frac() < 0.5 ? -1 : 1;
+        const flipY = this.rng.frac() < 0.5 ? -1 : 1;
+        const segments = [];
+        for (let i = 0; i < armA; i++) {
+            segments.push({ x: origin.x + i * MAP_GENERATION.wallSpacing * flipX, y: origin.y });
+        }
+        for (let i = 1; i < armB; i++) {
+            segments.push({ x: origin.x, y: origin.y + i * MAP_GENERATION.wallSpacing * flipY });
+        }
+        return segments;
+    }
+
+    buildRoom(origin) {
+        // Hollow rectangle with a doorway on each side so it can never trap anything
+        const cols = this.rng.between(4, 8);
+        const rows = this.rng.between(4, 7);
+        const segments = [];
+        for (let col = 0; col < cols; col++) {
+            for (let row = 0; row < rows; row++) {
+                const isEdge = col === 0 || row === 0 || col === cols - 1 || row === rows - 1;
+                const isDoor = col === Math.floor(cols / 2) || row === Math.floor(rows / 2);
+                if (isEdge && !isDoor) {
+                    segments.push({
+                        x: origin.x + col * MAP_GENERATION.wallSpacing,
+                        y: origin.y + row * MAP_GENERATION.wallSpacing
+                    });
+                }
+            }
+        }
+        return segments;
+    }
+
+    generateScatter(clusterCount, perCluster, scatteredCount, avoidLists) {
+        const positions = [];
+        const tryAdd = (pos) => {
+            if (this.isInsideMap(pos) && !this.isNearSpawn(pos) && this.isClear(pos, [...avoidLists, positions])) {
+                positions.push(pos);
+            }
+        };
+
+        // Clusters around random centers
+        for (let i = 0; i < clusterCount; i++) {
+            const center = this.randomPosition();
+            const count = this.rng.between(perCluster[0], perCluster[1]);
+            for (let j = 0; j < count; j++) {
+                const angle = this.rng.frac() * Math.PI * 2;
+                const distance = this.rng.between(0, 120);
+                tryAdd({
+                    x: Math.round(center.x + Math.cos(angle) * distance),
+                    y: Math.round(center.y + Math.sin(angle) * distance)
+                });
+            }
+        }
+
+        // Single scattered objects
+        for (let i = 0; i < scatteredCount; i++) {
+            tryAdd(this.randomPosition());
+        }
+
+        return positions;
+    }
+
+    randomPosition() {
+        const margin = MAP_GENERATION.edgeMargin;
+        return {
+            x: this.rng.between(margin, Math.floor(this.width - margin)),
+            y: this.rng.between(margin, Math.floor(this.height - margin))
+        };
+    }
+
+    isInsideMap(pos) {
+        const margin = MAP_GENERATION.edgeMargin;
+        return pos.x >= margin && pos.y >= margin && pos.x <= this.width - margin && pos.y <= this.height - margin;
+    }
+
+    isNearSpawn(pos) {
+        return Phaser.Math.Distance.Between(pos.x, pos.y, this.playerSpawn.x, this.playerSpawn.y) < MAP_GENERATION.spawnClearRadius;
+    }
+
+    isClear(pos, positionLists) {
+        return positionLists.every(list => list.every(other =>
+            Phaser.Math.Distance.Between(pos.x, pos.y, other.x, other.y) >= MAP_GENERATION.obstacleSpacing
+        ));
+    }
+
+    ensureSpawnReachable(layout) {
+        // Flood fill from the spawn; if it can't reach the map edge (where zombies come from), carve a corridor
+        if (this.canReachEdge(layout)) {
+            return;
+        }
+
+        const { x, y } = this.playerSpawn;
+        const exits = [
+            { x: 0, y },
+            { x: this.width, y },
+            { x, y: 0 },
+            { x, y: this.height }
+        ];
+        const exit = exits.reduce((closest, candidate) =>
+            Phaser.Math.Distance.Between(x, y, candidate.x, candidate.y) < Phaser.Math.Distance.Between(x, y, closest.x, closest.y)
+                ? candidate : closest
+        );
+
+        const corridor = { x1: x, y1: y, x2: exit.x, y2: exit.y };
+        const corridorWidth = MAP_GENERATION.playerClearance * 2;
+        const outsideCorridor = pos => this.distanceToSegment(pos, corridor) > corridorWidth;
+
+        layout.wallPositions = layout.wallPositions.filter(outsideCorridor);
+        layout.treePositions = layout.treePositions.filter(outsideCorridor);
+        layout.barrelPositions = layout.barrelPositions.filter(outsideCorridor);
+
+        console.log('Spawn was enclosed - carved a corridor to the map edge');
+    }
+
+    distanceToSegment(pos, line) {
+        const dx = line.x2 - line.x1;
+        const dy = line.y2 - line.y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Phaser.Math.Clamp(((pos.x - line.x1) * dx + (pos.y - line.y1) * dy) / lengthSquared, 0, 1);
+        return Phaser.Math.Distance.Between(pos.x, pos.y, line.x1 + t * dx, line.y1 + t * dy);
+    }
+
+    canReachEdge(layout) {
+        const cellSize = MAP_GENERATION.reachabilityCellSize;
+        const cols = Math.ceil(this.width / cellSize);
+        const rows = Math.ceil(this.height / cellSize);
+        const blocked = new Uint8Array(cols * rows);
+
+        // Block every cell the player can't stand in
+        const clearance = MAP_GENERATION.playerClearance;
+        [...layout.wallPositions, ...layout.treePositions, ...layout.barrelPositions].forEach(pos => {
+            const minCol = Math.max(0, Math.floor((pos.x - clearance) / cellSize));
+            const maxCol = Math.min(cols - 1, Math.floor((pos.x + clearance) / cellSize));
+            const minRow = Math.max(0, Math.floor((pos.y - clearance) / cellSize));
+            const maxRow = Math.min(rows - 1, Math.floor((pos.y + clearance) / cellSize));
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    blocked[row * cols + col] = 1;
+                }
+            }
+        });
+
+        const startCol = Math.floor(this.playerSpawn.x / cellSize);
+        const startRow = Math.floor(this.playerSpawn.y / cellSize);
+        const visited = new Uint8Array(cols * rows);
+        const queue = [startRow * cols + startCol];
+        visited[queue[0]] = 1;
+
+        while (queue.length > 0) {
+            const index = queue.pop();
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+
+            if (col === 0 || row === 0 || col === cols - 1 || row === rows - 1) {
+                return true;
+            }
+
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+                const neighbor = (row + dy) * cols + (col + dx);
+                if (!visited[neighbor] && !blocked[neighbor]) {
+                    visited[neighbor] = 1;
+                    queue.push(neighbor);
+                }
+            });
+        }
+
+        return false;
+    }
+}
@@ -0,0 +1,248 @@
+import { GAME_CONFIG } from '../gameConfig.js';
+
+// 8-way neighbor offsets with movement costs (diagonals cost sqrt(2))
+const NEIGHBORS = [
+    { dx: 1, dy: 0, cost: 1 },
+    { dx: -1, dy: 0, cost: 1 },
+    { dx: 0, dy: 1, cost: 1 },
+    { dx: 0, dy: -1, cost: 1 },
+    { dx: 1, dy: 1, cost: Math.SQRT2 },
+    { dx: 1, dy: -1, cost: Math.SQRT2 },
+    { dx: -1, dy: 1, cost: Math.SQRT2 },
+    { dx: -1, dy: -1, cost: Math.SQRT2 }
+];
+
+export class NavigationSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.cellSize = GAME_CONFIG.NAV_CELL_SIZE;
+        this.cols = Math.ceil(GAME_CONFIG.MAP_WIDTH / this.cellSize);
+        this.rows = Math.ceil(GAME_CONFIG.MAP_HEIGHT / this.cellSize);
+
+        // Grid data shared by every zombie
+        this.blocked = new Uint8Array(this.cols * this.rows);
+        this.distances = new Float64Array(this.cols * this.rows);
+        this.flowNext = new Int32Array(this.cols * this.rows); // Index of the next cell towards the target, -1 if none
+
+        this.gridDirty = true;
+        this.targetCell = -1;
+        this.lastFlowUpdate = 0;
+
+        if (GAME_CONFIG.NAV_DEBUG) {
+            this.debugGraphics = this.scene.add.graphics();
+            this.debugGraphics.setDepth(1);
+        }
+
+        // Rebuild the grid whenever an obstacle is destroyed
+        [this.scene.environment, this.scene.trees, this.scene.barrels].forEach(group => {
+            group.children.entries.forEach(obstacle => this.registerObstacle(obstacle));
+        });
+    }
+
+    registerObstacle(obstacle) {
+        obstacle.once(Phaser.GameObjects.Events.DESTROY, this.markDirty, this);
+        this.markDirty();
+    }
+
+    markDirty() {
+        this.gridDirty = true;
+    }
+
+    cellIndex(col, row) {
+        return row * this.cols + col;
+    }
+
+    worldToCell(x, y) {
+        const col = Phaser.Math.Clamp(Math.floor(x / this.cellSize), 0, this.cols - 1);
+        const row = Phaser.Math.Clamp(Math.floor(y / this.cellSize), 0, this.rows - 1);
+        return this.cellIndex(col, row);
+    }
+
+    buildGrid() {
+        this.blocked.fill(0);
+
+        // Pad obstacles so zombie bodies don't clip corners
+        const padding = GAME_CONFIG.NAV_OBSTACLE_PADDING;
+
+        [this.scene.environment, this.scene.trees, this.scene.barrels].forEach(group => {
+            group.children.entries.forEach(obstacle => {
+                if (!obstacle.active || !obstacle.body) return;
+
+                const body = obstacle.body;
+                const minCol = Math.max(0, Math.floor((body.x - padding) / this.cellSize));
+                const maxCol = Math.min(this.cols - 1, Math.floor((body.x + body.width + padding) / this.cellSize));
+                const minRow = Math.max(0, Math.floor((body.y - padding) / this.cellSize));
+                const maxRow = Math.min(this.rows - 1, Math.floor((body.y + body.height + padding) / this.cellSize));
+
+                for (let row = minRow; row <= maxRow; row++) {
+                    for (let col = minCol; col <= maxCol; col++) {
+                        this.blocked[this.cellIndex(col, row)] = 1;
+                    }
+                }
+            });
+        });
+
+        this.gridDirty = false;
+
+        if (this.debugGraphics) {
+            this.drawDebugGrid();
+        }
+
+        console.log('Navigation grid rebuilt:', { cols: this.cols, rows: this.rows });
+    }
+
+    computeFlowField(targetCell) {
+        // Dijkstra outward from the target cell - every cell learns its distance to the player
+        this.distances.fill(Infinity);
+        this.flowNext.fill(-1);
+        this.distances[targetCell] = 0;
+        this.targetCell = targetCell;
+
+        const heap = new MinHeap();
+        heap.push(targetCell, 0);
+
+        while (heap.size > 0) {
+            const { index, priority } = heap.pop();
+            if (priority > this.distances[index]) continue;
+
+            const col = index % this.cols;
+            const row = Math.floor(index / this.cols);
+
+            for (const { dx, dy, cost } of NEIGHBORS) {
+                const nCol = col + dx;
+                const nRow = row + dy;
+                if (nCol < 0 || nRow < 0 || nCol >= this.cols || nRow >= this.rows) continue;
+
+                const neighbor = this.cellIndex(nCol, nRow);
+                if (this.blocked[neighbor]) continue;
+
+                // Don't cut corners diagonally past obstacles
+                if (dx !== 0 && dy !== 0) {
+                    if (this.blocked[this.cellIndex(col + dx, row)] || this.blocked[this.cellIndex(col, row + dy)]) continue;
+                }
+
+                const distance = priority + cost;
+                if (distance < this.distances[neighbor]) {
+                    this.distances[neighbor] = distance;
+                    this.flowNext[neighbor] = index; // Neighbor moves towards the cell we came from
+                    heap.push(neighbor, distance);
+                }
+            }
+        }
+    }
+
+    update(time) {
+        const gridChanged = this.gridDirty;
+        if (gridChanged) {
+            this.buildGrid();
+        }
+
+        // Recompute the shared flow field when the player changes cell (throttled) or obstacles changed
+        const playerCell = this.worldToCell(this.scene.player.x, this.scene.player.y);
+        const flowStale = playerCell !== this.targetCell && time - this.lastFlowUpdate >= GAME_CONFIG.NAV_UPDATE_INTERVAL;
+        if (gridChanged || flowStale) {
+            this.computeFlowField(playerCell);
+            this.lastFlowUpdate = time;
+        }
+    }
+
+    getSteeringAngle(zombie) {
+        const player = this.scene.player;
+        const directAngle = Phaser.Math.Angle.Between(zombie.x, zombie.y, player.x, player.y);
+
+        // Obstacle smashers and zombies right next to the player chase directly
+        if (zombie.canDestroyObstacles) {
+            return directAngle;
+        }
+        if (Phaser.Math.Distance.Between(zombie.x, zombie.y, player.x, player.y) < this.cellSize * 2) {
+            return directAngle;
+        }
+
+        // Follow the flow field towards the center of the next cell
+        const next = this.flowNext[this.worldToCell(zombie.x, zombie.y)];
+        if (next === -1) {
+            // Pushed into padding or unreachable - fall back to straight chase
+            return directAngle;
+        }
+
+        const nextX = (next % this.cols + 0.5) * this.cellSize;
+        const nextY = (Math.floor(next / this.cols) + 0.5) * this.cellSize;
+        return Phaser.Math.Angle.Between(zombie.x, zombie.y, nextX, nextY);
+    }
+
+    drawDebugGrid() {
+        this.debugGraphics.clear();
+        this.debugGraphics.fillStyle(0xFF0000, 0.25);
+
+        for (let index = 0; index < this.blocked.length; index++) {
+            if (this.blocked[index]) {
+                const col = index % this.cols;
+                const row = Math.floor(index / this.cols);
+                this.debugGraphics.fillRect(col * this.cellSize, row * this.cellSize, this.cellSize, this.cellSize);
+            }
+        }
+    }
+}
+
+// Minimal binary heap keyed by priority, used by the flow field search
+class MinHeap {
+    constructor() {
+        this.indices = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.indices.length;
+    }
+
+    push(index, priority) {
+        this.indices.push(index);
+        this.priorities.push(priority);
+        this.bubbleUp(this.indices.length - 1);
+    }
+
+    pop() {
+        const top = { index: this.indices[0], priority: this.priorities[0] };
+        const lastIndex = this.indices.pop();
+        const lastPriority = this.priorities.pop();
+
+        if (this.indices.length > 0) {
+            this.indices[0] = lastIndex;
+            this.priorities[0] = lastPriority;
+            this.sinkDown(0);
+        }
+
+        return top;
+    }
+
+    bubbleUp(position) {
+        while (position > 0) {
+            const parent = (position - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[position]) break;
+            this.swap(parent, position);
+            position = parent;
+        }
+    }
+
+    sinkDown(position) {
+        const length = this.indices.length;
+        while (true) {
+            const left = position * 2 + 1;
+            const right = left + 1;
+            let smallest = position;
+
+            if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+            if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+            if (smallest === position) break;
+
+            this.swap(smallest, position);
+            position = smallest;
+        }
+    }
+
+    swap(a, b) {
+        [this.indices[a], this.indices[b]] = [this.indices[b], this.indices[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
@@ -0,0 +1,50 @@
+import { PICKUP_CONFIG } from '../gameConfig.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+// Ammo crates dropped by killed zombies - the player collects them by walking within the pickup radius
+export class PickupSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.pickups = [];
+
+        this.scene.eventBus.on(GAME_EVENTS.ZOMBIE_KILLED, this.onZombieKilled, this);
+    }
+
+    onZombieKilled({ zombie }) {
+        if (this.scene.rng.gameplay.frac() < PICKUP_CONFIG.dropChance) {
+            this.spawn(zombie.x, zombie.y);
+        }
+    }
+
+    spawn(x, y) {
+        const crate = this.scene.add.rectangle(x, y, PICKUP_CONFIG.size, PICKUP_CONFIG.size, PICKUP_CONFIG.color);
+        crate.setStrokeStyle(1, 0x000000);
+        crate.setDepth(5);
+
+        const pickup = { crate, expiresAt: this.scene.time.now + PICKUP_CONFIG.lifetime };
+        this.pickups.push(pickup);
+        return pickup;
+    }
+
+    getRadius() {
+        // Scavenger skill ranks widen the radius
+        return PICKUP_CONFIG.radius * this.scene.getStatMultiplier('pickupRadius');
+    }
+
+    update(time) {
+        const player = this.scene.player;
+        const radius = this.getRadius();
+
+        this.pickups = this.pickups.filter(pickup => {
+            const collected = Phaser.Math.Distance.Between(player.x, player.y, pickup.crate.x, pickup.crate.y) <= radius;
+            if (collected) {
+                this.scene.weaponSystem.refillReserves(PICKUP_CONFIG.ammoRefill);
+            }
+            if (collected || time >= pickup.expiresAt) {
+                pickup.crate.destroy();
+                return false;
+            }
+            return true;
+        });
+    }
+}
@@ -0,0 +1,17 @@
+// Distance checks for map generation, spawning and building - positions are plain { x, y } objects
+export class PlacementRules {
+    static isClearOf(x, y, objects, minDistance) {
+        // Inactive (destroyed) game objects don't block anything
+        return objects.every(object => {
+            if (object.active === false) {
+                return true;
+            }
+            return Math.hypot(object.x - x, object.y - y) >= minDistance;
+        });
+    }
+
+    static isPositionClear(pos, wallPositions, treePositions, minDistance = 60) {
+        return PlacementRules.isClearOf(pos.x, pos.y, wallPositions, minDistance) &&
+            PlacementRules.isClearOf(pos.x, pos.y, treePositions, minDistance);
+    }
+}
@@ -0,0 +1,117 @@
+import { GAME_CONFIG } from '../gameConfig.js';
+
+export class ProjectileSystem {
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    applyModifiers(bullet, weapon, damageMultiplier = 1) {
+        // Copy the weapon's projectile modifiers onto the bullet so they survive weapon switches
+        const projectile = weapon.projectile || {};
+
+        bullet.damage = (weapon.damage || 1) * damageMultiplier;
+        bullet.weaponId = weapon.id;
+        bullet.critChance = weapon.critChance || 0;
+        bullet.critMultiplier = weapon.critMultiplier || 1;
+        bullet.pierceLeft = projectile.pierce || 0;
+        bullet.ricochetLeft = projectile.ricochet || 0;
+        bullet.homing = projectile.homing || null;
+        bullet.explosive = projectile.explosive || null;
+        bullet.hitZombies = new Set(); // Piercing bullets only hit each zombie once
+
+        if (bullet.ricochetLeft > 0) {
+            // Arcade physics reflects the velocity off static bodies for us
+            bullet.body.setBounce(1);
+        }
+    }
+
+    onHitZombie(bullet, zombie) {
+        // Returns true if the bullet should keep flying
+        if (bullet.explosive) {
+            this.explode(bullet);
+            return false;
+        }
+
+        if (bullet.pierceLeft > 0) {
+            bullet.pierceLeft--;
+            return true;
+        }
+
+        return false;
+    }
+
+    onHitWall(bullet) {
+        // Returns true if the bullet bounced and should keep flying
+        if (bullet.ricochetLeft > 0) {
+            bullet.ricochetLeft--;
+            bullet.hitZombies.clear(); // A bounced bullet can hit the same zombie again
+            this.alignToVelocity(bullet);
+            return true;
+        }
+
+        if (bullet.explosive) {
+            this.explode(bullet);
+        }
+
+        return false;
+    }
+
+    explode(bullet) {
+        const explosive = bullet.explosive;
+        bullet.explosive = null; // Never detonate twice
+
+        this.scene.createExplosion(bullet.x, bullet.y, {
+            radius: explosive.radius * GAME_CONFIG.GLOBAL_SCALE,
+            zombieDamage: explosive.damage,
+            damagesPlayer: explosive.selfDamage || false,
+            source: 'explosive_round',
+            weaponId: bullet.weaponId
+        });
+    }
+
+    update(delta) {
+        this.scene.bullets.children.entries.forEach(bullet => {
+            if (bullet.active && bullet.homing) {
+                this.steerTowardsTarget(bullet, delta);
+            }
+        });
+    }
+
+    steerTowardsTarget(bullet, delta) {
+        const target = this.findHomingTarget(bullet);
+        if (!target) return;
+
+        // Turn towards the target at a limited rate, keeping the bullet's speed
+        const velocity = bullet.body.velocity;
+        const currentAngle = velocity.angle();
+        const targetAngle = Phaser.Math.Angle.Between(bullet.x, bullet.y, target.x, target.y);
+        const newAngle = Phaser.Math.Angle.RotateTo(currentAngle, targetAngle, bullet.homing.turnRate * delta / 1000);
+
+        velocity.setToPolar(newAngle, velocity.length());
+        this.alignToVelocity(bullet);
+    }
+
+    findHomingTarget(bullet) {
+        let closest = null;
+        let closestDistance = bullet.homing.range * GAME_CONFIG.GLOBAL_SCALE;
+
+        this.scene.zombies.children.entries.forEach(zombie => {
+            if (!zombie.active || bullet.hitZombies.has(zombie)) return;
+
+            const distance = Phaser.Math.Distance.Between(bullet.x, bullet.y, zombie.x, zombie.y);
+            if (distance < closestDistance) {
+                closest = zombie;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    alignToVelocity(bullet) {
+        // Ray beams are drawn along their direction of travel
+        if (bullet.isRay) {
+            bullet.setRotation(bullet.body.velocity.angle());
+        }
+    }
+}
@@ -0,0 +1,17 @@
+export class RandomService {
+    constructor(seed) {
+        this.seed = String(seed);
+
+        // Separate streams so visual effects never shift gameplay rolls.
+        // Gameplay: spawns, zombie types, loot. Cosmetic: particles and other effects.
+        this.gameplay = new Phaser.Math.RandomDataGenerator([`${this.seed}:gameplay`]);
+        this.cosmetic = new Phaser.Math.RandomDataGenerator([`${this.seed}:cosmetic`]);
+
+        console.log(`Random streams seeded with ${this.seed}`);
+    }
+
+    static createSeed() {
+        // Short, readable seed that can be typed back in or pasted into a bug report
+        return Math.floor(Math.random() * 36 ** 6).toString(36).toUpperCase().padStart(6, '0');
+    }
+}
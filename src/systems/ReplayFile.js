@@ -0,0 +1,191 @@
+import { REPLAY_CONFIG, PROFILE_CONFIG } from '../gameConfig.js';
+
+// Per-frame input fields that carry over from frame to frame in the file (only changes are written)
+// d: frame time in ms, k: movement key bits, x/y: aim point in world coordinates, h: trigger held (0/1)
+const STATE_FIELDS = { d: 'delta', k: 'keys', x: 'aimX', y: 'aimY', h: 'held' };
+
+// One-off entries: a: key/click actions, p: shop and skill purchases made before the frame, c: player position check
+const EVENT_FIELDS = { a: 'actions', p: 'purchases', c: 'check' };
+
+const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+
+// Replay files - the run settings, the profile the run started with and the input of every frame.
+// Frames store only what changed since the previous frame, and a number N repeats the previous frame N times
+export class ReplayFile {
+    static createFrame(delta, input) {
+        return {
+            delta,
+            keys: input.keys,
+            aimX: input.aimX,
+            aimY: input.aimY,
+            held: input.held,
+            actions: input.actions || [],
+            purchases: input.purchases || [],
+            check: input.check || null
+        };
+    }
+
+    static encodeFrames(frames) {
+        const encoded = [];
+        const previous = { d: 0, k: 0, x: 0, y: 0, h: 0 };
+
+        frames.forEach(frame => {
+            const row = {};
+            Object.entries(STATE_FIELDS).forEach(([short, field]) => {
+                const value = field === 'held' ? Number(frame.held) : frame[field];
+                if (value !== previous[short]) {
+                    row[short] = value;
+                    previous[short] = value;
+                }
+            });
+            if (frame.actions.length > 0) row.a = frame.actions;
+            if (frame.purchases.length > 0) row.p = frame.purchases;
+            if (frame.check) row.c = frame.check;
+
+            // Unchanged frames are counted instead of written out
+            const last = encoded.length - 1;
+            if (Object.keys(row).length > 0) {
+                encoded.push(row);
+            } else if (typeof encoded[last] === 'number') {
+                encoded[last]++;
+            } else {
+                encoded.push(1);
+            }
+        });
+
+        return encoded;
+    }
+
+    static decodeFrames(encoded) {
+        const frames = [];
+        const state = { d: 0, k: 0, x: 0, y: 0, h: 0 };
+        const toFrame = (row = {}) => ReplayFile.createFrame(state.d, {
+            keys: state.k,
+            aimX: state.x,
+            aimY: state.y,
+            held: state.h === 1,
+            actions: row.a,
+            purchases: row.p,
+            check: row.c
+        });
+
+        encoded.forEach(row => {
+            if (typeof row === 'number') {
+                for (let i = 0; i < row; i++) {
+                    frames.push(toFrame());
+                }
+                return;
+            }
+            Object.keys(STATE_FIELDS).forEach(short => {
+                if (row[short] !== undefined) state[short] = row[short];
+            });
+            frames.push(toFrame(row));
+        });
+
+        return frames;
+    }
+
+    static serialize(replay) {
+        const { frames, ...header } = replay;
+        return JSON.stringify({ ...header, frames: ReplayFile.encodeFrames(frames) });
+    }
+
+    static parse(text) {
+        // Returns { replay, errors } - replay is null if the file can't be played
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { replay: null, errors: [`not valid JSON (${error.message})`] };
+        }
+
+        const errors = ReplayFile.validate(data);
+        if (errors.length > 0) {
+            return { replay: null, errors };
+        }
+        return { replay: { ...data, frames: ReplayFile.decodeFrames(data.frames) }, errors: [] };
+    }
+
+    static validate(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return ['must be a JSON object'];
+        }
+
+        const errors = [];
+        if (data.version !== REPLAY_CONFIG.version) {
+            errors.push(`"version" must be ${REPLAY_CONFIG.version} (got ${JSON.stringify(data.version)})`);
+        }
+
+        const run = data.run;
+        if (!run || typeof run !== 'object') {
+            errors.push('"run" must be an object with gameMode, mapSettings, runSeed and characterClass');
+        } else {
+            ['gameMode', 'runSeed', 'characterClass'].forEach(field => {
+                if (typeof run[field] !== 'string') errors.push(`"run.${field}" must be a string`);
+            });
+            if (!run.mapSettings || typeof run.mapSettings.biome !== 'string') {
+                errors.push('"run.mapSettings" must have a biome');
+            }
+        }
+        if (!data.profile || typeof data.profile !== 'object' || Array.isArray(data.profile)) {
+            errors.push('"profile" must be an object');
+        } else if (!Number.isInteger(data.profile.version) || data.profile.version < 0 || data.profile.version > PROFILE_CONFIG.version) {
+            // The recorded profile is migrated like a save - versions this game doesn't know can't be
+            errors.push(`"profile.version" must be a whole number from 0 to ${PROFILE_CONFIG.version} (got ${JSON.stringify(data.profile.version)})`);
+        }
+        if (!Number.isFinite(data.startTime)) {
+            errors.push('"startTime" must be a number');
+        }
+
+        if (!Array.isArray(data.frames)) {
+            errors.push('"frames" must be a list');
+            return errors;
+        }
+        let frameCount = 0;
+        data.frames.forEach((row, index) => {
+            const error = ReplayFile.validateRow(row);
+            if (error) errors.push(`frames[${index}] ${error}`);
+            frameCount += typeof row === 'number' ? row : 1;
+        });
+        if (frameCount > REPLAY_CONFIG.maxFrames) {
+            errors.push(`"frames" holds ${frameCount} frames, more than the ${REPLAY_CONFIG.maxFrames} a replay may have`);
+        }
+
+        return errors.slice(0, 10);
+    }
+
+    static validateRow(row) {
+        if (typeof row === 'number') {
+            return Number.isInteger(row) && row > 0 ? null : 'must be a positive repeat count';
+        }
+        if (row === null || typeof row !== 'object') {
+            return 'must be a frame object or a repeat count';
+        }
+
+        const unknown = Object.keys(row).find(key => !STATE_FIELDS[key] && !EVENT_FIELDS[key]);
+        if (unknown) return `has unknown field "${unknown}"`;
+
+        const badNumber = Object.keys(STATE_FIELDS).find(key => row[key] !== undefined && !Number.isFinite(row[key]));
+        if (badNumber) return `"${badNumber}" must be a number`;
+
+        if ((row.a !== undefined && !isStringList(row.a)) || (row.p !== undefined && !isStringList(row.p))) {
+            return 'actions and purchases must be lists of strings';
+        }
+        if (row.c !== undefined && !(Array.isArray(row.c) && row.c.length === 2 && row.c.every(Number.isFinite))) {
+            return '"c" must be an [x, y] pair';
+        }
+        return null;
+    }
+
+    static getFrameTimes(frames) {
+        // Elapsed run time at the start of every frame (plus the total at the end)
+        const times = [0];
+        frames.forEach(frame => times.push(times[times.length - 1] + frame.delta));
+        return times;
+    }
+
+    static getFileName(replay) {
+        const date = (replay.recordedAt || '').slice(0, 10) || 'run';
+        return `replay-${date}-${replay.run.runSeed}.json`;
+    }
+}
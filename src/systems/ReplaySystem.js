@@ -0,0 +1,351 @@
+import { GAME_CONFIG, REPLAY_CONFIG } from '../gameConfig.js';
+import { ReplayFile } from './ReplayFile.js';
+
+// Movement keys held during a frame, stored as bits
+export const MOVE_KEYS = { left: 1, right: 2, up: 4, down: 8 };
+
+// Records the input of every frame of a run, or plays a recording back.
+// Every GameScene frame runs through step() so the scene clock only advances by the (rounded) recorded
+// frame times - together with the run seed that makes a replay repeat the run exactly
+export class ReplaySystem {
+    constructor(scene, replay = null, options = {}) {
+        this.scene = scene;
+        this.replay = replay;
+        this.isPlayback = replay !== null;
+        this.frames = replay ? replay.frames : [];
+        this.frameIndex = 0;
+        this.elapsed = 0;
+        this.pendingActions = [];
+        this.pendingPurchases = [];
+
+        if (this.isPlayback) {
+            // Start the scene clock where the recording started so every timestamp matches
+            scene.time.now = replay.startTime;
+            this.startTime = replay.startTime;
+            this.frameTimes = ReplayFile.getFrameTimes(this.frames);
+            this.speedIndex = Math.max(0, REPLAY_CONFIG.speeds.indexOf(options.speed || 1));
+            this.paused = options.paused || false;
+            this.playbackTime = 0;
+            this.seekTarget = options.seek ? Math.min(options.seek, this.frames.length) : null;
+            this.desyncFrame = null;
+            this.scrubbing = false;
+            this.warning = this.getEnvironmentWarning();
+
+            this.createPlaybackUI();
+            this.setupPlaybackControls();
+        } else {
+            this.startTime = scene.time.now;
+            // The profile the run started with - unlocks change the starting loadout
+            this.profileData = JSON.parse(JSON.stringify(scene.profile.data));
+            this.viewport = { width: scene.cameras.main.width, height: scene.cameras.main.height };
+        }
+
+        // Take over the scene's frame step, and hand it back on shutdown so a restart doesn't wrap it twice
+        this.sceneStep = Phaser.Scenes.Systems.prototype.step.bind(scene.sys);
+        scene.sys.step = (time, delta) => this.step(delta);
+        scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => delete scene.sys.step);
+    }
+
+    step(delta) {
+        if (this.isPlayback) {
+            this.stepPlayback(delta);
+            return;
+        }
+
+        // Rounded so the file can store the frame time exactly
+        this.runFrame(Math.round(delta * REPLAY_CONFIG.deltaPrecision) / REPLAY_CONFIG.deltaPrecision);
+    }
+
+    runFrame(frameDelta) {
+        this.currentDelta = frameDelta;
+        this.elapsed += frameDelta;
+        this.sceneStep(this.startTime + this.elapsed, frameDelta);
+    }
+
+    readInput() {
+        // Called at the start of GameScene.update - live input while recording, the recorded frame in a replay
+        if (this.isPlayback) {
+            const frame = this.frames[this.frameIndex];
+            this.checkSync(frame);
+            return frame;
+        }
+
+        const frame = ReplayFile.createFrame(this.currentDelta, this.sampleInput());
+        this.frames.push(frame);
+        return frame;
+    }
+
+    sampleInput() {
+        const scene = this.scene;
+        const wasd = scene.wasdKeys;
+        const cursors = scene.cursors;
+
+        let keys = 0;
+        if (wasd.A.isDown || cursors.left.isDown) keys |= MOVE_KEYS.left;
+        if (wasd.D.isDown || cursors.right.isDown) keys |= MOVE_KEYS.right;
+        if (wasd.W.isDown || cursors.up.isDown) keys |= MOVE_KEYS.up;
+        if (wasd.S.isDown || cursors.down.isDown) keys |= MOVE_KEYS.down;
+
+        const pointer = scene.input.activePointer;
+        const aim = scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const input = {
+            keys,
+            aimX: Math.round(aim.x),
+            aimY: Math.round(aim.y),
+            held: pointer.isDown,
+            actions: this.pendingActions,
+            purchases: this.pendingPurchases
+        };
+        this.pendingActions = [];
+        this.pendingPurchases = [];
+
+        // Player position every so often, so playback can tell when it no longer matches the run
+        if (this.frames.length % REPLAY_CONFIG.checkInterval === 0) {
+            input.check = [Math.round(scene.player.x), Math.round(scene.player.y)];
+        }
+        return input;
+    }
+
+    queueAction(action) {
+        // Key presses and clicks for the next frame - live input is ignored while a replay drives the run
+        if (!this.isPlayback) {
+            this.pendingActions.push(action);
+        }
+    }
+
+    recordPurchase(purchase) {
+        // Shop and skill tree purchases happen while GameScene is paused and are redone before the next frame
+        if (!this.isPlayback) {
+            this.pendingPurchases.push(purchase);
+        }
+    }
+
+    getRecording(result = null) {
+        const scene = this.scene;
+        const { biome, seed, map } = scene.mapSettings;
+
+        return {
+            version: REPLAY_CONFIG.version,
+            recordedAt: new Date().toISOString(),
+            run: {
+                gameMode: scene.gameMode,
+                mapSettings: map ? { biome, seed, map } : { biome, seed },
+                runSeed: scene.runSeed,
+                characterClass: scene.characterClass.id
+            },
+            profile: this.profileData,
+            startTime: this.startTime,
+            viewport: this.viewport,
+            mapSize: { width: GAME_CONFIG.MAP_WIDTH, height: GAME_CONFIG.MAP_HEIGHT },
+            result,
+            frames: this.frames
+        };
+    }
+
+    // Playback
+
+    stepPlayback(delta) {
+        const deadline = performance.now() + REPLAY_CONFIG.seekBudget;
+
+        if (this.seekTarget !== null) {
+            // Re-simulate as much as fits in the budget - the view catches up once the target is reached
+            while (this.frameIndex < this.seekTarget && performance.now() < deadline) {
+                this.playFrame();
+            }
+            if (this.frameIndex >= this.seekTarget) {
+                this.seekTarget = null;
+            }
+        } else if (!this.paused && !this.scrubbing) {
+            this.playbackTime += delta * this.getSpeed();
+            while (!this.isFinished() && this.playbackTime >= this.frames[this.frameIndex].delta) {
+                this.playbackTime -= this.frames[this.frameIndex].delta;
+                this.playFrame();
+
+                // Fast speeds drop time rather than freezing the page when frames get expensive
+                if (performance.now() > deadline) {
+                    this.playbackTime = 0;
+                }
+            }
+        }
+
+        this.updatePlaybackUI();
+    }
+
+    playFrame() {
+        const scene = this.scene;
+        const frame = this.frames[this.frameIndex];
+
+        // Overlays opened by the recorded input were closed again before the next frame
+        scene.shopVisible = false;
+        frame.purchases.forEach(purchase => scene.applyAction(purchase));
+
+        this.runFrame(frame.delta);
+        this.frameIndex++;
+    }
+
+    checkSync(frame) {
+        const player = this.scene.player;
+        if (!frame.check || this.desyncFrame !== null) return;
+
+        if (Math.round(player.x) !== frame.check[0] || Math.round(player.y) !== frame.check[1]) {
+            this.desyncFrame = this.frameIndex;
+            console.warn(`Replay out of sync at frame ${this.frameIndex}: player at ${Math.round(player.x)},${Math.round(player.y)}, recorded ${frame.check[0]},${frame.check[1]}`);
+        }
+    }
+
+    isFinished() {
+        return this.frameIndex >= this.frames.length;
+    }
+
+    getSpeed() {
+        return REPLAY_CONFIG.speeds[this.speedIndex];
+    }
+
+    changeSpeed(direction) {
+        this.speedIndex = Phaser.Math.Clamp(this.speedIndex + direction, 0, REPLAY_CONFIG.speeds.length - 1);
+    }
+
+    getFrameAt(time) {
+        // First frame starting at or after the given run time
+        const index = this.frameTimes.findIndex(frameTime => frameTime >= time);
+        return index === -1 ? this.frames.length : index;
+    }
+
+    skip(seconds) {
+        this.seek(this.getFrameAt(this.frameTimes[this.frameIndex] + seconds * 1000));
+    }
+
+    seek(frame) {
+        const target = Phaser.Math.Clamp(frame, 0, this.frames.length);
+        if (target >= this.frameIndex) {
+            this.seekTarget = target;
+            return;
+        }
+
+        // Runs can't be rewound - going back re-simulates the recording from the start
+        this.scene.scene.restart({
+            replay: this.replay,
+            replaySeek: target,
+            replaySpeed: this.getSpeed(),
+            replayPaused: this.paused
+        });
+    }
+
+    exit() {
+        // Back to character select with the replay's mode, map and class (procedural maps get a fresh seed)
+        const { gameMode, mapSettings, characterClass } = this.replay.run;
+        this.scene.scene.start('CharacterSelectScene', { gameMode, mapSettings: { ...mapSettings, seed: null }, characterClass });
+    }
+
+    getEnvironmentWarning() {
+        // The map and spawn bounds depend on the window size, so a different size plays a different run
+        const camera = this.scene.cameras.main;
+        const { viewport, mapSize } = this.replay;
+        const viewportDiffers = viewport && (viewport.width !== camera.width || viewport.height !== camera.height);
+        const mapDiffers = mapSize && (mapSize.width !== GAME_CONFIG.MAP_WIDTH || mapSize.height !== GAME_CONFIG.MAP_HEIGHT);
+        if (viewportDiffers || mapDiffers) {
+            const size = viewport ? `${viewport.width}x${viewport.height}` : 'a different';
+            return `Recorded in a ${size} window - resize to match or the replay will go out of sync`;
+        }
+        return null;
+    }
+
+    createPlaybackUI() {
+        const scene = this.scene;
+        const config = REPLAY_CONFIG.bar;
+        const width = scene.cameras.main.width;
+        const y = scene.cameras.main.height - config.bottomOffset;
+        this.barX = config.margin;
+        this.barWidth = width - config.margin * 2;
+
+        this.barBackground = scene.add.rectangle(this.barX, y, this.barWidth, config.height, config.backgroundColor)
+            .setOrigin(0, 0.5);
+        this.barFill = scene.add.rectangle(this.barX, y, 0, config.height, config.color)
+            .setOrigin(0, 0.5);
+
+        this.statusText = scene.add.text(this.barX, y - 28, '', {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: config.textColor
+        });
+        this.warningText = scene.add.text(this.barX, y - 48, '', {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: config.warningColor
+        });
+
+        [this.barBackground, this.barFill, this.statusText, this.warningText].forEach(element => {
+            element.setScrollFactor(0);
+            element.setDepth(100);
+        });
+
+        // Drag along the bar to pick a time - the run jumps there on release
+        this.barBackground.setInteractive({
+            hitArea: new Phaser.Geom.Rectangle(0, -config.height, this.barWidth, config.height * 3),
+            hitAreaCallback: Phaser.Geom.Rectangle.Contains,
+            useHandCursor: true
+        });
+        this.barBackground.on('pointerdown', pointer => {
+            this.scrubbing = true;
+            this.scrubFrame = this.getFrameAtPointer(pointer);
+        });
+        scene.input.on('pointermove', pointer => {
+            if (this.scrubbing) {
+                this.scrubFrame = this.getFrameAtPointer(pointer);
+            }
+        });
+        scene.input.on('pointerup', () => {
+            if (this.scrubbing) {
+                this.scrubbing = false;
+                this.seek(this.scrubFrame);
+            }
+        });
+    }
+
+    getFrameAtPointer(pointer) {
+        const progress = Phaser.Math.Clamp((pointer.x - this.barX) / this.barWidth, 0, 1);
+        return this.getFrameAt(progress * this.frameTimes[this.frames.length]);
+    }
+
+    setupPlaybackControls() {
+        const keyboard = this.scene.input.keyboard;
+        const keys = REPLAY_CONFIG.keys;
+
+        keyboard.addKey(keys.pause).on('down', () => { this.paused = !this.paused; });
+        keyboard.addKey(keys.slower).on('down', () => this.changeSpeed(-1));
+        keyboard.addKey(keys.faster).on('down', () => this.changeSpeed(1));
+        keyboard.addKey(keys.back).on('down', () => this.skip(-REPLAY_CONFIG.skipSeconds));
+        keyboard.addKey(keys.forward).on('down', () => this.skip(REPLAY_CONFIG.skipSeconds));
+        keyboard.addKey(keys.exit).on('down', () => this.exit());
+    }
+
+    updatePlaybackUI() {
+        const totalTime = this.frameTimes[this.frames.length];
+        const shownFrame = this.scrubbing ? this.scrubFrame : this.frameIndex;
+        const time = this.frameTimes[shownFrame];
+        this.barFill.width = totalTime > 0 ? this.barWidth * (time / totalTime) : 0;
+
+        let state = `x${this.getSpeed()}`;
+        if (this.seekTarget !== null) {
+            state = `SEEKING ${Math.floor(this.frameIndex / this.seekTarget * 100)}%`;
+        } else if (this.isFinished()) {
+            state = 'END';
+        } else if (this.paused) {
+            state = 'PAUSED';
+        }
+        this.statusText.setText(
+            `REPLAY ${ReplaySystem.formatTime(time)} / ${ReplaySystem.formatTime(totalTime)}  ${state}  ` +
+            'SPACE: pause  -/+: speed  LEFT/RIGHT: skip  ESC: exit'
+        );
+
+        const desync = this.desyncFrame !== null ?
+            `Out of sync since ${ReplaySystem.formatTime(this.frameTimes[this.desyncFrame])} - the game or its content changed since recording` :
+            null;
+        this.warningText.setText(desync || this.warning || '');
+    }
+
+    static formatTime(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,14 @@
+// Coin reward math for kills
+export class RewardRules {
+    static getBaseReward(zombieTypeConfig) {
+        // Default 1, or custom amount for special zombies (night spawns raise it later)
+        return zombieTypeConfig.coinReward || 1;
+    }
+
+    static calculateCoins(baseReward, multiplier, remainder = 0) {
+        // Fractions carry over to the next reward so small rewards still benefit from multipliers
+        const total = remainder + baseReward * multiplier;
+        const coins = Math.floor(total);
+        return { coins, remainder: total - coins };
+    }
+}
@@ -0,0 +1,200 @@
+import { PROFILE_CONFIG, META_UNLOCKS, ZOMBIE_TYPES } from '../gameConfig.js';
+
+// Each entry upgrades a save from version (index) to version (index + 1).
+// When the profile shape changes: bump PROFILE_CONFIG.version and append a migration here.
+const MIGRATIONS = [
+    // 0 -> 1: unversioned saves become the first versioned profile
+    data => ({ ...data, version: 1 }),
+    // 1 -> 2: achievement progress
+    data => ({ ...data, version: 2, achievements: {} })
+];
+
+export class SaveProfile {
+    constructor(data, storage) {
+        this.storage = storage;
+        this.data = data;
+    }
+
+    static createDefaultData() {
+        return {
+            version: PROFILE_CONFIG.version,
+            currency: 0,
+            lifetime: {
+                runs: 0,
+                totalCoins: 0,
+                bestSurvivalTime: 0, // seconds
+                bestWave: 0,
+                kills: Object.fromEntries(Object.keys(ZOMBIE_TYPES).map(typeId => [typeId, 0]))
+            },
+            unlocks: [],
+            startingWeapon: 'pistol',
+            achievements: {} // id -> { progress, unlockedAt }
+        };
+    }
+
+    static load(storage = SaveProfile.getStorage()) {
+        let stored = null;
+
+        try {
+            const raw = storage ? storage.getItem(PROFILE_CONFIG.storageKey) : null;
+            stored = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Save profile could not be read, starting a new one:', error);
+        }
+
+        const data = stored ? SaveProfile.migrate(stored) : SaveProfile.createDefaultData();
+        return new SaveProfile(data, storage);
+    }
+
+    static fromData(data) {
+        // Read-only copy of a saved profile (replays) - without storage nothing is ever written back
+        return new SaveProfile(SaveProfile.migrate(JSON.parse(JSON.stringify(data))), null);
+    }
+
+    static getStorage() {
+        // localStorage can be missing or blocked (private browsing, file://)
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage unavailable - progress will not be saved');
+            return null;
+        }
+    }
+
+    static migrate(stored) {
+        // A save without a version predates versioning, one with a broken version can't be upgraded
+        const hasVersion = stored !== null && typeof stored === 'object' && stored.version !== undefined;
+        if (stored === null || typeof stored !== 'object' || Array.isArray(stored) ||
+            (hasVersion && !(Number.isInteger(stored.version) && stored.version >= 0))) {
+            console.warn('Save profile is unreadable, starting a new one:', stored);
+            return SaveProfile.createDefaultData();
+        }
+
+        let data = stored;
+        let version = hasVersion ? stored.version : 0;
+
+        if (version > PROFILE_CONFIG.version) {
+            console.warn(`Save profile version ${version} is newer than supported version ${PROFILE_CONFIG.version}`);
+        }
+
+        while (version < PROFILE_CONFIG.version) {
+            data = MIGRATIONS[version](data);
+            version++;
+            console.log(`Save profile migrated to version ${version}`);
+        }
+
+        // Fill in anything missing (e.g. kill counters for zombie types added since the save)
+        const defaults = SaveProfile.createDefaultData();
+        return {
+            ...defaults,
+            ...data,
+            lifetime: {
+                ...defaults.lifetime,
+                ...data.lifetime,
+                kills: { ...defaults.lifetime.kills, ...(data.lifetime && data.lifetime.kills) }
+            },
+            unlocks: Array.isArray(data.unlocks) ? data.unlocks.filter(id => META_UNLOCKS[id]) : [],
+            achievements: data.achievements || {}
+        };
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(PROFILE_CONFIG.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Save profile could not be written:', error);
+        }
+    }
+
+    recordRun(gameStats) {
+        // Fold a finished run into lifetime stats and pay out persistent currency
+        const lifetime = this.data.lifetime;
+        lifetime.runs++;
+        lifetime.totalCoins += gameStats.totalCoins;
+        lifetime.bestSurvivalTime = Math.max(lifetime.bestSurvivalTime, gameStats.survivalTime);
+        lifetime.bestWave = Math.max(lifetime.bestWave, gameStats.wavesReached || 0);
+        Object.entries(gameStats.zombieKills).forEach(([typeId, kills]) => {
+            lifetime.kills[typeId] = (lifetime.kills[typeId] || 0) + kills;
+        });
+
+        const currencyEarned = Math.floor(gameStats.totalCoins * PROFILE_CONFIG.currencyPerCoin);
+        this.data.currency += currencyEarned;
+
+        this.save();
+        return currencyEarned;
+    }
+
+    hasUnlock(unlockId) {
+        return this.data.unlocks.includes(unlockId);
+    }
+
+    canBuyUnlock(unlockId) {
+        const unlock = META_UNLOCKS[unlockId];
+        if (!unlock || this.hasUnlock(unlockId)) return false;
+        if (unlock.requiresUnlock && !this.hasUnlock(unlock.requiresUnlock)) return false;
+        return this.data.currency >= unlock.cost;
+    }
+
+    buyUnlock(unlockId) {
+        if (!this.canBuyUnlock(unlockId)) {
+            return false;
+        }
+
+        const unlock = META_UNLOCKS[unlockId];
+        this.data.currency -= unlock.cost;
+        this.data.unlocks.push(unlockId);
+
+        // A newly bought starting weapon is equipped right away
+        if (unlock.startingWeapon) {
+            this.data.startingWeapon = unlock.startingWeapon;
+        }
+
+        this.save();
+        return true;
+    }
+
+    isStartingWeaponUnlocked(weaponId) {
+        // Pistol is always available, anything else needs its unlock
+        return weaponId === 'pistol' || this.data.unlocks.some(id => META_UNLOCKS[id].startingWeapon === weaponId);
+    }
+
+    selectStartingWeapon(weaponId) {
+        if (!this.isStartingWeaponUnlocked(weaponId)) return false;
+
+        this.data.startingWeapon = weaponId;
+        this.save();
+        return true;
+    }
+
+    getStartingWeapon() {
+        return this.isStartingWeaponUnlocked(this.data.startingWeapon) ? this.data.startingWeapon : 'pistol';
+    }
+
+    getCoinMultiplier() {
+        // Best owned multiplier wins - tiers don't stack
+        return this.data.unlocks.reduce((best, id) => Math.max(best, META_UNLOCKS[id].coinMultiplier || 1), 1);
+    }
+
+    getAchievement(achievementId) {
+        // Progress record, created on first use
+        if (!this.data.achievements[achievementId]) {
+            this.data.achievements[achievementId] = { progress: 0, unlockedAt: null };
+        }
+        return this.data.achievements[achievementId];
+    }
+
+    isAchievementUnlocked(achievementId) {
+        const record = this.data.achievements[achievementId];
+        return Boolean(record && record.unlockedAt);
+    }
+
+    get currency() {
+        return this.data.currency;
+    }
+
+    get lifetime() {
+        return this.data.lifetime;
+    }
+}
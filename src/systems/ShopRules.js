@@ -0,0 +1,33 @@
+// Purchase rules shared by the shop UI and its buy handler
+export class ShopRules {
+    static getPurchaseStatus(item, coins, ownedWeapons) {
+        const canAfford = coins >= item.price;
+        const alreadyOwned = !item.consumable && ownedWeapons.has(item.id);
+
+        // Upgrades require their base weapon
+        const hasRequiredWeapon = !item.requiresWeapon || ownedWeapons.has(item.requiresWeapon);
+
+        return {
+            canAfford,
+            alreadyOwned,
+            hasRequiredWeapon,
+            canPurchase: canAfford && !alreadyOwned && hasRequiredWeapon
+        };
+    }
+
+    static purchase(item, coins, ownedWeapons) {
+        // Returns the coins and owned weapons after buying, or null if the item can't be bought
+        if (!ShopRules.getPurchaseStatus(item, coins, ownedWeapons).canPurchase) {
+            return null;
+        }
+
+        // Upgrades replace their base weapon's inventory slot in GameScene,
+        // but the base stays owned so it can't be bought twice
+        const owned = new Set(ownedWeapons);
+        if (!item.consumable) {
+            owned.add(item.id);
+        }
+
+        return { coins: coins - item.price, ownedWeapons: owned };
+    }
+}
@@ -0,0 +1,107 @@
+import { GAME_CONFIG, SKILL_TREE, SKILL_POINTS, UI_CONFIG } from '../gameConfig.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+export class SkillSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.skillPoints = 0;
+        this.ranks = {}; // Skill id -> learned rank
+
+        // Flatten the branches so skills can be looked up by id
+        this.skills = {};
+        Object.values(SKILL_TREE).forEach(branch => {
+            branch.skills.forEach(skill => {
+                this.skills[skill.id] = skill;
+            });
+        });
+
+        this.createSkillPointsUI();
+
+        this.scene.eventBus.on(GAME_EVENTS.ZOMBIE_KILLED, this.onZombieKilled, this);
+        this.scene.eventBus.on(GAME_EVENTS.SURVIVAL_TICK, this.onSurvivalTick, this);
+    }
+
+    onZombieKilled({ typeId }) {
+        const points = SKILL_POINTS.kills[typeId];
+        if (points) {
+            this.addSkillPoints(points);
+        }
+    }
+
+    onSurvivalTick({ minutes }) {
+        if (SKILL_POINTS.survivalMinutes.includes(minutes)) {
+            this.addSkillPoints(1);
+        }
+    }
+
+    addSkillPoints(points) {
+        this.skillPoints += points;
+        this.updateSkillPointsUI();
+        this.scene.showNotification(`+${points} SKILL POINT${points > 1 ? 'S' : ''} (${GAME_CONFIG.SKILL_TREE_KEY})`);
+    }
+
+    getRank(skillId) {
+        return this.ranks[skillId] || 0;
+    }
+
+    getModifier(key) {
+        // Sum of a modifier over every learned rank
+        return Object.entries(this.ranks).reduce((total, [skillId, rank]) => {
+            return total + (this.skills[skillId].modifiers[key] || 0) * rank;
+        }, 0);
+    }
+
+    getMultiplier(key) {
+        return 1 + this.getModifier(key);
+    }
+
+    canLearn(skillId) {
+        const skill = this.skills[skillId];
+        if (!skill || this.getRank(skillId) >= skill.maxRank) return false;
+        if (skill.requires && this.getRank(skill.requires) === 0) return false;
+        return this.skillPoints >= skill.cost;
+    }
+
+    learn(skillId) {
+        if (!this.canLearn(skillId)) {
+            return false;
+        }
+
+        const skill = this.skills[skillId];
+        this.skillPoints -= skill.cost;
+        this.ranks[skillId] = this.getRank(skillId) + 1;
+
+        // Extra max HP comes with the same amount of healing
+        if (skill.modifiers.maxHealth) {
+            this.scene.playerMaxHealth += skill.modifiers.maxHealth;
+            this.scene.playerHealth += skill.modifiers.maxHealth;
+            this.scene.updateHealthBar();
+        }
+
+        this.updateSkillPointsUI();
+        console.log(`Skill learned: ${skill.name} rank ${this.ranks[skillId]}`);
+        return true;
+    }
+
+    createSkillPointsUI() {
+        const config = UI_CONFIG.skillPoints;
+
+        this.skillPointsText = this.scene.add.text(config.position[0], config.position[1], '', {
+            fontFamily: 'monospace',
+            fontSize: `${config.size}px`,
+            color: config.color
+        });
+        this.skillPointsText.setScrollFactor(0);
+        this.skillPointsText.setDepth(100);
+        this.updateSkillPointsUI();
+    }
+
+    updateSkillPointsUI() {
+        // Only shown while there is something to spend
+        const text = this.skillPoints > 0
+            ? `Skill points: ${this.skillPoints} (press ${GAME_CONFIG.SKILL_TREE_KEY})`
+            : '';
+        this.skillPointsText.setText(text);
+    }
+}
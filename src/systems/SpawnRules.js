@@ -0,0 +1,50 @@
+import { ZOMBIE_TYPES } from '../gameConfig.js';
+
+// Spawn math without Phaser dependencies so it can be unit tested
+export class SpawnRules {
+    static getAvailableZombieTypes(gameTime = 0, zombieTypes = ZOMBIE_TYPES) {
+        return Object.values(zombieTypes).filter(type => {
+            // Skip types that never spawn randomly (e.g. bosses)
+            if (!type.spawnWeight) {
+                return false;
+            }
+
+            // If zombie has minSpawnTime, check if enough time has passed
+            if (type.minSpawnTime && gameTime < type.minSpawnTime) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    static selectZombieType(gameTime, roll, zombieTypes = ZOMBIE_TYPES) {
+        // roll is a number in [0, 1) from the seeded gameplay stream
+        const availableTypes = SpawnRules.getAvailableZombieTypes(gameTime, zombieTypes);
+
+        // Calculate total weight from available types
+        const totalWeight = availableTypes.reduce((sum, type) => sum + type.spawnWeight, 0);
+        let random = roll * totalWeight;
+
+        // Select zombie type based on weight
+        for (const zombieType of availableTypes) {
+            random -= zombieType.spawnWeight;
+            if (random <= 0) {
+                return zombieType;
+            }
+        }
+
+        // Fallback to first available type
+        return availableTypes[0] || Object.values(zombieTypes)[0];
+    }
+
+    static getSpawnMultiplier(gameTime) {
+        // 1.3x more spawns for every 30 seconds survived, capped at 3.0x
+        const intervalsElapsed = Math.floor(gameTime / 1000 / 30);
+        return Math.min(3.0, Math.pow(1.3, intervalsElapsed));
+    }
+
+    static hasSpawnMultiplierChanged(currentMultiplier, newMultiplier) {
+        // Only restart the spawn timer when the multiplier changed significantly
+        return Math.abs(newMultiplier - currentMultiplier) > 0.01;
+    }
+}
@@ -0,0 +1,316 @@
+import { GAME_CONFIG, TRAP_TYPES, BUILD_CONFIG, UI_CONFIG } from '../gameConfig.js';
+
+export class TrapSystem {
+    constructor(scene, freeTraps = 0) {
+        this.scene = scene;
+
+        this.traps = []; // Active landmines, fences and gas clouds
+        this.freeTraps = freeTraps; // Placements that cost no coins (engineer class)
+        this.buildMode = false;
+        this.trapTypes = Object.values(TRAP_TYPES);
+        this.selectedType = this.trapTypes[0];
+
+        // Placement preview follows the cursor in build mode
+        this.preview = this.scene.add.graphics();
+        this.preview.setDepth(45);
+
+        this.createBuildMenuUI();
+    }
+
+    toggleBuildMode() {
+        this.buildMode = !this.buildMode;
+        this.preview.clear();
+        this.updateBuildMenuUI();
+    }
+
+    selectTrap(index) {
+        if (this.trapTypes[index]) {
+            this.selectedType = this.trapTypes[index];
+            this.updateBuildMenuUI();
+        }
+    }
+
+    cycleTrap(direction) {
+        const index = this.trapTypes.indexOf(this.selectedType);
+        this.selectTrap(Phaser.Math.Wrap(index + direction, 0, this.trapTypes.length));
+    }
+
+    getPlacement() {
+        // Placement point under the cursor, oriented across the line from the player
+        const worldPoint = this.scene.aimPoint;
+        const player = this.scene.player;
+
+        const aimAngle = Phaser.Math.Angle.Between(player.x, player.y, worldPoint.x, worldPoint.y);
+        const horizontal = Math.abs(Math.cos(aimAngle)) < Math.abs(Math.sin(aimAngle));
+        let x = worldPoint.x;
+        let y = worldPoint.y;
+
+        if (this.selectedType.id === 'barricade') {
+            x = Phaser.Math.Snap.To(x, BUILD_CONFIG.snapSize);
+            y = Phaser.Math.Snap.To(y, BUILD_CONFIG.snapSize);
+        }
+
+        return { x, y, horizontal, valid: this.isPlacementValid(x, y, horizontal) };
+    }
+
+    getBarricadeBlocks(x, y, horizontal) {
+        // Wall blocks centered on the placement point, spaced like map walls
+        const trap = TRAP_TYPES.barricade;
+        const spacing = BUILD_CONFIG.snapSize * 2;
+        const blocks = [];
+        for (let i = 0; i < trap.segments; i++) {
+            const offset = (i - (trap.segments - 1) / 2) * spacing;
+            blocks.push(horizontal ? { x: x + offset, y } : { x, y: y + offset });
+        }
+        return blocks;
+    }
+
+    isPlacementValid(x, y, horizontal = false) {
+        const player = this.scene.player;
+        const clearance = BUILD_CONFIG.clearance * GAME_CONFIG.GLOBAL_SCALE;
+
+        if (Phaser.Math.Distance.Between(player.x, player.y, x, y) > BUILD_CONFIG.range * GAME_CONFIG.GLOBAL_SCALE) {
+            return false;
+        }
+
+        // Every barricade block needs its own spot, not just the center one
+        const spots = this.selectedType.id === 'barricade' ? this.getBarricadeBlocks(x, y, horizontal) : [{ x, y }];
+        if (!spots.every(spot => this.isSpotClear(spot.x, spot.y, clearance))) {
+            return false;
+        }
+
+        // Don't wall the player in
+        if (this.selectedType.id === 'barricade' && Phaser.Math.Distance.Between(player.x, player.y, x, y) < clearance * 2) {
+            return false;
+        }
+
+        return this.freeTraps > 0 || this.scene.coins >= this.selectedType.price;
+    }
+
+    isSpotClear(x, y, clearance) {
+        if (x < clearance || y < clearance || x > GAME_CONFIG.MAP_WIDTH - clearance || y > GAME_CONFIG.MAP_HEIGHT - clearance) {
+            return false;
+        }
+
+        // Keep clear of walls, trees, barrels and other traps
+        if (!this.scene.isSpawnPositionSafe(x, y, clearance)) {
+            return false;
+        }
+        return !this.traps.some(trap => Phaser.Math.Distance.Between(trap.x, trap.y, x, y) < clearance);
+    }
+
+    tryPlace() {
+        const placement = this.getPlacement();
+        if (!placement.valid) {
+            return false;
+        }
+
+        // Free engineer placements are used up before coins
+        if (this.freeTraps > 0) {
+            this.freeTraps--;
+        } else if (!this.scene.spendCoins(this.selectedType.price)) {
+            return false;
+        }
+
+        if (this.selectedType.id === 'barricade') {
+            this.placeBarricade(placement);
+        } else {
+            this.placeTrap(this.selectedType, placement);
+        }
+
+        this.updateBuildMenuUI();
+        console.log(`Placed ${this.selectedType.name} at`, { x: Math.round(placement.x), y: Math.round(placement.y) });
+        return true;
+    }
+
+    placeBarricade({ x, y, horizontal }) {
+        const trapType = TRAP_TYPES.barricade;
+
+        // Barricades are regular walls so bullets, explosions and tank zombies treat them the same way
+        this.getBarricadeBlocks(x, y, horizontal).forEach(block => {
+            const wall = this.scene.createWall(block.x, block.y, trapType.health);
+            wall.setTint(trapType.tint);
+            wall.isBarricade = true;
+            this.scene.navigationSystem.registerObstacle(wall);
+        });
+    }
+
+    placeTrap(trapType, { x, y, horizontal }) {
+        const trap = { type: trapType, x, y, horizontal, placedAt: this.scene.time.now, lastTick: new Map() };
+
+        switch (trapType.id) {
+            case 'landmine':
+                trap.visual = this.scene.add.circle(x, y, 8 * GAME_CONFIG.GLOBAL_SCALE, trapType.color);
+                trap.visual.setStrokeStyle(2, 0xFF3333);
+                break;
+            case 'electric_fence': {
+                const length = trapType.length * GAME_CONFIG.GLOBAL_SCALE;
+                trap.visual = this.scene.add.rectangle(x, y, length, trapType.width, trapType.color, 0.8);
+                trap.visual.setRotation(horizontal ? 0 : Math.PI / 2);
+                trap.halfLength = length / 2;
+                break;
+            }
+            case 'poison_gas':
+                trap.visual = this.scene.add.circle(x, y, trapType.radius * GAME_CONFIG.GLOBAL_SCALE, trapType.color, 0.3);
+                this.scene.tweens.add({
+                    targets: trap.visual,
+                    alpha: 0.15,
+                    duration: 600,
+                    yoyo: true,
+                    repeat: -1
+                });
+                break;
+        }
+
+        trap.visual.setDepth(5);
+        this.traps.push(trap);
+    }
+
+    update(time) {
+        this.updatePreview();
+
+        this.traps = this.traps.filter(trap => {
+            // Timed traps expire
+            if (trap.type.duration && time - trap.placedAt > trap.type.duration) {
+                this.removeTrap(trap);
+                return false;
+            }
+
+            if (trap.type.id === 'landmine') {
+                return !this.updateLandmine(trap);
+            }
+
+            this.updateAreaTrap(trap, time);
+            return true;
+        });
+    }
+
+    updateLandmine(trap) {
+        // Returns true once the mine has gone off
+        const triggerRadius = trap.type.triggerRadius * GAME_CONFIG.GLOBAL_SCALE;
+        const triggered = this.scene.zombies.children.entries.some(zombie => {
+            return zombie.active && Phaser.Math.Distance.Between(trap.x, trap.y, zombie.x, zombie.y) < triggerRadius;
+        });
+        if (!triggered) {
+            return false;
+        }
+
+        this.removeTrap(trap);
+        this.scene.createExplosion(trap.x, trap.y, {
+            radius: trap.type.explosionRadius * GAME_CONFIG.GLOBAL_SCALE,
+            zombieDamage: trap.type.zombieDamage * this.scene.getStatMultiplier('trapDamage'),
+            damagesPlayer: false,
+            source: 'landmine'
+        });
+        return true;
+    }
+
+    updateAreaTrap(trap, time) {
+        // Fences and gas damage every zombie inside them on a fixed tick
+        const damage = trap.type.damage * this.scene.getStatMultiplier('trapDamage');
+
+        this.scene.zombies.children.entries.slice().forEach(zombie => {
+            if (!zombie.active || !this.isInsideTrap(trap, zombie)) return;
+
+            if (trap.type.slowMultiplier) {
+                zombie.slowMultiplier = trap.type.slowMultiplier;
+                zombie.slowedUntil = time + trap.type.slowDuration;
+            }
+
+            const lastTick = trap.lastTick.get(zombie) || 0;
+            if (time - lastTick >= trap.type.tickInterval) {
+                trap.lastTick.set(zombie, time);
+                this.scene.zombieSystem.damageZombie(zombie, damage, { cause: 'trap', weaponId: trap.type.id });
+            }
+        });
+    }
+
+    isInsideTrap(trap, zombie) {
+        if (trap.type.id === 'poison_gas') {
+            return Phaser.Math.Distance.Between(trap.x, trap.y, zombie.x, zombie.y) < trap.type.radius * GAME_CONFIG.GLOBAL_SCALE;
+        }
+
+        // Electric fence: close enough to the fence line (plus a bit for the zombie's body)
+        const along = trap.horizontal ? zombie.x - trap.x : zombie.y - trap.y;
+        const across = trap.horizontal ? zombie.y - trap.y : zombie.x - trap.x;
+        return Math.abs(along) < trap.halfLength && Math.abs(across) < trap.type.width / 2 + 12;
+    }
+
+    removeTrap(trap) {
+        this.scene.tweens.killTweensOf(trap.visual);
+        trap.visual.destroy();
+    }
+
+    updatePreview() {
+        this.preview.clear();
+        if (!this.buildMode) {
+            return;
+        }
+
+        const placement = this.getPlacement();
+        const color = placement.valid ? BUILD_CONFIG.validColor : BUILD_CONFIG.invalidColor;
+        const trapType = this.selectedType;
+        this.preview.lineStyle(2, color, 0.8);
+        this.preview.fillStyle(color, 0.2);
+
+        switch (trapType.id) {
+            case 'landmine':
+                this.preview.strokeCircle(placement.x, placement.y, trapType.explosionRadius * GAME_CONFIG.GLOBAL_SCALE);
+                this.preview.fillCircle(placement.x, placement.y, 8 * GAME_CONFIG.GLOBAL_SCALE);
+                break;
+            case 'poison_gas':
+                this.preview.fillCircle(placement.x, placement.y, trapType.radius * GAME_CONFIG.GLOBAL_SCALE);
+                break;
+            case 'electric_fence': {
+                const halfLength = trapType.length * GAME_CONFIG.GLOBAL_SCALE / 2;
+                const width = trapType.width;
+                if (placement.horizontal) {
+                    this.preview.fillRect(placement.x - halfLength, placement.y - width / 2, halfLength * 2, width);
+                } else {
+                    this.preview.fillRect(placement.x - width / 2, placement.y - halfLength, width, halfLength * 2);
+                }
+                break;
+            }
+            case 'barricade': {
+                const size = GAME_CONFIG.HIT_DETECTION_BOXES.wall.width;
+                this.getBarricadeBlocks(placement.x, placement.y, placement.horizontal).forEach(block => {
+                    this.preview.fillRect(block.x - size / 2, block.y - size / 2, size, size);
+                    this.preview.strokeRect(block.x - size / 2, block.y - size / 2, size, size);
+                });
+                break;
+            }
+        }
+    }
+
+    createBuildMenuUI() {
+        const config = UI_CONFIG.buildMenu;
+        const camera = this.scene.cameras.main;
+
+        this.buildMenuText = this.scene.add.text(camera.centerX, camera.height - config.bottomOffset, '', {
+            fontFamily: 'monospace',
+            fontSize: `${config.size}px`,
+            color: config.color,
+            backgroundColor: '#000000AA',
+            padding: { x: 8, y: 4 }
+        });
+        this.buildMenuText.setOrigin(0.5, 1);
+        this.buildMenuText.setScrollFactor(0);
+        this.buildMenuText.setDepth(100);
+        this.updateBuildMenuUI();
+    }
+
+    updateBuildMenuUI() {
+        this.buildMenuText.setVisible(this.buildMode);
+        if (!this.buildMode) {
+            return;
+        }
+
+        // Selected trap in brackets, free placements replace the price while they last
+        const entries = this.trapTypes.map((trapType, index) => {
+            const label = `${index + 1} ${trapType.name} ${this.freeTraps > 0 ? 'FREE' : `${trapType.price}c`}`;
+            return trapType === this.selectedType ? `[${label}]` : label;
+        });
+        const free = this.freeTraps > 0 ? `  Free: ${this.freeTraps}` : '';
+        this.buildMenuText.setText(`BUILD  ${entries.join('  ')}${free}  (${GAME_CONFIG.BUILD_MODE_KEY}/right-click: exit)`);
+    }
+}
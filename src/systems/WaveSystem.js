@@ -0,0 +1,152 @@
+import { ZOMBIE_TYPES, GAME_CONFIG, WAVE_DEFINITIONS, WAVE_SCALING } from '../gameConfig.js';
+
+export class WaveSystem {
+    constructor(scene, zombieSystem) {
+        this.scene = scene;
+        this.zombieSystem = zombieSystem;
+
+        this.currentWave = 0;
+        this.state = 'intermission'; // 'spawning' | 'clearing' | 'intermission'
+        this.spawnQueue = [];
+        this.waveSpawnTimer = null;
+        this.intermissionEndTime = this.scene.time.now + GAME_CONFIG.WAVE_START_DELAY;
+
+        this.createWaveUI();
+
+        // First wave starts after a short delay
+        this.intermissionTimer = this.scene.time.delayedCall(GAME_CONFIG.WAVE_START_DELAY, this.startNextWave, [], this);
+    }
+
+    createWaveUI() {
+        this.waveText = this.scene.add.text(
+            this.scene.cameras.main.centerX,
+            20,
+            '',
+            {
+                fontFamily: 'monospace',
+                fontSize: '22px',
+                color: '#FFFFFF',
+                backgroundColor: '#000000',
+                padding: { x: 10, y: 4 }
+            }
+        );
+        this.waveText.setOrigin(0.5, 0);
+        this.waveText.setScrollFactor(0);
+        this.waveText.setDepth(100);
+    }
+
+    getWaveDefinition(waveNumber) {
+        // Use the hand-written definition if there is one
+        if (waveNumber <= WAVE_DEFINITIONS.length) {
+            return WAVE_DEFINITIONS[waveNumber - 1];
+        }
+
+        // Otherwise scale up the last definition
+        const lastDefinition = WAVE_DEFINITIONS[WAVE_DEFINITIONS.length - 1];
+        const extraWaves = waveNumber - WAVE_DEFINITIONS.length;
+        const countMultiplier = Math.pow(WAVE_SCALING.countMultiplier, extraWaves);
+
+        const composition = {};
+        Object.entries(lastDefinition.composition).forEach(([typeId, count]) => {
+            composition[typeId] = Math.round(count * countMultiplier);
+        });
+
+        return {
+            composition,
+            spawnInterval: Math.max(
+                WAVE_SCALING.minSpawnInterval,
+                lastDefinition.spawnInterval * Math.pow(WAVE_SCALING.spawnIntervalMultiplier, extraWaves)
+            ),
+            boss: waveNumber % WAVE_SCALING.bossEvery === 0
+        };
+    }
+
+    startNextWave() {
+        this.currentWave++;
+        this.scene.gameStats.wavesReached = this.currentWave;
+
+        const definition = this.getWaveDefinition(this.currentWave);
+
+        // Build a shuffled spawn queue from the wave composition
+        this.spawnQueue = [];
+        Object.entries(definition.composition).forEach(([typeId, count]) => {
+            for (let i = 0; i < count; i++) {
+                this.spawnQueue.push(typeId);
+            }
+        });
+        this.scene.rng.gameplay.shuffle(this.spawnQueue);
+
+        this.state = 'spawning';
+        this.scene.updateShopHint();
+        this.waveSpawnTimer = this.scene.time.addEvent({
+            delay: definition.spawnInterval,
+            callback: this.spawnFromQueue,
+            callbackScope: this,
+            loop: true
+        });
+
+        if (definition.boss) {
+            // Boss encounter shows its own warning
+            this.scene.bossSystem.startBossEncounter();
+        } else {
+            this.scene.showNotification(`Wave ${this.currentWave} incoming!`);
+        }
+
+        console.log(`Wave ${this.currentWave} started:`, definition);
+    }
+
+    spawnFromQueue() {
+        if (this.spawnQueue.length === 0) {
+            this.waveSpawnTimer.destroy();
+            this.waveSpawnTimer = null;
+            this.state = 'clearing';
+            return;
+        }
+
+        const typeId = this.spawnQueue.shift();
+        this.zombieSystem.createZombieAtEdge(ZOMBIE_TYPES[typeId]);
+    }
+
+    update() {
+        // Wave is cleared once everything has spawned and every zombie (and boss) is dead
+        if (this.state === 'clearing' && this.scene.zombies.countActive(true) === 0 && !this.scene.bossSystem.encounterActive) {
+            this.onWaveCleared();
+        }
+
+        this.updateWaveUI();
+    }
+
+    onWaveCleared() {
+        this.state = 'intermission';
+        this.intermissionEndTime = this.scene.time.now + GAME_CONFIG.WAVE_INTERMISSION_TIME;
+        this.intermissionTimer = this.scene.time.delayedCall(GAME_CONFIG.WAVE_INTERMISSION_TIME, this.startNextWave, [], this);
+
+        this.scene.showNotification(`Wave ${this.currentWave} cleared! Shop is open (C)`);
+        this.scene.updateShopHint();
+
+        console.log(`Wave ${this.currentWave} cleared`);
+    }
+
+    isIntermission() {
+        return this.state === 'intermission';
+    }
+
+    updateWaveUI() {
+        if (this.isIntermission()) {
+            const secondsLeft = Math.max(0, Math.ceil((this.intermissionEndTime - this.scene.time.now) / 1000));
+            this.waveText.setText(`Wave ${this.currentWave + 1} in ${secondsLeft}s`);
+        } else {
+            const remaining = this.spawnQueue.length + this.scene.zombies.countActive(true);
+            this.waveText.setText(`Wave ${this.currentWave} - ${remaining} left`);
+        }
+    }
+
+    destroy() {
+        if (this.waveSpawnTimer) {
+            this.waveSpawnTimer.destroy();
+        }
+        if (this.intermissionTimer) {
+            this.intermissionTimer.destroy();
+        }
+    }
+}
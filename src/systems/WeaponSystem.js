@@ -0,0 +1,265 @@
+import { GAME_CONFIG, UI_CONFIG, WEAPON_TYPES } from '../gameConfig.js';
+
+export class WeaponSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Ammo state per weapon id: { magazine, reserve }
+        this.ammo = {};
+        this.reloadTimer = null;
+        this.reloadStartTime = 0;
+        this.nextFireTime = 0;
+        this.burstShotsRemaining = 0;
+
+        this.createAmmoUI();
+        this.createInventoryUI();
+    }
+
+    initWeapon(weapon) {
+        // New weapons come with a full magazine and their starting reserve
+        this.ammo[weapon.id] = {
+            magazine: weapon.magazineSize,
+            reserve: weapon.infiniteAmmo ? Infinity : (weapon.reserveAmmo || 0)
+        };
+        this.updateAmmoUI();
+        this.updateInventoryUI();
+    }
+
+    removeWeapon(weapon) {
+        // Replaced weapons (upgraded base weapons) no longer keep ammo
+        delete this.ammo[weapon.id];
+    }
+
+    getAmmo(weapon = this.scene.currentWeapon) {
+        return this.ammo[weapon.id];
+    }
+
+    isReloading() {
+        return this.reloadTimer !== null;
+    }
+
+    shouldFire(time, triggerPressed, triggerHeld) {
+        const weapon = this.scene.currentWeapon;
+
+        switch (weapon.fireMode) {
+            case 'auto':
+                // Keep firing while the trigger is held
+                return triggerPressed || triggerHeld;
+            case 'burst':
+                // A click queues a whole burst, which finishes even if the trigger is released
+                if (triggerPressed && this.burstShotsRemaining === 0 && time >= this.nextFireTime) {
+                    this.burstShotsRemaining = weapon.burstCount;
+                }
+                return this.burstShotsRemaining > 0;
+            default:
+                return triggerPressed;
+        }
+    }
+
+    tryFire(time, fireRateMultiplier = 1) {
+        const weapon = this.scene.currentWeapon;
+        const ammo = this.getAmmo(weapon);
+
+        if (this.isReloading() || time < this.nextFireTime) {
+            return false;
+        }
+
+        if (ammo.magazine <= 0) {
+            this.burstShotsRemaining = 0;
+            this.emptyClick();
+            return false;
+        }
+
+        ammo.magazine--;
+
+        // Shots inside a burst are spaced by burstDelay, everything else by fireRate
+        const cooldown = 1000 / (weapon.fireRate * fireRateMultiplier);
+        if (weapon.fireMode === 'burst') {
+            this.burstShotsRemaining = Math.max(0, this.burstShotsRemaining - 1);
+            this.nextFireTime = time + (this.burstShotsRemaining > 0 ? weapon.burstDelay : cooldown);
+        } else {
+            this.nextFireTime = time + cooldown;
+        }
+
+        this.updateAmmoUI();
+        return true;
+    }
+
+    resetTrigger() {
+        // Drop any queued burst shots (weapon switch, reload)
+        this.burstShotsRemaining = 0;
+    }
+
+    emptyClick() {
+        // Dry fire feedback - player has to reload manually
+        this.nextFireTime = this.scene.time.now + 250;
+
+        const gun = this.scene.gun;
+        const clickText = this.scene.add.text(gun.x, gun.y - 20, '*click*', {
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            color: '#CCCCCC'
+        });
+        clickText.setOrigin(0.5);
+        clickText.setDepth(30);
+
+        this.scene.tweens.add({
+            targets: clickText,
+            y: clickText.y - 15,
+            alpha: 0,
+            duration: 400,
+            onComplete: () => clickText.destroy()
+        });
+
+        this.scene.tweens.add({
+            targets: this.ammoText,
+            scaleX: 1.2,
+            scaleY: 1.2,
+            duration: 80,
+            yoyo: true
+        });
+    }
+
+    startReload() {
+        const weapon = this.scene.currentWeapon;
+        const ammo = this.getAmmo(weapon);
+
+        // Nothing to do if already reloading, magazine full or out of reserve
+        if (this.isReloading() || ammo.magazine >= weapon.magazineSize || ammo.reserve <= 0) {
+            return;
+        }
+
+        this.resetTrigger();
+
+        this.reloadStartTime = this.scene.time.now;
+        this.reloadTimer = this.scene.time.delayedCall(weapon.reloadTime, () => {
+            const needed = weapon.magazineSize - ammo.magazine;
+            const loaded = Math.min(needed, ammo.reserve);
+            ammo.magazine += loaded;
+            ammo.reserve -= loaded;
+
+            this.reloadTimer = null;
+            this.reloadIndicator.clear();
+            this.updateAmmoUI();
+
+            console.log(`Reloaded ${weapon.name}:`, { magazine: ammo.magazine, reserve: ammo.reserve });
+        });
+
+        this.updateAmmoUI();
+    }
+
+    cancelReload() {
+        if (this.reloadTimer) {
+            this.reloadTimer.destroy();
+            this.reloadTimer = null;
+            this.reloadIndicator.clear();
+            this.updateAmmoUI();
+        }
+    }
+
+    refillReserves(fraction) {
+        // Top up every weapon's reserve by a fraction of its max reserve
+        Object.keys(this.ammo).forEach(weaponId => {
+            const ammo = this.ammo[weaponId];
+            const weapon = WEAPON_TYPES[weaponId];
+            if (!weapon || weapon.infiniteAmmo) return;
+
+            const maxReserve = weapon.maxReserveAmmo || weapon.reserveAmmo || 0;
+            ammo.reserve = Math.min(maxReserve, ammo.reserve + Math.ceil(maxReserve * fraction));
+        });
+        this.updateAmmoUI();
+    }
+
+    createAmmoUI() {
+        const config = UI_CONFIG.ammoText;
+
+        this.ammoText = this.scene.add.text(config.position[0], config.position[1], '', {
+            fontFamily: 'monospace',
+            fontSize: config.size + 'px',
+            color: config.color
+        });
+        this.ammoText.setScrollFactor(0);
+        this.ammoText.setDepth(100);
+
+        // Reload progress bar drawn above the gun
+        this.reloadIndicator = this.scene.add.graphics();
+        this.reloadIndicator.setDepth(30);
+    }
+
+    updateAmmoUI() {
+        const ammo = this.getAmmo();
+        if (!ammo) return;
+
+        const config = UI_CONFIG.ammoText;
+        const reserveText = ammo.reserve === Infinity ? '∞' : ammo.reserve;
+        const fireModeText = this.scene.currentWeapon.fireMode.toUpperCase();
+
+        if (this.isReloading()) {
+            this.ammoText.setText(`Ammo: RELOADING...`);
+            this.ammoText.setColor(config.reloadColor);
+        } else if (ammo.magazine <= 0) {
+            const hint = ammo.reserve > 0 ? `press ${GAME_CONFIG.RELOAD_KEY}` : 'buy ammo';
+            this.ammoText.setText(`Ammo: 0 / ${reserveText} EMPTY - ${hint}`);
+            this.ammoText.setColor(config.emptyColor);
+        } else {
+            this.ammoText.setText(`Ammo: ${ammo.magazine} / ${reserveText} [${fireModeText}]`);
+            this.ammoText.setColor(config.color);
+        }
+    }
+
+    createInventoryUI() {
+        // Strip of owned weapon slots along the bottom of the screen
+        this.inventoryStrip = this.scene.add.container(0, 0);
+        this.inventoryStrip.setScrollFactor(0);
+        this.inventoryStrip.setDepth(100);
+    }
+
+    updateInventoryUI() {
+        const config = UI_CONFIG.weaponStrip;
+        const inventory = this.scene.weaponInventory;
+        const camera = this.scene.cameras.main;
+
+        this.inventoryStrip.removeAll(true);
+
+        // Center the slots horizontally
+        const totalWidth = inventory.length * config.slotWidth + (inventory.length - 1) * config.spacing;
+        const startX = camera.width / 2 - totalWidth / 2 + config.slotWidth / 2;
+        const y = camera.height - config.bottomOffset - config.slotHeight / 2;
+
+        inventory.forEach((weapon, slot) => {
+            const isActive = weapon === this.scene.currentWeapon;
+            const x = startX + slot * (config.slotWidth + config.spacing);
+
+            const slotBg = this.scene.add.rectangle(x, y, config.slotWidth, config.slotHeight, config.backgroundColor, 0.8);
+            slotBg.setStrokeStyle(isActive ? 3 : 1, isActive ? config.activeColor : config.borderColor);
+
+            const label = this.scene.add.text(x, y, `${slot + 1} ${weapon.name}`, {
+                fontFamily: 'monospace',
+                fontSize: config.size + 'px',
+                color: isActive ? config.activeTextColor : config.textColor
+            });
+            label.setOrigin(0.5);
+
+            this.inventoryStrip.add([slotBg, label]);
+        });
+    }
+
+    update(time) {
+        if (!this.isReloading()) return;
+
+        // Progress bar follows the gun sprite
+        const weapon = this.scene.currentWeapon;
+        const progress = Phaser.Math.Clamp((time - this.reloadStartTime) / weapon.reloadTime, 0, 1);
+        const gun = this.scene.gun;
+        const width = 36 * GAME_CONFIG.GLOBAL_SCALE;
+        const height = 5 * GAME_CONFIG.GLOBAL_SCALE;
+        const x = gun.x - width / 2;
+        const y = gun.y - 24 * GAME_CONFIG.GLOBAL_SCALE;
+
+        this.reloadIndicator.clear();
+        this.reloadIndicator.fillStyle(0x000000, 0.7);
+        this.reloadIndicator.fillRect(x, y, width, height);
+        this.reloadIndicator.fillStyle(0xFFFF00, 1);
+        this.reloadIndicator.fillRect(x, y, width * progress, height);
+    }
+}
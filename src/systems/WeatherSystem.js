@@ -0,0 +1,264 @@
+import { GAME_CONFIG, WEATHER_CONFIG, UI_CONFIG } from '../gameConfig.js';
+
+export class WeatherSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Runs start clear, the first weather event is rolled after a grace period
+        this.weather = WEATHER_CONFIG.types.clear;
+        this.weatherElapsed = 0;
+        this.weatherDuration = WEATHER_CONFIG.initialClearDuration;
+        this.nextLightningIn = 0;
+
+        this.createRain();
+        this.createFog();
+        this.createWeatherUI();
+    }
+
+    createRain() {
+        const config = WEATHER_CONFIG.rain;
+        const camera = this.scene.cameras.main;
+        const rng = this.scene.rng.cosmetic;
+
+        // Fixed set of drops in screen space, recycled at the top when they fall off the bottom
+        this.raindrops = [];
+        for (let i = 0; i < config.dropCount; i++) {
+            const drop = this.scene.add.rectangle(
+                rng.between(0, camera.width),
+                rng.between(0, camera.height),
+                1,
+                config.dropLength,
+                config.color,
+                config.alpha
+            );
+            drop.setScrollFactor(0);
+            drop.setDepth(60);
+            drop.setRotation(-Math.atan2(config.drift, config.speed[0]));
+            drop.fallSpeed = rng.between(config.speed[0], config.speed[1]);
+            drop.setVisible(false);
+            this.raindrops.push(drop);
+        }
+    }
+
+    createFog() {
+        const config = WEATHER_CONFIG.fog;
+        const margin = 200;
+
+        // Fog layer over the whole map with a clear patch around the player (same setup as the night darkness)
+        this.fog = this.scene.add.rectangle(
+            -margin,
+            -margin,
+            GAME_CONFIG.MAP_WIDTH + margin * 2,
+            GAME_CONFIG.MAP_HEIGHT + margin * 2,
+            config.color
+        );
+        this.fog.setOrigin(0, 0);
+        this.fog.setDepth(55);
+        this.fog.setAlpha(0);
+
+        this.fogClearing = this.scene.make.graphics({}, false);
+        this.fogClearing.fillStyle(0xFFFFFF);
+        this.fogClearing.fillCircle(0, 0, config.visibilityRadius * GAME_CONFIG.GLOBAL_SCALE);
+
+        const mask = this.fogClearing.createGeometryMask();
+        mask.setInvertAlpha(true);
+        this.fog.setMask(mask);
+    }
+
+    createWeatherUI() {
+        const config = UI_CONFIG.weatherText;
+
+        this.weatherText = this.scene.add.text(config.position[0], config.position[1], '', {
+            fontFamily: 'monospace',
+            fontSize: `${config.size}px`,
+            color: config.color
+        });
+        this.weatherText.setScrollFactor(0);
+        this.weatherText.setDepth(100);
+        this.updateWeatherUI();
+    }
+
+    getSpeedMultiplier() {
+        // Applies to both the player and zombies
+        return this.weather.speedMultiplier || 1;
+    }
+
+    update(delta) {
+        this.weatherElapsed += delta;
+        if (this.weatherElapsed >= this.weatherDuration) {
+            this.setWeather(this.rollWeather());
+        }
+
+        if (this.weather.rain) {
+            this.updateRain(delta);
+        }
+
+        if (this.weather.lightning) {
+            this.nextLightningIn -= delta;
+            if (this.nextLightningIn <= 0) {
+                this.scheduleLightning();
+                this.strikeLightning();
+            }
+        }
+
+        this.fogClearing.setPosition(this.scene.player.x, this.scene.player.y);
+    }
+
+    rollWeather() {
+        // Weighted pick from the seeded gameplay stream - weather changes how the run plays
+        const types = Object.values(WEATHER_CONFIG.types);
+        const totalWeight = types.reduce((sum, type) => sum + type.weight, 0);
+        let random = this.scene.rng.gameplay.frac() * totalWeight;
+
+        for (const type of types) {
+            random -= type.weight;
+            if (random <= 0) {
+                return type;
+            }
+        }
+
+        return WEATHER_CONFIG.types.clear;
+    }
+
+    setWeather(weather) {
+        const previous = this.weather;
+        this.weather = weather;
+        this.weatherElapsed = 0;
+        this.weatherDuration = this.scene.rng.gameplay.between(WEATHER_CONFIG.duration[0], WEATHER_CONFIG.duration[1]);
+
+        // Show or hide the rain overlay
+        this.raindrops.forEach(drop => drop.setVisible(!!weather.rain));
+
+        // Fade fog in or out
+        if (!!weather.fog !== !!previous.fog) {
+            this.scene.tweens.add({
+                targets: this.fog,
+                alpha: weather.fog ? WEATHER_CONFIG.fog.alpha : 0,
+                duration: WEATHER_CONFIG.fog.fadeDuration
+            });
+        }
+
+        if (weather.lightning) {
+            this.scheduleLightning();
+        }
+
+        if (weather !== previous && weather.id !== 'clear') {
+            this.scene.showNotification(`${weather.name} - ${weather.description}`);
+        }
+        this.updateWeatherUI();
+
+        console.log(`Weather: ${weather.name} for ${Math.round(this.weatherDuration / 1000)}s`);
+    }
+
+    updateRain(delta) {
+        const config = WEATHER_CONFIG.rain;
+        const camera = this.scene.cameras.main;
+        const rng = this.scene.rng.cosmetic;
+
+        this.raindrops.forEach(drop => {
+            drop.y += drop.fallSpeed * delta / 1000;
+            drop.x += config.drift * delta / 1000;
+
+            if (drop.y > camera.height + config.dropLength || drop.x < -config.dropLength) {
+                drop.y = -config.dropLength;
+                drop.x = rng.between(0, camera.width + 100);
+            }
+        });
+    }
+
+    scheduleLightning() {
+        const interval = WEATHER_CONFIG.lightning.interval;
+        this.nextLightningIn = this.scene.rng.gameplay.between(interval[0], interval[1]);
+    }
+
+    strikeLightning() {
+        const config = WEATHER_CONFIG.lightning;
+        const target = this.pickLightningTarget();
+        const radius = config.radius * GAME_CONFIG.GLOBAL_SCALE;
+
+        // Warning marker so the player can get clear of barrels
+        const marker = this.scene.add.circle(target.x, target.y, radius, 0xFFFFFF, 0.15);
+        marker.setStrokeStyle(2, 0xFFFF88, 0.8);
+        marker.setDepth(45);
+
+        this.scene.time.delayedCall(config.warningTime, () => {
+            marker.destroy();
+            if (this.scene.isGameOver) return;
+
+            this.drawLightningBolt(target.x, target.y);
+            this.scene.cameras.main.flash(120, 255, 255, 255);
+            this.scene.cameras.main.shake(150, 0.01);
+            this.scene.createParticleEffect(target.x, target.y, 'spark', 16);
+
+            // Damage zombies in the strike area (copy the list - killed zombies leave the group)
+            this.scene.zombies.children.entries.slice().forEach(zombie => {
+                if (!zombie.active) return;
+                const distance = Phaser.Math.Distance.Between(target.x, target.y, zombie.x, zombie.y);
+                if (distance < radius) {
+                    this.scene.zombieSystem.damageZombie(zombie, config.zombieDamage, { cause: 'lightning' });
+                }
+            });
+
+            // Barrels in the strike area go off through the normal chain explosion path
+            this.scene.triggerChainExplosion(target.x, target.y, radius, { size: 0 });
+        });
+    }
+
+    pickLightningTarget() {
+        const config = WEATHER_CONFIG.lightning;
+        const rng = this.scene.rng.gameplay;
+        const player = this.scene.player;
+        const range = config.strikeRange * GAME_CONFIG.GLOBAL_SCALE;
+        const inRange = object => object.active && Phaser.Math.Distance.Between(player.x, player.y, object.x, object.y) < range;
+
+        // Lightning likes barrels, otherwise it goes for a zombie near the player
+        const barrels = this.scene.barrels.children.entries.filter(barrel => inRange(barrel) && !barrel.exploding);
+        if (barrels.length > 0 && rng.frac() < config.barrelChance) {
+            const barrel = rng.pick(barrels);
+            return { x: barrel.x, y: barrel.y };
+        }
+
+        const zombies = this.scene.zombies.children.entries.filter(inRange);
+        if (zombies.length > 0) {
+            const zombie = rng.pick(zombies);
+            return { x: zombie.x, y: zombie.y };
+        }
+
+        const angle = rng.frac() * Math.PI * 2;
+        const distance = rng.between(range / 2, range);
+        return { x: player.x + Math.cos(angle) * distance, y: player.y + Math.sin(angle) * distance };
+    }
+
+    drawLightningBolt(x, y) {
+        const rng = this.scene.rng.cosmetic;
+        const camera = this.scene.cameras.main;
+
+        // Jagged line from the top of the screen down to the strike point
+        const bolt = this.scene.add.graphics();
+        bolt.setDepth(65);
+        bolt.lineStyle(3, 0xFFFFCC, 1);
+        bolt.beginPath();
+
+        const startY = camera.worldView.y;
+        const segments = 8;
+        bolt.moveTo(x + rng.between(-40, 40), startY);
+        for (let i = 1; i < segments; i++) {
+            const t = i / segments;
+            bolt.lineTo(x + rng.between(-25, 25), Phaser.Math.Linear(startY, y, t));
+        }
+        bolt.lineTo(x, y);
+        bolt.strokePath();
+
+        this.scene.tweens.add({
+            targets: bolt,
+            alpha: 0,
+            duration: 250,
+            onComplete: () => bolt.destroy()
+        });
+    }
+
+    updateWeatherUI() {
+        const suffix = this.weather.description ? ` (${this.weather.description})` : '';
+        this.weatherText.setText(`Weather: ${this.weather.name}${suffix}`);
+    }
+}
@@ -1,4 +1,7 @@
 import { ZOMBIE_TYPES, GAME_CONFIG } from '../gameConfig.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { SpawnRules } from './SpawnRules.js';
+import { RewardRules } from './RewardRules.js';
 
 export class ZombieSystem {
     constructor(scene) {
@@ -6,12 +9,10 @@ export class ZombieSystem {
         this.baseSpawnInterval = GAME_CONFIG.ZOMBIE_SPAWN_INTERVAL;
         this.currentSpawnMultiplier = 1.0;
         this.eliteZombieSpawned = false;
-
-        this.setupZombieSpawning();
     }
 
     setupZombieSpawning() {
-        // Setup zombie spawning timer
+        // Setup endless zombie spawning timer
         this.zombieSpawnTimer = this.scene.time.addEvent({
             delay: GAME_CONFIG.ZOMBIE_SPAWN_INTERVAL,
             callback: this.spawnZombie,
@@ -47,29 +48,34 @@ export class ZombieSystem {
         const playerY = this.scene.player.y;
 
         // Choose random edge
-        const edge = Phaser.Math.Between(0, 3);
+        const rng = this.scene.rng.gameplay;
+        const edge = rng.between(0, 3);
         let spawnX, spawnY;
 
         switch (edge) {
             case 0: // Top
-                spawnX = Phaser.Math.Between(playerX - screenWidth / 2, playerX + screenWidth / 2);
+                spawnX = rng.between(playerX - screenWidth / 2, playerX + screenWidth / 2);
                 spawnY = playerY - screenHeight / 2 - GAME_CONFIG.SPAWN_DISTANCE;
                 break;
             case 1: // Right
                 spawnX = playerX + screenWidth / 2 + GAME_CONFIG.SPAWN_DISTANCE;
-                spawnY = Phaser.Math.Between(playerY - screenHeight / 2, playerY + screenHeight / 2);
+                spawnY = rng.between(playerY - screenHeight / 2, playerY + screenHeight / 2);
                 break;
             case 2: // Bottom
-                spawnX = Phaser.Math.Between(playerX - screenWidth / 2, playerX + screenWidth / 2);
+                spawnX = rng.between(playerX - screenWidth / 2, playerX + screenWidth / 2);
                 spawnY = playerY + screenHeight / 2 + GAME_CONFIG.SPAWN_DISTANCE;
                 break;
             case 3: // Left
                 spawnX = playerX - screenWidth / 2 - GAME_CONFIG.SPAWN_DISTANCE;
-                spawnY = Phaser.Math.Between(playerY - screenHeight / 2, playerY + screenHeight / 2);
+                spawnY = rng.between(playerY - screenHeight / 2, playerY + screenHeight / 2);
                 break;
         }
 
-        // Create zombie at calculated position
+        return this.createZombie(spawnX, spawnY, zombieTypeConfig);
+    }
+
+    createZombie(spawnX, spawnY, zombieTypeConfig) {
+        // Create zombie at given position
         const zombie = this.scene.zombies.create(spawnX, spawnY, zombieTypeConfig.spriteKey);
 
         // Apply zombie scale from configuration
@@ -91,8 +97,12 @@ export class ZombieSystem {
         zombie.health = zombieTypeConfig.maxHealth;
         zombie.maxHealth = zombieTypeConfig.maxHealth;
         zombie.speed = zombieTypeConfig.speed;
+        zombie.coinReward = RewardRules.getBaseReward(zombieTypeConfig);
         zombie.canDestroyObstacles = zombieTypeConfig.canDestroyObstacles || false;
 
+        // Night spawns are tougher, faster and worth more
+        this.scene.dayNightSystem.applySpawnModifiers(zombie);
+
         // Create health bar
         this.createZombieHealthBar(zombie);
 
@@ -101,6 +111,11 @@ export class ZombieSystem {
             this.createRedGlowEffect(zombie);
         }
 
+        // Tint zombies that reuse another type's sprite
+        if (zombieTypeConfig.tint) {
+            zombie.setTint(zombieTypeConfig.tint);
+        }
+
         console.log(`${zombieTypeConfig.description} spawned:`, {
             position: { x: spawnX, y: spawnY },
             physicsSize: { width: zombie.body.width, height: zombie.body.height },
@@ -113,31 +128,8 @@ export class ZombieSystem {
     }
 
     selectZombieType(gameTime = 0) {
-        // Filter zombie types based on time restrictions
-        const availableTypes = Object.values(ZOMBIE_TYPES).filter(type => {
-            // If zombie has minSpawnTime, check if enough time has passed
-            if (type.minSpawnTime && gameTime < type.minSpawnTime) {
-                return false;
-            }
-            return true;
-        });
-
-        // Calculate total weight from available types
-        const totalWeight = availableTypes.reduce((sum, type) => sum + type.spawnWeight, 0);
-
-        // Generate random number
-        let random = Math.random() * totalWeight;
-
-        // Select zombie type based on weight
-        for (const zombieType of availableTypes) {
-            random -= zombieType.spawnWeight;
-            if (random <= 0) {
-                return zombieType;
-            }
-        }
-
-        // Fallback to first available type
-        return availableTypes[0] || Object.values(ZOMBIE_TYPES)[0];
+        // Weighted pick from the types unlocked at this time, rolled on the seeded gameplay stream
+        return SpawnRules.selectZombieType(gameTime, this.scene.rng.gameplay.frac());
     }
 
     spawnInitialZombies() {
@@ -146,43 +138,44 @@ export class ZombieSystem {
         const screenHeight = this.scene.cameras.main.height;
         const playerX = this.scene.player.x;
         const playerY = this.scene.player.y;
+        const rng = this.scene.rng.gameplay;
 
         // Define spawn areas around the player
         const spawnAreas = [
             // Top side (3-5 zombies)
             {
                 direction: 'top',
-                count: Phaser.Math.Between(3, 5),
+                count: rng.between(3, 5),
                 getPosition: () => ({
-                    x: Phaser.Math.Between(playerX - screenWidth / 2, playerX + screenWidth / 2),
+                    x: rng.between(playerX - screenWidth / 2, playerX + screenWidth / 2),
                     y: playerY - screenHeight / 2 - 50
                 })
             },
             // Bottom side (3-5 zombies)
             {
                 direction: 'bottom',
-                count: Phaser.Math.Between(3, 5),
+                count: rng.between(3, 5),
                 getPosition: () => ({
-                    x: Phaser.Math.Between(playerX - screenWidth / 2, playerX + screenWidth / 2),
+                    x: rng.between(playerX - screenWidth / 2, playerX + screenWidth / 2),
                     y: playerY + screenHeight / 2 + 50
                 })
             },
             // Left side (3-5 zombies)
             {
                 direction: 'left',
-                count: Phaser.Math.Between(3, 5),
+                count: rng.between(3, 5),
                 getPosition: () => ({
                     x: playerX - screenWidth / 2 - 50,
-                    y: Phaser.Math.Between(playerY - screenHeight / 2, playerY + screenHeight / 2)
+                    y: rng.between(playerY - screenHeight / 2, playerY + screenHeight / 2)
                 })
             },
             // Right side (3-5 zombies)
             {
                 direction: 'right',
-                count: Phaser.Math.Between(3, 5),
+                count: rng.between(3, 5),
                 getPosition: () => ({
                     x: playerX + screenWidth / 2 + 50,
-                    y: Phaser.Math.Between(playerY - screenHeight / 2, playerY + screenHeight / 2)
+                    y: rng.between(playerY - screenHeight / 2, playerY + screenHeight / 2)
                 })
             }
         ];
@@ -194,7 +187,7 @@ export class ZombieSystem {
 
                 // Only spawn normal and fast zombies initially (no elite)
                 const initialZombieTypes = ['normal', 'fast'];
-                const randomType = Phaser.Utils.Array.GetRandom(initialZombieTypes);
+                const randomType = rng.pick(initialZombieTypes);
                 const zombieTypeConfig = ZOMBIE_TYPES[randomType];
 
                 // Create zombie at calculated position
@@ -217,6 +210,7 @@ export class ZombieSystem {
                 zombie.health = zombieTypeConfig.maxHealth;
                 zombie.maxHealth = zombieTypeConfig.maxHealth;
                 zombie.speed = zombieTypeConfig.speed;
+                zombie.coinReward = RewardRules.getBaseReward(zombieTypeConfig);
                 zombie.canDestroyObstacles = zombieTypeConfig.canDestroyObstacles || false;
 
                 // Create health bar
@@ -234,18 +228,19 @@ export class ZombieSystem {
         // Move zombies toward player using Phaser's built-in physics
         this.scene.zombies.children.entries.forEach(zombie => {
             if (zombie.active) {
-                // Calculate direction to player
-                const angle = Phaser.Math.Angle.Between(
-                    zombie.x, zombie.y,
-                    this.scene.player.x, this.scene.player.y
-                );
-
-                // Set velocity based on zombie speed
-                const speed = zombie.speed * GAME_CONFIG.GLOBAL_SCALE;
-                zombie.setVelocity(
-                    Math.cos(angle) * speed,
-                    Math.sin(angle) * speed
-                );
+                // Zombies with scripted movement (boss charge) steer themselves
+                if (!zombie.movementLocked) {
+                    // Follow the shared flow field around obstacles towards the player
+                    const angle = this.scene.navigationSystem.getSteeringAngle(zombie);
+
+                    // Set velocity based on zombie speed (rain and electric fences slow zombies down)
+                    const slow = zombie.slowedUntil > this.scene.time.now ? zombie.slowMultiplier : 1;
+                    const speed = zombie.speed * GAME_CONFIG.GLOBAL_SCALE * this.scene.weatherSystem.getSpeedMultiplier() * slow;
+                    zombie.setVelocity(
+                        Math.cos(angle) * speed,
+                        Math.sin(angle) * speed
+                    );
+                }
 
                 // Update health bar position if it exists
                 if (zombie.healthBarBg) {
@@ -265,16 +260,9 @@ export class ZombieSystem {
 
     updateSpawnSpeed() {
         const gameTime = this.scene.time.now - this.scene.gameStartTime;
-        const gameTimeSeconds = gameTime / 1000;
-
-        // Calculate how many 30-second intervals have passed since 30 seconds
-        const intervalsElapsed = Math.floor(gameTimeSeconds / 30);
+        const newMultiplier = SpawnRules.getSpawnMultiplier(gameTime);
 
-        // Calculate new spawn multiplier: 1.3^intervals, capped at 3.0x
-        const newMultiplier = Math.min(3.0, Math.pow(1.3, intervalsElapsed));
-
-        // Only update if multiplier has changed significantly
-        if (Math.abs(newMultiplier - this.currentSpawnMultiplier) > 0.01) {
+        if (SpawnRules.hasSpawnMultiplierChanged(this.currentSpawnMultiplier, newMultiplier)) {
             this.currentSpawnMultiplier = newMultiplier;
 
             // Update spawn timer with new interval
@@ -380,19 +368,11 @@ export class ZombieSystem {
     }
 
     bulletHitZombie(bullet, zombie) {
-        // Clean up bullet trail before destroying
-        if (this.scene.cleanupBulletTrail) {
-            this.scene.cleanupBulletTrail(bullet);
+        // Piercing bullets keep overlapping the zombie they just passed through - only hit it once
+        if (bullet.hitZombies.has(zombie)) {
+            return;
         }
-
-        // Remove bullet
-        bullet.destroy();
-
-        // Get weapon damage
-        const damage = this.scene.currentWeapon.damage;
-
-        // Damage zombie
-        zombie.health -= damage;
+        bullet.hitZombies.add(zombie);
 
         // Create hit particle effect
         this.scene.createParticleEffect(zombie.x, zombie.y, 'blood');
@@ -400,16 +380,39 @@ export class ZombieSystem {
         // Create hit spark effect
         this.scene.createParticleEffect(zombie.x, zombie.y, 'spark');
 
+        // Damage comes from the bullet, so switching weapons mid-flight doesn't change it
+        const isCrit = bullet.critChance > 0 && this.scene.rng.gameplay.frac() < bullet.critChance;
+        const damage = isCrit ? bullet.damage * bullet.critMultiplier : bullet.damage;
+        this.damageZombie(zombie, damage, { cause: 'bullet', weaponId: bullet.weaponId, isCrit });
+
+        // Pierce/explosive modifiers decide whether the bullet survives
+        if (!this.scene.projectileSystem.onHitZombie(bullet, zombie)) {
+            this.scene.cleanupBulletTrail(bullet);
+            bullet.destroy();
+        }
+    }
+
+    damageZombie(zombie, damage, source = {}) {
+        // Returns true if the zombie was killed. source: { cause, weaponId, isCrit } for kill tracking
+        zombie.health -= damage;
+        this.scene.eventBus.emit(GAME_EVENTS.ZOMBIE_DAMAGED, {
+            zombie,
+            amount: damage,
+            isCrit: source.isCrit || false,
+            x: zombie.x,
+            y: zombie.y - zombie.displayHeight / 2
+        });
+
         // Check if zombie is killed
         if (zombie.health <= 0) {
-            // Get coin reward (default 1, or custom amount for special zombies)
-            const coinReward = zombie.zombieTypeConfig.coinReward || 1;
-            this.scene.coins += coinReward;
-            this.scene.coinText.setText(`Coins: ${this.scene.coins}`);
-
-            // Update statistics
-            this.scene.gameStats.totalCoins += coinReward;
-            this.scene.gameStats.zombieKills[zombie.zombieTypeConfig.id]++;
+            // Rewards, stats and UI react to the kill event
+            this.scene.eventBus.emit(GAME_EVENTS.ZOMBIE_KILLED, {
+                zombie,
+                typeId: zombie.zombieTypeConfig.id,
+                cause: source.cause,
+                weaponId: source.weaponId,
+                coinReward: zombie.coinReward
+            });
 
             // Clean up zombie effects (health bar, glow effects)
             this.destroyZombieEffects(zombie);
@@ -417,13 +420,12 @@ export class ZombieSystem {
             // Remove zombie
             zombie.destroy();
 
-            // Update shop hint
-            this.scene.updateShopHint();
-
-            console.log('Zombie killed! Coins:', this.scene.coins, 'Reward:', coinReward);
-        } else {
-            console.log('Zombie hit! Health remaining:', zombie.health);
+            console.log('Zombie killed:', zombie.zombieTypeConfig.id, 'by', source.cause);
+            return true;
         }
+
+        console.log('Zombie hit! Health remaining:', zombie.health);
+        return false;
     }
 
     destroyZombieHealthBar(zombie) {
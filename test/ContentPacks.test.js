@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ContentPacks } from '../src/systems/ContentPacks.js';
+
+describe('ContentPacks', () => {
+    let content;
+
+    beforeEach(() => {
+        // Packs merge in place - work on a copy so tests don't change the real config tables
+        content = structuredClone(ContentPacks.getGameContent());
+    });
+
+    it('adds a zombie that extends a built-in one', () => {
+        const pack = {
+            id: 'runners',
+            zombies: {
+                runner: { extends: 'fast', maxHealth: 2, spawnWeight: 15, healthBarColor: '#00FF00' }
+            }
+        };
+
+        const { applied, errors } = ContentPacks.applyAll([pack], content);
+
+        expect(errors).toEqual([]);
+        expect(applied).toEqual(['runners']);
+        expect(content.zombies.runner).toMatchObject({
+            id: 'runner',
+            spriteKey: 'zombie_fast',
+            maxHealth: 2,
+            speed: content.zombies.fast.speed,
+            healthBarColor: 0x00FF00
+        });
+    });
+
+    it('overrides fields of existing entries in place', () => {
+        const tank = content.zombies.tank;
+        ContentPacks.applyAll([{ id: 'slow_tanks', zombies: { tank: { speed: 10 } } }], content);
+
+        expect(content.zombies.tank).toBe(tank);
+        expect(tank.speed).toBe(10);
+        expect(tank.maxHealth).toBe(8);
+    });
+
+    it('merges several packs in order', () => {
+        const weapons = {
+            id: 'weapons',
+            weapons: {
+                nailgun: { extends: 'smg', name: 'Nail Gun', damage: 2, spriteKey: 'nailgun', assetPath: '../assets/nailgun.png' }
+            }
+        };
+        const shop = {
+            id: 'shop',
+            shopItems: {
+                nailgun: { name: 'Nail Gun', price: 45, weaponType: 'nailgun', description: 'Staples zombies to the floor' }
+            }
+        };
+        const balance = { id: 'balance', shopItems: { nailgun: { price: 30 } } };
+
+        const { applied, errors } = ContentPacks.applyAll([weapons, shop, balance], content);
+
+        expect(errors).toEqual([]);
+        expect(applied).toEqual(['weapons', 'shop', 'balance']);
+        expect(content.shopItems.nailgun.price).toBe(30);
+        expect(content.shopItems.nailgun.weaponType).toBe(content.weapons.nailgun);
+        expect(content.sprites.nailgun).toBe('../assets/nailgun.png');
+    });
+
+    it('reports missing sprites', () => {
+        const pack = { id: 'broken', zombies: { ghost: { extends: 'normal', spriteKey: 'ghost' } } };
+
+        const errors = ContentPacks.validate(pack, content);
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toContain('zombies.ghost uses sprite "ghost", which is not loaded');
+    });
+
+    it('reports unknown requiresWeapon and weaponType references', () => {
+        const pack = {
+            id: 'broken',
+            shopItems: {
+                laser_upgrade: { name: 'Laser+', price: 10, description: 'Better laser', weaponType: 'laser', requiresWeapon: 'laser' }
+            }
+        };
+
+        const errors = ContentPacks.validate(pack, content);
+
+        expect(errors).toContain('shopItems.laser_upgrade.weaponType refers to unknown weapon "laser"');
+        expect(errors.some(error => error.startsWith('shopItems.laser_upgrade.requiresWeapon refers to unknown shop item "laser"'))).toBe(true);
+    });
+
+    it('reports wrong types, unknown fields and missing fields', () => {
+        const pack = {
+            id: 'broken',
+            weapons: { pistol: { fireMode: 'spray', damge: 2 } },
+            materials: { glass: { color: 'blue' } }
+        };
+
+        const errors = ContentPacks.validate(pack, content);
+
+        expect(errors).toContain('weapons.pistol.fireMode must be one of "semi", "burst", "auto" (got "spray")');
+        expect(errors).toContain('weapons.pistol.damge is not a known field');
+        expect(errors).toContain('materials.glass.color must be a color ("#RRGGBB" or a number) (got "blue")');
+        expect(errors.some(error => error.startsWith('materials.glass is new and is missing size, gravity'))).toBe(true);
+    });
+
+    it('skips invalid packs and prefixes errors with the pack id', () => {
+        const pistol = { ...content.weapons.pistol };
+        const packs = [
+            { id: 'bad', weapons: { pistol: { damage: 'lots' } } },
+            { id: 'good', weapons: { pistol: { damage: 2 } } }
+        ];
+
+        const { applied, errors } = ContentPacks.applyAll(packs, content);
+
+        expect(applied).toEqual(['good']);
+        expect(errors).toEqual(['Content pack "bad": weapons.pistol.damage must be a number (got "lots")']);
+        expect(content.weapons.pistol.damage).toBe(2);
+        expect(content.weapons.pistol.name).toBe(pistol.name);
+    });
+
+    it('rejects unknown sections', () => {
+        expect(ContentPacks.validate({ id: 'typo', zombie: {} }, content)).toEqual([
+            'unknown section "zombie" (expected zombies, weapons, shopItems, materials)'
+        ]);
+    });
+});
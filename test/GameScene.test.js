@@ -0,0 +1,218 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from './harness/HeadlessGame.js';
+import { GAME_CONFIG, CHARACTER_CLASSES } from '../src/gameConfig.js';
+import { MapFile } from '../src/systems/MapFile.js';
+import { Leaderboard } from '../src/systems/Leaderboard.js';
+import { ReplayFile } from '../src/systems/ReplayFile.js';
+import { SaveProfile } from '../src/systems/SaveProfile.js';
+
+describe('GameScene (headless)', () => {
+    let harness;
+
+    afterEach(() => {
+        harness?.destroy();
+        harness = null;
+    });
+
+    it('starts a run with the chosen class and initial zombies', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', characterClass: 'medic', mapSettings: { biome: 'classic' } });
+        const scene = harness.scene;
+
+        expect(scene.characterClass).toBe(CHARACTER_CLASSES.medic);
+        expect(scene.playerHealth).toBe(CHARACTER_CLASSES.medic.stats.maxHealth);
+        expect(scene.coins).toBe(0);
+        expect(scene.zombies.getLength()).toBeGreaterThan(0);
+    });
+
+    it('builds the map from a custom map file', async () => {
+        const map = MapFile.create(GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT, 'Test arena');
+        map.wallPositions.push({ x: 100, y: 100 }, { x: 120, y: 100 });
+        map.barrelPositions.push({ x: 400, y: 100 });
+        map.playerSpawn = { x: 700, y: 500 };
+
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'custom', map } });
+        const scene = harness.scene;
+
+        expect(scene.environment.getLength()).toBe(2);
+        expect(scene.trees.getLength()).toBe(0);
+        expect(scene.barrels.getLength()).toBe(1);
+        expect({ x: scene.player.x, y: scene.player.y }).toEqual({ x: 700, y: 500 });
+        expect(Leaderboard.getMapKey(scene.mapSettings)).toBe(`custom#Test arena#${MapFile.getLayoutHash(map)}`);
+    });
+
+    it('falls back to the classic layout when the custom map is invalid', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'custom', map: { name: 'Broken' } } });
+
+        expect(harness.scene.mapSettings.biome).toBe('classic');
+        expect(harness.scene.environment.getLength()).toBeGreaterThan(0);
+    });
+
+    it('moves the player with held movement keys', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'classic' } });
+        const startX = harness.scene.player.x;
+
+        harness.step(30, () => ({ keys: ['D'] }));
+
+        expect(harness.scene.player.x).toBeGreaterThan(startX);
+    });
+
+    it('replays the same run from the same seed and input', async () => {
+        const script = tick => ({ keys: tick < 60 ? ['W'] : ['A'] });
+        const snapshot = scene => ({
+            player: { x: Math.round(scene.player.x), y: Math.round(scene.player.y) },
+            zombies: scene.zombies.children.entries.map(zombie => zombie.zombieTypeConfig.id)
+        });
+
+        harness = await HeadlessGame.start({ runSeed: 'REPLAY', mapSettings: { biome: 'forest', seed: 'MAP001' } });
+        const first = snapshot(harness.step(120, script));
+        harness.destroy();
+
+        harness = await HeadlessGame.start({ runSeed: 'REPLAY', mapSettings: { biome: 'forest', seed: 'MAP001' } });
+        const second = snapshot(harness.step(120, script));
+
+        expect(second).toEqual(first);
+    });
+
+    it('plays a recorded run back from its replay file', async () => {
+        const script = (tick, scene) => ({
+            keys: tick < 90 ? ['D'] : ['S', 'A'],
+            aim: { x: scene.player.x + 200, y: scene.player.y - 50 },
+            fire: tick % 15 === 0,
+            press: tick === 100 ? ['R'] : []
+        });
+        const snapshot = scene => ({
+            player: { x: Math.round(scene.player.x), y: Math.round(scene.player.y) },
+            zombies: scene.zombies.children.entries.map(zombie => [zombie.zombieTypeConfig.id, Math.round(zombie.x), Math.round(zombie.y), zombie.health]),
+            coins: scene.coins,
+            ammo: scene.weaponSystem.getAmmo()
+        });
+
+        harness = await HeadlessGame.start({ runSeed: 'REPLAY', mapSettings: { biome: 'forest', seed: 'MAP001' } });
+        const recorded = snapshot(harness.step(180, script));
+        const file = ReplayFile.serialize(harness.scene.replaySystem.getRecording());
+        harness.destroy();
+
+        // Seek to the end - playback re-simulates every recorded frame
+        const { replay, errors } = ReplayFile.parse(file);
+        expect(errors).toEqual([]);
+        harness = await HeadlessGame.start({ replay, replaySeek: replay.frames.length });
+        for (let i = 0; i < 100 && !harness.scene.replaySystem.isFinished(); i++) {
+            harness.step(1);
+        }
+
+        expect(harness.scene.replaySystem.isFinished()).toBe(true);
+        expect(harness.scene.replaySystem.desyncFrame).toBe(null);
+        expect(snapshot(harness.scene)).toEqual(recorded);
+    });
+
+    it('does not save the profile when a replay ends', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'classic' } });
+        harness.step(10);
+        const replay = harness.scene.replaySystem.getRecording();
+        harness.destroy();
+        const runsBefore = SaveProfile.load().data.lifetime.runs;
+
+        harness = await HeadlessGame.start({ replay });
+        const scene = harness.scene;
+        scene.damagePlayer(GAME_CONFIG.PLAYER_MAX_HEALTH * 10, 'test');
+
+        expect(scene.isGameOver).toBe(true);
+        expect(scene.scene.isPaused()).toBe(false);
+        expect(SaveProfile.load().data.lifetime.runs).toBe(runsBefore);
+    });
+
+    it('pays kill rewards and records stats through the event bus', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'classic' } });
+        const scene = harness.scene;
+        const zombie = scene.zombies.children.entries[0];
+        const typeId = zombie.zombieTypeConfig.id;
+        const killed = [];
+        scene.eventBus.on('zombieKilled', payload => killed.push(payload));
+
+        scene.zombieSystem.damageZombie(zombie, zombie.health, { cause: 'bullet', weaponId: 'pistol' });
+
+        expect(killed).toHaveLength(1);
+        expect(killed[0]).toMatchObject({ typeId, cause: 'bullet', weaponId: 'pistol' });
+        expect(scene.coins).toBe(zombie.coinReward);
+        expect(scene.gameStats.totalCoins).toBe(zombie.coinReward);
+        expect(scene.gameStats.zombieKills[typeId]).toBe(1);
+        expect(zombie.active).toBe(false);
+    });
+
+    it('fires the equipped weapon on click', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', characterClass: 'medic', mapSettings: { biome: 'classic' } });
+        const scene = harness.scene;
+        const ammoBefore = scene.weaponSystem.getAmmo().magazine;
+
+        harness.step(1, () => ({ aim: { x: scene.player.x + 200, y: scene.player.y }, fire: true }));
+
+        expect(scene.weaponSystem.getAmmo().magazine).toBe(ammoBefore - 1);
+        expect(scene.bullets.countActive()).toBeGreaterThan(0);
+    });
+
+    it('collects ammo crates within the pickup radius, widened by the Scavenger skill', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', characterClass: 'medic', mapSettings: { biome: 'classic' } });
+        const scene = harness.scene;
+        scene.weaponSystem.getAmmo().reserve = 0;
+        const pickup = scene.pickupSystem.spawn(scene.player.x + scene.pickupSystem.getRadius() * 1.2, scene.player.y);
+
+        harness.step(1);
+        expect(pickup.crate.active).toBe(true);
+
+        scene.skillSystem.skillPoints = 2;
+        scene.skillSystem.learn('fleet_foot');
+        scene.skillSystem.learn('scavenger');
+        harness.step(1);
+
+        expect(pickup.crate.active).toBe(false);
+        expect(scene.pickupSystem.pickups).toHaveLength(0);
+        expect(scene.weaponSystem.getAmmo().reserve).toBeGreaterThan(0);
+    });
+
+    it('reports shot and chain-detonated barrels on the event bus', async () => {
+        const map = MapFile.create(GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT, 'Barrel test');
+        map.barrelPositions.push({ x: 300, y: 300 }, { x: 340, y: 300 });
+        map.playerSpawn = { x: 700, y: 500 };
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'custom', map } });
+        const scene = harness.scene;
+        const destroyed = [];
+        scene.eventBus.on('obstacleDestroyed', payload => destroyed.push(payload));
+
+        const shotBarrel = scene.barrelsHitDetection.children.entries.find(barrel => barrel.x === 300);
+        scene.bulletHitBarrel({ destroy: () => {} }, shotBarrel);
+        harness.step(20);
+
+        expect(destroyed).toEqual([
+            { objectType: 'explosive_barrel', x: 300, y: 300, cause: 'bullet' },
+            { objectType: 'explosive_barrel', x: 340, y: 300, cause: 'explosion' }
+        ]);
+    });
+
+    it('checks every barricade block when placing a barricade', async () => {
+        const map = MapFile.create(GAME_CONFIG.MAP_WIDTH, GAME_CONFIG.MAP_HEIGHT, 'Build test');
+        map.playerSpawn = { x: 700, y: 500 };
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', characterClass: 'engineer', mapSettings: { biome: 'custom', map } });
+        const scene = harness.scene;
+        scene.trapSystem.selectTrap(scene.trapSystem.trapTypes.findIndex(trapType => trapType.id === 'barricade'));
+
+        // Aiming straight up puts a horizontal barricade centered 100px above the player
+        scene.aimPoint = { x: 700, y: 400 };
+        expect(scene.trapSystem.getPlacement()).toMatchObject({ x: 700, y: 400, horizontal: true, valid: true });
+
+        // A wall next to the end block blocks the placement even though the center is clear
+        scene.createWall(760, 400);
+        expect(scene.trapSystem.getPlacement().valid).toBe(false);
+    });
+
+    it('ends the run when the player runs out of health', async () => {
+        harness = await HeadlessGame.start({ runSeed: 'TEST01', mapSettings: { biome: 'classic' } });
+        const scene = harness.scene;
+        const ended = [];
+        scene.eventBus.on('runEnded', payload => ended.push(payload));
+
+        scene.damagePlayer(GAME_CONFIG.PLAYER_MAX_HEALTH * 10, 'test');
+
+        expect(scene.isGameOver).toBe(true);
+        expect(ended[0].cause).toBe('test');
+    });
+});
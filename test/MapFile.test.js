@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { MapFile } from '../src/systems/MapFile.js';
+import { MAP_EDITOR_CONFIG } from '../src/gameConfig.js';
+
+const createStorage = () => {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; }
+    };
+};
+
+describe('MapFile', () => {
+    it('creates an empty map that validates', () => {
+        const map = MapFile.create(1500, 1000, 'Arena');
+
+        expect(map).toMatchObject({ name: 'Arena', width: 1500, height: 1000, wallPositions: [], playerSpawn: null });
+        expect(MapFile.validate(map)).toEqual([]);
+    });
+
+    it('reports bad fields and positions', () => {
+        const map = { ...MapFile.create(1500, 1000, 'Arena'), treePositions: [{ x: 10 }], playerSpawn: 'center' };
+        delete map.barrelPositions;
+
+        const errors = MapFile.validate(map);
+        expect(errors).toHaveLength(3);
+        expect(errors.join('\n')).toMatch(/treePositions\[0\] must have numeric x and y/);
+        expect(errors.join('\n')).toMatch(/"barrelPositions" must be a list/);
+        expect(errors.join('\n')).toMatch(/"playerSpawn" must be null/);
+        expect(MapFile.validate([])).toEqual(['must be a JSON object']);
+        expect(MapFile.validate({ ...MapFile.create(10, 10, 'Future'), version: MAP_EDITOR_CONFIG.version + 1 })).toHaveLength(1);
+    });
+
+    it('fingerprints the layout independently of the name', () => {
+        const map = MapFile.create(1500, 1000, 'Arena');
+        map.wallPositions.push({ x: 100, y: 100 });
+        const renamed = { ...JSON.parse(JSON.stringify(map)), name: 'Other' };
+        const moved = JSON.parse(JSON.stringify(map));
+        moved.wallPositions[0].x = 120;
+
+        expect(MapFile.getLayoutHash(renamed)).toBe(MapFile.getLayoutHash(map));
+        expect(MapFile.getLayoutHash(moved)).not.toBe(MapFile.getLayoutHash(map));
+        expect(MapFile.getLayoutHash(MapFile.create(1500, 1000, 'Arena'))).not.toBe(MapFile.getLayoutHash(map));
+    });
+
+    it('snaps positions to the grid', () => {
+        expect(MapFile.snap(149, 151, 100)).toEqual({ x: 100, y: 200 });
+        expect(MapFile.snap(29, 31, 20)).toEqual({ x: 20, y: 40 });
+    });
+
+    it('places, finds, moves and removes markers', () => {
+        const map = MapFile.create(1000, 1000, 'Edit');
+
+        expect(MapFile.place(map, 'wall', { x: 100, y: 100 })).toBe(true);
+        expect(MapFile.place(map, 'wall', { x: 100, y: 100 })).toBe(false); // Spot already taken
+        expect(MapFile.place(map, 'tree', { x: 300, y: 100 })).toBe(true);
+        MapFile.place(map, 'spawn', { x: 500, y: 500 });
+        MapFile.place(map, 'spawn', { x: 600, y: 600 }); // Only one spawn
+
+        expect(map.playerSpawn).toEqual({ x: 600, y: 600 });
+        expect(MapFile.findAt(map, 305, 95, 18)).toEqual({ type: 'tree', index: 0 });
+        expect(MapFile.findAt(map, 200, 200, 18)).toBeNull();
+
+        MapFile.move(map, { type: 'wall', index: 0 }, { x: 120, y: 140 });
+        expect(map.wallPositions).toEqual([{ x: 120, y: 140 }]);
+
+        MapFile.remove(map, MapFile.findAt(map, 600, 600, 18));
+        MapFile.remove(map, { type: 'tree', index: 0 });
+        expect(map.playerSpawn).toBeNull();
+        expect(map.treePositions).toEqual([]);
+    });
+
+    it('leaves out objects past the edge of a smaller map', () => {
+        const map = MapFile.create(2000, 2000, 'Big');
+        map.wallPositions.push({ x: 100, y: 100 }, { x: 1800, y: 100 });
+        map.playerSpawn = { x: 1900, y: 1900 };
+
+        const { layout, dropped } = MapFile.toLayout(map, 1500, 1500);
+        expect(layout.wallPositions).toEqual([{ x: 100, y: 100 }]);
+        expect(layout.playerSpawn).toBeNull();
+        expect(dropped).toBe(2);
+    });
+
+    it('saves to and loads from storage', () => {
+        const storage = createStorage();
+        const map = MapFile.create(1000, 800, 'Saved');
+        map.barrelPositions.push({ x: 40, y: 60 });
+
+        expect(MapFile.load(storage)).toBeNull();
+        expect(MapFile.save(map, storage)).toBe(true);
+        expect(MapFile.load(storage)).toEqual(map);
+
+        storage.setItem(MAP_EDITOR_CONFIG.storageKey, '{not json');
+        expect(MapFile.load(storage)).toBeNull();
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { PlacementRules } from '../src/systems/PlacementRules.js';
+
+describe('PlacementRules', () => {
+    it('is clear when every object is at least minDistance away', () => {
+        const objects = [{ x: 100, y: 0 }, { x: 0, y: 100 }];
+        expect(PlacementRules.isClearOf(0, 0, objects, 100)).toBe(true);
+        expect(PlacementRules.isClearOf(0, 0, objects, 101)).toBe(false);
+    });
+
+    it('ignores destroyed objects', () => {
+        const objects = [{ x: 10, y: 10, active: false }];
+        expect(PlacementRules.isClearOf(0, 0, objects, 80)).toBe(true);
+    });
+
+    it('checks positions against both walls and trees', () => {
+        const walls = [{ x: 0, y: 0 }];
+        const trees = [{ x: 200, y: 0 }];
+
+        expect(PlacementRules.isPositionClear({ x: 100, y: 0 }, walls, trees)).toBe(true);
+        expect(PlacementRules.isPositionClear({ x: 40, y: 0 }, walls, trees)).toBe(false);
+        expect(PlacementRules.isPositionClear({ x: 160, y: 0 }, walls, trees)).toBe(false);
+        expect(PlacementRules.isPositionClear({ x: 160, y: 0 }, walls, trees, 30)).toBe(true);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { ReplayFile } from '../src/systems/ReplayFile.js';
+import { REPLAY_CONFIG, PROFILE_CONFIG } from '../src/gameConfig.js';
+
+const frame = (delta, input = {}) => ReplayFile.createFrame(delta, { keys: 0, aimX: 100, aimY: 200, held: false, ...input });
+
+const createReplay = frames => ({
+    version: REPLAY_CONFIG.version,
+    recordedAt: '2026-10-19T12:00:00.000Z',
+    run: { gameMode: 'endless', mapSettings: { biome: 'classic', seed: null }, runSeed: 'ABC123', characterClass: 'sniper' },
+    profile: { version: PROFILE_CONFIG.version, currency: 0 },
+    startTime: 1234.5,
+    frames
+});
+
+describe('ReplayFile', () => {
+    it('writes only changes and counts repeated frames', () => {
+        const frames = [
+            frame(16.7, { check: [500, 400] }),
+            frame(16.7),
+            frame(16.7),
+            frame(16.6, { keys: 5, actions: ['fire'] }),
+            frame(16.6, { keys: 5, held: true }),
+            frame(16.6, { keys: 5, held: true, purchases: ['buy:shotgun'] })
+        ];
+
+        expect(ReplayFile.encodeFrames(frames)).toEqual([
+            { d: 16.7, x: 100, y: 200, c: [500, 400] },
+            2,
+            { d: 16.6, k: 5, a: ['fire'] },
+            { h: 1 },
+            { p: ['buy:shotgun'] }
+        ]);
+        expect(ReplayFile.decodeFrames(ReplayFile.encodeFrames(frames))).toEqual(frames);
+    });
+
+    it('round-trips a replay through serialize and parse', () => {
+        const replay = createReplay([frame(16.7, { keys: 2 }), frame(16.7, { keys: 2, actions: ['slot:1', 'reload'] })]);
+
+        const { replay: parsed, errors } = ReplayFile.parse(ReplayFile.serialize(replay));
+
+        expect(errors).toEqual([]);
+        expect(parsed).toEqual(replay);
+        expect(ReplayFile.getFileName(replay)).toBe('replay-2026-10-19-ABC123.json');
+    });
+
+    it('rejects broken files with readable errors', () => {
+        expect(ReplayFile.parse('{nope').errors[0]).toMatch(/not valid JSON/);
+        expect(ReplayFile.parse('[]').errors).toEqual(['must be a JSON object']);
+
+        const broken = { ...createReplay([]), version: 99, profile: { version: -1 }, startTime: 'soon', frames: [{ d: 16.7, z: 1 }, 0, { c: [1] }] };
+        delete broken.run.runSeed;
+        const errors = ReplayFile.parse(JSON.stringify(broken)).errors.join('\n');
+
+        expect(errors).toMatch(/"version" must be 1/);
+        expect(errors).toMatch(/"run.runSeed" must be a string/);
+        expect(errors).toMatch(/"startTime" must be a number/);
+        expect(errors).toMatch(/"profile.version" must be a whole number from 0/);
+        expect(errors).toMatch(/frames\[0\] has unknown field "z"/);
+        expect(errors).toMatch(/frames\[1\] must be a positive repeat count/);
+        expect(errors).toMatch(/frames\[2\] "c" must be an \[x, y\] pair/);
+    });
+
+    it('rejects files that would decode to too many frames', () => {
+        const huge = { ...createReplay([]), frames: [{ d: 16.7 }, 1e9] };
+
+        const { replay, errors } = ReplayFile.parse(JSON.stringify(huge));
+
+        expect(replay).toBe(null);
+        expect(errors).toEqual([`"frames" holds 1000000001 frames, more than the ${REPLAY_CONFIG.maxFrames} a replay may have`]);
+    });
+
+    it('adds up frame times for seeking', () => {
+        expect(ReplayFile.getFrameTimes([frame(10), frame(20), frame(5)])).toEqual([0, 10, 30, 35]);
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { RewardRules } from '../src/systems/RewardRules.js';
+
+describe('RewardRules', () => {
+    it('uses the zombie type reward, defaulting to 1 coin', () => {
+        expect(RewardRules.getBaseReward({ coinReward: 5 })).toBe(5);
+        expect(RewardRules.getBaseReward({})).toBe(1);
+    });
+
+    it('applies multipliers and rounds down', () => {
+        expect(RewardRules.calculateCoins(3, 1.5)).toEqual({ coins: 4, remainder: 0.5 });
+    });
+
+    it('carries fractions over to the next reward', () => {
+        let remainder = 0;
+        const payouts = [];
+        for (let kill = 0; kill < 4; kill++) {
+            const result = RewardRules.calculateCoins(1, 1.25, remainder);
+            remainder = result.remainder;
+            payouts.push(result.coins);
+        }
+
+        // 4 kills at 1.25x pay out 5 coins in total
+        expect(payouts).toEqual([1, 1, 1, 2]);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { SaveProfile } from '../src/systems/SaveProfile.js';
+import { PROFILE_CONFIG } from '../src/gameConfig.js';
+
+const createStorage = value => ({
+    getItem: () => value,
+    setItem: () => {}
+});
+
+describe('SaveProfile', () => {
+    it('upgrades unversioned saves and keeps their progress', () => {
+        const profile = SaveProfile.load(createStorage(JSON.stringify({ currency: 40, unlocks: ['unknown_unlock'] })));
+
+        expect(profile.data.version).toBe(PROFILE_CONFIG.version);
+        expect(profile.data.currency).toBe(40);
+        expect(profile.data.unlocks).toEqual([]);
+        expect(profile.data.achievements).toEqual({});
+    });
+
+    it('starts a new profile when the saved version is broken', () => {
+        [-1, 1.5, 'two'].forEach(version => {
+            const profile = SaveProfile.load(createStorage(JSON.stringify({ version, currency: 40 })));
+            expect(profile.data).toEqual(SaveProfile.createDefaultData());
+        });
+        expect(SaveProfile.load(createStorage('42')).data).toEqual(SaveProfile.createDefaultData());
+    });
+});
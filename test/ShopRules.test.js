@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { ShopRules } from '../src/systems/ShopRules.js';
+
+const shotgun = { id: 'shotgun', price: 20 };
+const shotgunUpgrade = { id: 'shotgun_upgrade', price: 20, requiresWeapon: 'shotgun' };
+const ammoPack = { id: 'ammo_pack', price: 10, consumable: true };
+
+describe('ShopRules', () => {
+    it('buys an affordable weapon and marks it owned', () => {
+        const owned = new Set(['pistol']);
+        const result = ShopRules.purchase(shotgun, 25, owned);
+
+        expect(result.coins).toBe(5);
+        expect(result.ownedWeapons.has('shotgun')).toBe(true);
+        // The caller's set is left alone
+        expect(owned.has('shotgun')).toBe(false);
+    });
+
+    it('refuses items the player cannot afford', () => {
+        expect(ShopRules.getPurchaseStatus(shotgun, 19, new Set()).canAfford).toBe(false);
+        expect(ShopRules.purchase(shotgun, 19, new Set())).toBeNull();
+    });
+
+    it('refuses weapons that are already owned', () => {
+        const status = ShopRules.getPurchaseStatus(shotgun, 100, new Set(['shotgun']));
+        expect(status.alreadyOwned).toBe(true);
+        expect(status.canPurchase).toBe(false);
+    });
+
+    it('requires the base weapon for upgrades', () => {
+        expect(ShopRules.purchase(shotgunUpgrade, 100, new Set())).toBeNull();
+        expect(ShopRules.purchase(shotgunUpgrade, 100, new Set(['shotgun']))).not.toBeNull();
+    });
+
+    it('lets consumables be bought again without owning them', () => {
+        const first = ShopRules.purchase(ammoPack, 25, new Set());
+        const second = ShopRules.purchase(ammoPack, first.coins, first.ownedWeapons);
+
+        expect(second.coins).toBe(5);
+        expect(second.ownedWeapons.has('ammo_pack')).toBe(false);
+    });
+});
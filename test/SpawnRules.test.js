@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { SpawnRules } from '../src/systems/SpawnRules.js';
+
+const zombieTypes = {
+    normal: { id: 'normal', spawnWeight: 60 },
+    fast: { id: 'fast', spawnWeight: 30 },
+    late: { id: 'late', spawnWeight: 10, minSpawnTime: 10000 },
+    boss: { id: 'boss' }
+};
+
+describe('SpawnRules.selectZombieType', () => {
+    it('picks types in proportion to their spawn weight', () => {
+        expect(SpawnRules.selectZombieType(20000, 0, zombieTypes).id).toBe('normal');
+        expect(SpawnRules.selectZombieType(20000, 0.59, zombieTypes).id).toBe('normal');
+        expect(SpawnRules.selectZombieType(20000, 0.61, zombieTypes).id).toBe('fast');
+        expect(SpawnRules.selectZombieType(20000, 0.95, zombieTypes).id).toBe('late');
+    });
+
+    it('leaves out types before their minimum spawn time', () => {
+        // Without 'late' the total weight is 90, so 0.95 lands on 'fast'
+        expect(SpawnRules.selectZombieType(5000, 0.95, zombieTypes).id).toBe('fast');
+        expect(SpawnRules.getAvailableZombieTypes(5000, zombieTypes).map(type => type.id)).toEqual(['normal', 'fast']);
+    });
+
+    it('never picks types without a spawn weight', () => {
+        const ids = [0, 0.25, 0.5, 0.75, 0.999].map(roll => SpawnRules.selectZombieType(60000, roll, zombieTypes).id);
+        expect(ids).not.toContain('boss');
+    });
+
+    it('falls back to the first type when nothing can spawn', () => {
+        const onlyBoss = { boss: { id: 'boss' } };
+        expect(SpawnRules.selectZombieType(0, 0.5, onlyBoss).id).toBe('boss');
+    });
+});
+
+describe('SpawnRules.getSpawnMultiplier', () => {
+    it('starts at 1x and grows 1.3x every 30 seconds', () => {
+        expect(SpawnRules.getSpawnMultiplier(0)).toBe(1);
+        expect(SpawnRules.getSpawnMultiplier(29999)).toBe(1);
+        expect(SpawnRules.getSpawnMultiplier(30000)).toBeCloseTo(1.3);
+        expect(SpawnRules.getSpawnMultiplier(60000)).toBeCloseTo(1.69);
+    });
+
+    it('caps at 3x', () => {
+        expect(SpawnRules.getSpawnMultiplier(10 * 60000)).toBe(3);
+    });
+
+    it('only reports changes above the threshold', () => {
+        expect(SpawnRules.hasSpawnMultiplierChanged(1, 1.005)).toBe(false);
+        expect(SpawnRules.hasSpawnMultiplierChanged(1, 1.3)).toBe(true);
+    });
+});
@@ -0,0 +1,92 @@
+import { GameScene } from '../../src/scenes/GameScene.js';
+
+const FRAME_TIME = 1000 / 60;
+
+// Asset loading needs a real browser - sprites fall back to Phaser's missing texture
+class HeadlessGameScene extends GameScene {
+    preload() {}
+}
+
+// Runs GameScene without a renderer and steps it one fixed frame at a time
+export class HeadlessGame {
+    constructor(game) {
+        this.game = game;
+        this.time = game.loop.time;
+        this.keyEvent = { stopPropagation: () => {}, preventDefault: () => {} };
+    }
+
+    static async start(sceneData = {}) {
+        const game = new Phaser.Game({
+            type: Phaser.HEADLESS,
+            width: 1024,
+            height: 768,
+            banner: false,
+            audio: { noAudio: true },
+            physics: {
+                default: 'arcade',
+                arcade: { gravity: { y: 0 } }
+            },
+            scene: []
+        });
+        await new Promise(resolve => game.events.once(Phaser.Core.Events.READY, resolve));
+
+        // Drive the loop by hand so every run sees the same frame times
+        game.loop.stop();
+        game.scene.add('GameScene', HeadlessGameScene);
+        game.scene.start('GameScene', sceneData);
+
+        const harness = new HeadlessGame(game);
+        harness.step(1);
+        return harness;
+    }
+
+    get scene() {
+        return this.game.scene.getScene('GameScene');
+    }
+
+    step(ticks = 1, script = null) {
+        // script(tick, scene) returns the input for that tick:
+        // { keys: ['W', 'D'], aim: { x, y }, fire: true, hold: true, press: ['Q'] }
+        for (let tick = 0; tick < ticks; tick++) {
+            if (script) {
+                this.applyInput(script(tick, this.scene) || {});
+            }
+            this.time += FRAME_TIME;
+            this.game.headlessStep(this.time, FRAME_TIME);
+        }
+        return this.scene;
+    }
+
+    applyInput({ keys = [], aim = null, fire = false, hold = false, press = [] }) {
+        const scene = this.scene;
+        const pointer = scene.input.activePointer;
+
+        // Movement keys are held only for the ticks that list them
+        Object.entries(scene.wasdKeys).forEach(([name, key]) => {
+            key.isDown = keys.includes(name);
+        });
+
+        // Aim at a world position (the camera has no zoom)
+        if (aim) {
+            const camera = scene.cameras.main;
+            pointer.x = aim.x - camera.scrollX;
+            pointer.y = aim.y - camera.scrollY;
+        }
+
+        // Clicks go through the scene's own pointerdown handler, held buttons keep automatic weapons firing
+        pointer.isDown = hold;
+        if (fire) {
+            scene.input.emit(Phaser.Input.Events.POINTER_DOWN, pointer);
+        }
+
+        // One-shot key presses (ultimate, build mode, reload...)
+        press.forEach(keyName => {
+            const key = scene.input.keyboard.addKey(keyName);
+            key.emit(Phaser.Input.Keyboard.Events.DOWN, key, this.keyEvent);
+        });
+    }
+
+    destroy() {
+        this.game.destroy(true, true);
+    }
+}
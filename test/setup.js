@@ -0,0 +1,48 @@
+// jsdom has no canvas implementation - Phaser only needs a 2D context that accepts calls
+// (the headless renderer never draws), so hand out a no-op one
+const noop = () => {};
+const context2d = new Proxy({}, {
+    get(target, property) {
+        if (property in target) return target[property];
+        if (property === 'getImageData' || property === 'createImageData') {
+            return () => ({ data: new Uint8ClampedArray(4) });
+        }
+        if (property === 'measureText') {
+            return () => ({ width: 0, actualBoundingBoxAscent: 0, actualBoundingBoxDescent: 0 });
+        }
+        if (property === 'createLinearGradient' || property === 'createRadialGradient' || property === 'createPattern') {
+            return () => ({ addColorStop: noop });
+        }
+        return noop;
+    },
+    set(target, property, value) {
+        target[property] = value;
+        return true;
+    }
+});
+HTMLCanvasElement.prototype.getContext = function (type) {
+    return type === '2d' ? Object.assign(context2d, { canvas: this }) : null;
+};
+HTMLCanvasElement.prototype.toDataURL = () => '';
+
+// jsdom never loads images, so fire load right away - Phaser waits for its built-in textures before booting
+Object.defineProperty(HTMLImageElement.prototype, 'src', {
+    configurable: true,
+    get() {
+        return this.getAttribute('src') || '';
+    },
+    set(value) {
+        this.setAttribute('src', value);
+        setTimeout(() => this.onload && this.onload());
+    }
+});
+
+// Phaser focuses the window on boot, which jsdom doesn't implement
+window.focus = () => {};
+
+// The game logs every spawn and hit - keep test output readable
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+// The game loads Phaser from a CDN as a global - tests use the npm package the same way
+const Phaser = await import('phaser/dist/phaser.js');
+globalThis.Phaser = Phaser.default || Phaser;